@@ -4,22 +4,24 @@ import Header from "./components/Header";
 import ImageContainer from "./components/ImageContainer";
 import Sidebar from "./components/Sidebar";
 import Footer from "./components/Footer";
+import { DEFAULT_FILTERS } from "./utils/filterEngine";
 
 function App() {
   const [isDark, setIsDark] = useState(
     JSON.parse(localStorage.getItem("isDark")) || false
   );
 
-  const [filters, setFilters] = useState({
-    blur: 0,
-    grayScale: 0,
-    brightness: 100,
-    contrast: 100,
-    hueRotate: 3, // deg
-    invert: 0,
-    opacity: 100,
-    saturate: 100,
-    sepia: 0,
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  // Image() object of the loaded photo, shared so the Sidebar can preview presets on it
+  const [imageObject, setImageObject] = useState(null);
+  // Crop / rotate / flip steps applied to the original upload, see utils/editPipeline.js
+  const [ops, setOps] = useState([]);
+  // Which local adjustment mask is being edited on the image, and the brush settings
+  const [maskEdit, setMaskEdit] = useState({
+    activeId: null,
+    brushSize: 40,
+    erase: false,
+    showOverlay: true,
   });
   return (
     <div
@@ -32,8 +34,24 @@ function App() {
         <div className="message text-red-500 text-sm sm:hidden block font-semibold fixed left-1 top-[58px]">
           *UX is better on larger screensize*
         </div>
-        <ImageContainer isDark={isDark} filters={filters} />
-        <Sidebar isDark={isDark} filters={filters} setFilters={setFilters} />
+        <ImageContainer
+          isDark={isDark}
+          filters={filters}
+          setFilters={setFilters}
+          imageObject={imageObject}
+          setImageObject={setImageObject}
+          ops={ops}
+          setOps={setOps}
+          maskEdit={maskEdit}
+        />
+        <Sidebar
+          isDark={isDark}
+          filters={filters}
+          setFilters={setFilters}
+          imageObject={imageObject}
+          maskEdit={maskEdit}
+          setMaskEdit={setMaskEdit}
+        />
       </main>
       <Footer isDark={isDark}/>
     </div>
@@ -0,0 +1,167 @@
+import React, { useRef, useState } from "react";
+import {
+  Bars3Icon,
+  DocumentDuplicateIcon,
+  EyeIcon,
+  EyeSlashIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import Slider from "./Slider.jsx";
+import {
+  ADJUSTMENT_TYPES,
+  createAdjustment,
+  duplicateAdjustment,
+  moveAdjustment,
+  removeAdjustment,
+  updateAdjustment,
+} from "../utils/adjustmentStack";
+
+// Ordered list of adjustments. Rows are dragged by their handle to reorder; each one
+// can be toggled, duplicated or removed, and new entries are appended at the bottom.
+const AdjustmentStack = ({ stack, onChange, isDark }) => {
+  const [newType, setNewType] = useState("brightness");
+  const dragIndexRef = useRef(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const handleDrop = (index) => {
+    if (dragIndexRef.current != null)
+      onChange(moveAdjustment(stack, dragIndexRef.current, index));
+    dragIndexRef.current = null;
+    setDropIndex(null);
+  };
+
+  const iconButton = `p-1 rounded-md ${
+    isDark ? "hover:bg-slate-600" : "hover:bg-gray-200"
+  }`;
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">Adjustments</h3>
+
+      {stack.length === 0 && (
+        <p className="text-xs text-center opacity-70 mb-2">
+          No adjustments. Add one below.
+        </p>
+      )}
+
+      {stack.map((entry, index) => {
+        const meta = ADJUSTMENT_TYPES[entry.type];
+        return (
+          <div
+            key={entry.id}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDropIndex(index);
+            }}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleDrop(index);
+            }}
+            className={`rounded-md px-2 pt-1 mb-1 border-t-2 ${
+              dropIndex === index ? "border-[#6ab7c3]" : "border-transparent"
+            } ${entry.enabled ? "" : "opacity-50"}`}
+          >
+            <div className="flex items-center gap-1">
+              <span
+                draggable
+                onDragStart={(e) => {
+                  dragIndexRef.current = index;
+                  e.dataTransfer.effectAllowed = "move";
+                }}
+                onDragEnd={() => {
+                  dragIndexRef.current = null;
+                  setDropIndex(null);
+                }}
+                title="Drag to reorder"
+                className="cursor-grab"
+              >
+                <Bars3Icon className="size-4" />
+              </span>
+              <span className="text-xs grow text-left">
+                {meta.title}: {entry.value}
+                {meta.unit}
+              </span>
+              <button
+                onClick={() =>
+                  onChange(
+                    updateAdjustment(stack, entry.id, { enabled: !entry.enabled })
+                  )
+                }
+                title={entry.enabled ? "Turn off" : "Turn on"}
+                className={iconButton}
+              >
+                {entry.enabled ? (
+                  <EyeIcon className="size-4" />
+                ) : (
+                  <EyeSlashIcon className="size-4" />
+                )}
+              </button>
+              <button
+                onClick={() => onChange(duplicateAdjustment(stack, entry.id))}
+                title="Duplicate"
+                className={iconButton}
+              >
+                <DocumentDuplicateIcon className="size-4" />
+              </button>
+              <button
+                onClick={() => onChange(removeAdjustment(stack, entry.id))}
+                title="Remove"
+                className={iconButton}
+              >
+                <TrashIcon className="size-4" />
+              </button>
+            </div>
+            <Slider
+              title=""
+              value={entry.value}
+              min={meta.min}
+              max={meta.max}
+              onChange={(value) =>
+                onChange(updateAdjustment(stack, entry.id, { value }))
+              }
+              isDark={isDark}
+            />
+          </div>
+        );
+      })}
+
+      {/* dropping below the last row moves the entry to the end */}
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDropIndex(stack.length);
+        }}
+        onDrop={(e) => {
+          e.preventDefault();
+          handleDrop(stack.length);
+        }}
+        className={`h-2 border-t-2 ${
+          dropIndex === stack.length ? "border-[#6ab7c3]" : "border-transparent"
+        }`}
+      />
+
+      <div className="flex gap-2 mt-1">
+        <select
+          value={newType}
+          onChange={(e) => setNewType(e.target.value)}
+          className={`select select-xs grow ${isDark ? "bg-slate-800" : ""}`}
+        >
+          {Object.entries(ADJUSTMENT_TYPES).map(([type, meta]) => (
+            <option key={type} value={type}>
+              {meta.title}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => onChange([...stack, createAdjustment(newType)])}
+          className={`text-xs font-semibold py-1 px-2 rounded-md ${
+            isDark ? "bg-slate-600" : "bg-gray-200"
+          }`}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
+export default AdjustmentStack;
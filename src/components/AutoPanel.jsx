@@ -0,0 +1,109 @@
+import React, { useEffect, useRef, useState } from "react";
+import { SparklesIcon } from "@heroicons/react/24/outline";
+import {
+  AUTO_CORRECTIONS,
+  applyAutoCorrections,
+  computeAutoCorrections,
+} from "../utils/autoEnhance";
+
+const SAMPLE_SIZE = 256; // statistics are measured on a copy at most this large
+
+// "Auto" button plus one toggle per correction. After Auto has run, switching a toggle
+// recomputes the corrections on top of the values from before Auto, so the user can
+// keep any subset of them.
+const AutoPanel = ({ filters, setFilters, imageObject, isDark }) => {
+  const [enabled, setEnabled] = useState({
+    whiteBalance: true,
+    levels: true,
+    contrast: true,
+  });
+  // { sample: ImageData, before: { basic, levels } } once Auto has been applied
+  const sessionRef = useRef(null);
+  const [applied, setApplied] = useState(false);
+
+  // a new image invalidates the measurements
+  useEffect(() => {
+    sessionRef.current = null;
+    setApplied(false);
+  }, [imageObject]);
+
+  const sampleImage = () => {
+    const nw = imageObject.naturalWidth;
+    const nh = imageObject.naturalHeight;
+    const ratio = Math.min(1, SAMPLE_SIZE / Math.max(nw, nh));
+    const w = Math.max(1, Math.round(nw * ratio));
+    const h = Math.max(1, Math.round(nh * ratio));
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(imageObject, 0, 0, w, h);
+    return ctx.getImageData(0, 0, w, h);
+  };
+
+  // Restores the values from before Auto, then applies the enabled corrections
+  const apply = (session, which) => {
+    const corrections = computeAutoCorrections(session.sample, which);
+    setFilters((f) =>
+      applyAutoCorrections(
+        { ...f, basic: { ...f.basic, ...session.before.basic }, levels: session.before.levels },
+        corrections
+      )
+    );
+  };
+
+  const handleAuto = () => {
+    if (!imageObject || !imageObject.naturalWidth) return;
+    const session = {
+      sample: sampleImage(),
+      before: {
+        basic: { temperature: filters.basic.temperature, tint: filters.basic.tint },
+        levels: filters.levels,
+      },
+    };
+    sessionRef.current = session;
+    setApplied(true);
+    apply(session, enabled);
+  };
+
+  const handleToggle = (key, value) => {
+    const next = { ...enabled, [key]: value };
+    setEnabled(next);
+    if (sessionRef.current) apply(sessionRef.current, next);
+  };
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">Auto Enhance</h3>
+      <button
+        onClick={handleAuto}
+        disabled={!imageObject}
+        className={`self-center flex items-center gap-1 text-xs font-semibold py-1 px-3 rounded-md disabled:opacity-50 ${
+          isDark ? "bg-slate-600" : "bg-gray-200"
+        }`}
+      >
+        <SparklesIcon className="size-4" />
+        Auto
+      </button>
+      <div className="flex justify-center gap-3 mt-2 text-xs">
+        {Object.entries(AUTO_CORRECTIONS).map(([key, label]) => (
+          <label key={key} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={enabled[key]}
+              onChange={(e) => handleToggle(key, e.target.checked)}
+              className="checkbox checkbox-xs"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+      {applied && (
+        <p className="text-xs text-center opacity-70 mt-1">
+          Toggle a correction to drop or restore it.
+        </p>
+      )}
+    </div>
+  );
+};
+export default AutoPanel;
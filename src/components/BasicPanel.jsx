@@ -0,0 +1,44 @@
+import React from "react";
+import { BASIC_CONTROLS, DEFAULT_BASIC } from "../utils/basicAdjustments";
+
+// Photographic controls (exposure, white balance, tone ranges, clarity, vibrance).
+// Double-clicking a slider puts it back to 0.
+const BasicPanel = ({ basic, onChange, isDark }) => {
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">Light &amp; Color</h3>
+      {Object.entries(BASIC_CONTROLS).map(([key, { title, min, max, step, unit }]) => (
+        <label key={key} className="flex items-center gap-2 text-xs">
+          <span className="w-24 shrink-0">{title}</span>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={basic[key]}
+            onChange={(e) => onChange({ ...basic, [key]: parseFloat(e.target.value) })}
+            onDoubleClick={() => onChange({ ...basic, [key]: 0 })}
+            className="range range-xs range-accent"
+          />
+          <span
+            className={`w-14 text-right border-dashed ${
+              isDark ? "border-white" : "border-black"
+            } border px-1`}
+          >
+            {key === "exposure" ? basic[key].toFixed(2) : basic[key]}
+            {unit}
+          </span>
+        </label>
+      ))}
+      <button
+        onClick={() => onChange(DEFAULT_BASIC)}
+        className={`mt-2 self-center text-xs py-0.5 px-2 rounded-md ${
+          isDark ? "bg-slate-600" : "bg-gray-200"
+        }`}
+      >
+        Reset light &amp; color
+      </button>
+    </div>
+  );
+};
+export default BasicPanel;
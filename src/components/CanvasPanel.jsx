@@ -0,0 +1,157 @@
+import React, { useState } from "react";
+import { ChevronDownIcon, ChevronUpIcon } from "@heroicons/react/24/outline";
+import {
+  DEFAULT_FRAME,
+  FRAME_FILLS,
+  FRAME_SIDES,
+  frameIsIdentity,
+} from "../utils/canvasFrame";
+
+// Canvas extension, border and rounded corners for the export. Lengths are in natural
+// pixels of the edited image; `previewUrl` is a small render of the framed result.
+const CanvasPanel = ({ frame, setFrame, previewUrl, isDark }) => {
+  const [open, setOpen] = useState(false);
+  const [linkSides, setLinkSides] = useState(true);
+
+  const update = (changes) => setFrame({ ...frame, ...changes });
+  const setSide = (side, value) =>
+    update(
+      linkSides ? Object.fromEntries(FRAME_SIDES.map((s) => [s, value])) : { [side]: value }
+    );
+  // whole, non-negative pixels
+  const pixels = (e) => Math.max(0, Math.round(Number(e.target.value) || 0));
+
+  const input = `input input-xs w-16 ${isDark ? "bg-slate-800" : ""}`;
+
+  return (
+    <div
+      className={`mt-3 max-w-md mx-auto text-xs text-left ${
+        isDark ? "text-white" : "text-black"
+      }`}
+    >
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-1 font-semibold"
+      >
+        Canvas & border
+        {!frameIsIdentity(frame) && <span className="font-normal opacity-70">(on)</span>}
+        {open ? <ChevronUpIcon className="size-4" /> : <ChevronDownIcon className="size-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-2">
+          <div className="flex flex-wrap items-end gap-2">
+            {FRAME_SIDES.map((side) => (
+              <label key={side} className="flex flex-col capitalize">
+                {side}
+                <input
+                  type="number"
+                  min={0}
+                  value={frame[side]}
+                  onChange={(e) => setSide(side, pixels(e))}
+                  className={input}
+                />
+              </label>
+            ))}
+            <label className="flex items-center gap-1 pb-1">
+              <input
+                type="checkbox"
+                checked={linkSides}
+                onChange={(e) => setLinkSides(e.target.checked)}
+                className="checkbox checkbox-xs"
+              />
+              Same on all sides
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <span>Fill</span>
+            <select
+              value={frame.fill}
+              onChange={(e) => update({ fill: e.target.value })}
+              className={`select select-xs ${isDark ? "bg-slate-800" : ""}`}
+            >
+              {Object.entries(FRAME_FILLS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {frame.fill === "solid" && (
+              <input
+                type="color"
+                value={frame.fillColor}
+                onChange={(e) => update({ fillColor: e.target.value })}
+                title="Fill color"
+              />
+            )}
+            {frame.fill === "blur" && (
+              <input
+                type="range"
+                min={0}
+                max={100}
+                value={frame.fillBlur}
+                onChange={(e) => update({ fillBlur: Number(e.target.value) })}
+                className="range range-xs w-28"
+                title="Blur amount"
+              />
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-1">
+              Border
+              <input
+                type="number"
+                min={0}
+                value={frame.borderWidth}
+                onChange={(e) => update({ borderWidth: pixels(e) })}
+                className={input}
+              />
+              px
+            </label>
+            <input
+              type="color"
+              value={frame.borderColor}
+              onChange={(e) => update({ borderColor: e.target.value })}
+              title="Border color"
+            />
+            <label className="flex items-center gap-1">
+              Corner radius
+              <input
+                type="number"
+                min={0}
+                value={frame.cornerRadius}
+                onChange={(e) => update({ cornerRadius: pixels(e) })}
+                className={input}
+              />
+              px
+            </label>
+          </div>
+
+          <div className="flex items-center gap-3">
+            {previewUrl && (
+              <img
+                src={previewUrl}
+                alt="Framed preview"
+                className="max-h-32 max-w-[12rem]"
+                style={{
+                  // checkerboard so transparent areas are visible
+                  background:
+                    "repeating-conic-gradient(#ccc 0% 25%, #fff 0% 50%) 0 0 / 12px 12px",
+                }}
+              />
+            )}
+            <button
+              onClick={() => setFrame(DEFAULT_FRAME)}
+              className={`py-0.5 px-2 rounded-md ${isDark ? "bg-slate-600" : "bg-gray-200"}`}
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+export default CanvasPanel;
@@ -0,0 +1,37 @@
+import React from "react";
+import { CHANNEL_COLORS, CHANNEL_LABELS } from "../utils/channels";
+
+// Row of RGB / R / G / B buttons shared by the Curves and Levels panels.
+const ChannelTabs = ({
+  channels,
+  channel,
+  setChannel,
+  labels = CHANNEL_LABELS,
+  isDark,
+}) => {
+  return (
+    <div className="flex justify-center gap-1 mb-2">
+      {channels.map((c) => (
+        <button
+          key={c}
+          onClick={() => setChannel(c)}
+          className={`text-xs font-semibold py-0.5 px-2 rounded-md border ${
+            channel === c
+              ? "text-white"
+              : isDark
+              ? "border-slate-500"
+              : "border-gray-300"
+          }`}
+          style={
+            channel === c
+              ? { backgroundColor: CHANNEL_COLORS[c], borderColor: CHANNEL_COLORS[c] }
+              : undefined
+          }
+        >
+          {labels[c]}
+        </button>
+      ))}
+    </div>
+  );
+};
+export default ChannelTabs;
@@ -0,0 +1,109 @@
+import React from "react";
+import { ASPECT_PRESETS, CROP_OVERLAYS } from "../utils/cropAspect";
+
+// Aspect-ratio lock, guide overlay and exact X / Y / width / height (natural pixels)
+// for the crop selection. `rect` is null while nothing is selected.
+const CropControls = ({
+  aspectId,
+  onAspectChange,
+  customAspect,
+  onCustomAspectChange,
+  overlay,
+  setOverlay,
+  rect,
+  onRectChange,
+  onMaximize,
+  isDark,
+}) => {
+  const input = `input input-xs w-20 ${isDark ? "bg-slate-800" : ""}`;
+  const select = `select select-xs ${isDark ? "bg-slate-800" : ""}`;
+
+  return (
+    <div
+      className={`flex flex-wrap items-center justify-center gap-2 mt-2 text-sm ${
+        isDark ? "text-white" : "text-black"
+      }`}
+    >
+      <span>Crop:</span>
+      <select
+        value={aspectId}
+        onChange={(e) => onAspectChange(e.target.value)}
+        className={select}
+        title="Aspect ratio"
+      >
+        {ASPECT_PRESETS.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.label}
+          </option>
+        ))}
+      </select>
+      {aspectId === "custom" && (
+        <span className="flex items-center gap-1">
+          {["width", "height"].map((key, i) => (
+            <React.Fragment key={key}>
+              {i === 1 && ":"}
+              <input
+                type="number"
+                min={1}
+                value={customAspect[key]}
+                onChange={(e) =>
+                  onCustomAspectChange({
+                    ...customAspect,
+                    [key]: Math.max(0, parseFloat(e.target.value) || 0),
+                  })
+                }
+                className={`${input} w-14`}
+              />
+            </React.Fragment>
+          ))}
+        </span>
+      )}
+      <select
+        value={overlay}
+        onChange={(e) => setOverlay(e.target.value)}
+        className={select}
+        title="Guides shown in the selection"
+      >
+        {Object.entries(CROP_OVERLAYS).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={onMaximize}
+        className={`py-0.5 px-2 rounded-md text-xs font-medium ${
+          isDark ? "bg-slate-600 text-white" : "bg-gray-200 text-black"
+        }`}
+      >
+        Center &amp; maximise
+      </button>
+      {rect && (
+        <span className="flex flex-wrap items-center gap-1 text-xs">
+          {[
+            ["x", "X"],
+            ["y", "Y"],
+            ["width", "W"],
+            ["height", "H"],
+          ].map(([key, label]) => (
+            <label key={key} className="flex items-center gap-1">
+              {label}
+              <input
+                type="number"
+                min={0}
+                value={Math.round(rect[key])}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (Number.isFinite(value)) onRectChange(key, value);
+                }}
+                className={input}
+              />
+            </label>
+          ))}
+          <span className="opacity-70">px</span>
+        </span>
+      )}
+    </div>
+  );
+};
+export default CropControls;
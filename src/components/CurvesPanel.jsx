@@ -0,0 +1,159 @@
+import React, { useRef, useState } from "react";
+import { DEFAULT_CURVES, buildCurveLut } from "../utils/curves";
+import { CHANNELS, CHANNEL_COLORS, CHANNEL_LABELS } from "../utils/channels";
+import ChannelTabs from "./ChannelTabs.jsx";
+
+const SIZE = 255; // SVG viewBox size: one unit per tone level
+const PAD = 6;
+// the master curve works on luminance (curves.js)
+const LABELS = { ...CHANNEL_LABELS, master: "Luma" };
+
+// Curves editor: click on the graph to add a point, drag points to shape the curve,
+// double-click a point to remove it. Endpoints can be moved but not removed.
+const CurvesPanel = ({ curves, onChange, isDark }) => {
+  const [channel, setChannel] = useState("master");
+  const svgRef = useRef(null);
+  const dragIndexRef = useRef(null);
+
+  const points = curves[channel];
+
+  // Pointer position in curve space (0..255, y up). The viewBox has PAD units of
+  // margin on every side so the handles at the ends aren't clipped.
+  const toCurveSpace = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * (SIZE + 2 * PAD) - PAD;
+    const y = SIZE - (((e.clientY - rect.top) / rect.height) * (SIZE + 2 * PAD) - PAD);
+    return {
+      x: Math.max(0, Math.min(SIZE, Math.round(x))),
+      y: Math.max(0, Math.min(SIZE, Math.round(y))),
+    };
+  };
+
+  const setPoints = (next) => onChange({ ...curves, [channel]: next });
+
+  const movePoint = (index, p) => {
+    const next = points.map((pt) => ({ ...pt }));
+    // keep x strictly between the neighbours so the spline stays a function
+    const minX = index > 0 ? next[index - 1].x + 1 : 0;
+    const maxX = index < next.length - 1 ? next[index + 1].x - 1 : SIZE;
+    next[index] = { x: Math.max(minX, Math.min(maxX, p.x)), y: p.y };
+    setPoints(next);
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    svgRef.current.setPointerCapture(e.pointerId);
+    const p = toCurveSpace(e);
+
+    const hit = e.target.dataset.index;
+    if (hit !== undefined) {
+      dragIndexRef.current = Number(hit);
+      return;
+    }
+
+    // add a new point where the user clicked (unless one already sits on that x)
+    if (points.some((pt) => pt.x === p.x)) return;
+    const next = [...points, p].sort((a, b) => a.x - b.x);
+    dragIndexRef.current = next.indexOf(p);
+    setPoints(next);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragIndexRef.current == null) return;
+    movePoint(dragIndexRef.current, toCurveSpace(e));
+  };
+
+  const handlePointerUp = (e) => {
+    dragIndexRef.current = null;
+    if (svgRef.current.hasPointerCapture(e.pointerId))
+      svgRef.current.releasePointerCapture(e.pointerId);
+  };
+
+  const handleDoubleClick = (e) => {
+    const hit = e.target.dataset.index;
+    if (hit === undefined) return;
+    const index = Number(hit);
+    if (index === 0 || index === points.length - 1) return;
+    setPoints(points.filter((_, i) => i !== index));
+  };
+
+  const curvePath = (pts) => {
+    const lut = buildCurveLut(pts);
+    let d = `M 0 ${SIZE - lut[0]}`;
+    for (let x = 1; x < 256; x++) d += ` L ${x} ${SIZE - lut[x]}`;
+    return d;
+  };
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">Curves</h3>
+      <ChannelTabs
+        channels={CHANNELS}
+        channel={channel}
+        setChannel={setChannel}
+        labels={LABELS}
+        isDark={isDark}
+      />
+
+      <svg
+        ref={svgRef}
+        viewBox={`${-PAD} ${-PAD} ${SIZE + 2 * PAD} ${SIZE + 2 * PAD}`}
+        className={`w-full max-w-64 self-center aspect-square rounded-md touch-none cursor-crosshair ${
+          isDark ? "bg-slate-800" : "bg-gray-100"
+        }`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={handleDoubleClick}
+      >
+        {/* quarter grid + identity diagonal for reference */}
+        {[64, 128, 191].map((v) => (
+          <g key={v} stroke={isDark ? "#475569" : "#d1d5db"} strokeWidth="1">
+            <line x1={v} y1="0" x2={v} y2={SIZE} />
+            <line x1="0" y1={v} x2={SIZE} y2={v} />
+          </g>
+        ))}
+        <line
+          x1="0"
+          y1={SIZE}
+          x2={SIZE}
+          y2="0"
+          stroke={isDark ? "#64748b" : "#9ca3af"}
+          strokeDasharray="4 4"
+        />
+
+        <path
+          d={curvePath(points)}
+          fill="none"
+          stroke={CHANNEL_COLORS[channel]}
+          strokeWidth="2"
+          pointerEvents="none"
+        />
+        {points.map((pt, i) => (
+          <circle
+            key={i}
+            data-index={i}
+            cx={pt.x}
+            cy={SIZE - pt.y}
+            r="6"
+            fill={isDark ? "#0f172a" : "#ffffff"}
+            stroke={CHANNEL_COLORS[channel]}
+            strokeWidth="2"
+            className="cursor-move"
+          />
+        ))}
+      </svg>
+
+      <button
+        onClick={() => setPoints(DEFAULT_CURVES[channel])}
+        className={`mt-2 self-center text-xs py-0.5 px-2 rounded-md ${
+          isDark ? "bg-slate-600" : "bg-gray-200"
+        }`}
+      >
+        Reset {LABELS[channel]} curve
+      </button>
+    </div>
+  );
+};
+export default CurvesPanel;
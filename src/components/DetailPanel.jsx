@@ -0,0 +1,69 @@
+import React from "react";
+import {
+  DEFAULT_DETAIL,
+  DEFAULT_EFFECTS,
+  DETAIL_CONTROLS,
+  EFFECTS_CONTROLS,
+  randomGrainSeed,
+} from "../utils/detailEffects";
+
+// Sharpening, noise reduction, vignette and grain. Detail values are in the image's
+// natural pixels, so the preview at screen size is an approximation of the export.
+const DetailPanel = ({ detail, effects, onDetailChange, onEffectsChange, isDark }) => {
+  const rows = (controls, values, onChange) =>
+    Object.entries(controls).map(([key, { title, min, max, step, unit }]) => (
+      <label key={key} className="flex items-center gap-2 text-xs">
+        <span className="w-24 shrink-0">{title}</span>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={values[key]}
+          onChange={(e) => onChange({ ...values, [key]: parseFloat(e.target.value) })}
+          className="range range-xs range-accent"
+        />
+        <span
+          className={`w-14 text-right border-dashed ${
+            isDark ? "border-white" : "border-black"
+          } border px-1`}
+        >
+          {values[key]}
+          {unit}
+        </span>
+      </label>
+    ));
+
+  const button = `text-xs py-0.5 px-2 rounded-md ${
+    isDark ? "bg-slate-600" : "bg-gray-200"
+  }`;
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">Detail</h3>
+      {rows(DETAIL_CONTROLS, detail, onDetailChange)}
+      <button onClick={() => onDetailChange(DEFAULT_DETAIL)} className={`mt-2 self-center ${button}`}>
+        Reset detail
+      </button>
+
+      <h3 className="font-bold text-sm self-center mt-4 mb-2">Effects</h3>
+      {rows(EFFECTS_CONTROLS, effects, onEffectsChange)}
+      <div className="flex gap-2 justify-center mt-2">
+        <button
+          onClick={() => onEffectsChange({ ...effects, grainSeed: randomGrainSeed() })}
+          disabled={!effects.grainAmount}
+          className={`${button} disabled:opacity-50`}
+        >
+          New grain pattern
+        </button>
+        <button
+          onClick={() => onEffectsChange({ ...DEFAULT_EFFECTS, grainSeed: effects.grainSeed })}
+          className={button}
+        >
+          Reset effects
+        </button>
+      </div>
+    </div>
+  );
+};
+export default DetailPanel;
@@ -0,0 +1,102 @@
+import React from "react";
+import { EyeIcon, EyeSlashIcon, TrashIcon } from "@heroicons/react/24/outline";
+import { MAX_STRAIGHTEN, describeOp, normalizeAngle } from "../utils/editPipeline";
+
+// The crop / rotate / straighten / flip / perspective steps applied to the original
+// upload, in order. Each one can be switched off, changed (angles, flip axis) or
+// removed; "Revert to original" drops them all.
+const EditSteps = ({ ops, setOps, isDark }) => {
+  const update = (id, changes) =>
+    setOps((list) => list.map((op) => (op.id === id ? { ...op, ...changes } : op)));
+
+  const iconButton = `p-1 rounded-md ${
+    isDark ? "hover:bg-slate-600" : "hover:bg-gray-200"
+  }`;
+  const select = `select select-xs ${isDark ? "bg-slate-800" : ""}`;
+
+  if (ops.length === 0) return null;
+
+  return (
+    <div
+      className={`mt-3 max-w-md mx-auto text-xs text-left ${
+        isDark ? "text-white" : "text-black"
+      }`}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-semibold">Edit steps</span>
+        <button
+          onClick={() => setOps([])}
+          className={`py-0.5 px-2 rounded-md ${isDark ? "bg-slate-600" : "bg-gray-200"}`}
+        >
+          Revert to original
+        </button>
+      </div>
+      <ol>
+        {ops.map((op, index) => (
+          <li
+            key={op.id}
+            className={`flex items-center gap-2 py-0.5 ${op.enabled ? "" : "opacity-50"}`}
+          >
+            <span className="w-4 text-right">{index + 1}.</span>
+            <span className="grow">{describeOp(op)}</span>
+            {op.type === "rotate" && (
+              <select
+                value={op.angle}
+                onChange={(e) => update(op.id, { angle: normalizeAngle(Number(e.target.value)) })}
+                className={select}
+              >
+                {[90, 180, 270].map((a) => (
+                  <option key={a} value={a}>
+                    {a}°
+                  </option>
+                ))}
+              </select>
+            )}
+            {op.type === "straighten" && (
+              <input
+                type="number"
+                min={-MAX_STRAIGHTEN}
+                max={MAX_STRAIGHTEN}
+                step={0.1}
+                value={op.angle}
+                onChange={(e) => {
+                  const angle = parseFloat(e.target.value);
+                  if (Number.isFinite(angle))
+                    update(op.id, {
+                      angle: Math.max(-MAX_STRAIGHTEN, Math.min(MAX_STRAIGHTEN, angle)),
+                    });
+                }}
+                className={`input input-xs w-20 ${isDark ? "bg-slate-800" : ""}`}
+              />
+            )}
+            {op.type === "flip" && (
+              <select
+                value={op.axis}
+                onChange={(e) => update(op.id, { axis: e.target.value })}
+                className={select}
+              >
+                <option value="horizontal">Horizontal</option>
+                <option value="vertical">Vertical</option>
+              </select>
+            )}
+            <button
+              onClick={() => update(op.id, { enabled: !op.enabled })}
+              title={op.enabled ? "Turn off" : "Turn on"}
+              className={iconButton}
+            >
+              {op.enabled ? <EyeIcon className="size-4" /> : <EyeSlashIcon className="size-4" />}
+            </button>
+            <button
+              onClick={() => setOps((list) => list.filter((o) => o.id !== op.id))}
+              title="Remove"
+              className={iconButton}
+            >
+              <TrashIcon className="size-4" />
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+export default EditSteps;
@@ -0,0 +1,64 @@
+import React from "react";
+import { clippingStats } from "../utils/histogram";
+
+const HEIGHT = 100;
+
+// Builds a closed SVG area path for one 256-bin channel, scaled to `peak`.
+const areaPath = (bins, peak) => {
+  let d = `M 0 ${HEIGHT}`;
+  for (let i = 0; i < 256; i++) {
+    const h = Math.min(1, bins[i] / peak) * HEIGHT;
+    d += ` L ${i} ${HEIGHT - h}`;
+  }
+  return `${d} L 255 ${HEIGHT} Z`;
+};
+
+// RGB + luminance histogram of the filtered image, with clipping warnings.
+const Histogram = ({ histogram, isDark }) => {
+  if (!histogram) return null;
+
+  // Scale to the tallest bin excluding pure black/white, so a big clipped spike at
+  // either end doesn't flatten the rest of the graph (the spike is just cut off).
+  let peak = 1;
+  for (const bins of [histogram.r, histogram.g, histogram.b, histogram.luma])
+    for (let i = 1; i < 255; i++) peak = Math.max(peak, bins[i]);
+
+  const { shadows, highlights } = clippingStats(histogram);
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+  return (
+    <div className="w-full max-w-[420px] mx-auto mt-4">
+      <svg
+        viewBox={`0 0 255 ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className={`w-full h-24 rounded-md ${isDark ? "bg-slate-800" : "bg-white"}`}
+      >
+        <g style={{ mixBlendMode: isDark ? "screen" : "multiply" }} opacity="0.7">
+          <path d={areaPath(histogram.r, peak)} fill="#ef4444" />
+          <path d={areaPath(histogram.g, peak)} fill="#22c55e" />
+          <path d={areaPath(histogram.b, peak)} fill="#3b82f6" />
+        </g>
+        <path
+          d={areaPath(histogram.luma, peak)}
+          fill="none"
+          stroke={isDark ? "#e2e8f0" : "#334155"}
+          strokeWidth="1"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <div
+        className={`flex justify-between text-xs mt-1 ${
+          isDark ? "text-white" : "text-black"
+        }`}
+      >
+        <span className={shadows > 0.01 ? "text-blue-500 font-semibold" : ""}>
+          Shadows clipped: {pct(shadows)}
+        </span>
+        <span className={highlights > 0.01 ? "text-red-500 font-semibold" : ""}>
+          Highlights clipped: {pct(highlights)}
+        </span>
+      </div>
+    </div>
+  );
+};
+export default Histogram;
@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import {
+  ArrowUturnLeftIcon,
+  ArrowUturnRightIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+} from "@heroicons/react/24/outline";
+import { canRedo, canUndo } from "../utils/history";
+
+// Undo / redo buttons and the list of steps of the edit (utils/history.js). Clicking a
+// step goes back (or forward) to it; steps after the current one are the redo steps.
+const HistoryPanel = ({ history, onJump, isDark }) => {
+  const [open, setOpen] = useState(false);
+
+  const button = `flex items-center gap-1 py-0.5 px-2 rounded-md disabled:opacity-40 ${
+    isDark ? "bg-slate-600" : "bg-gray-200"
+  }`;
+
+  return (
+    <div
+      className={`mt-3 max-w-md mx-auto text-xs text-left ${
+        isDark ? "text-white" : "text-black"
+      }`}
+    >
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setOpen(!open)}
+          className="flex items-center gap-1 font-semibold"
+        >
+          History
+          {open ? <ChevronUpIcon className="size-4" /> : <ChevronDownIcon className="size-4" />}
+        </button>
+        <button
+          onClick={() => onJump(history.index - 1)}
+          disabled={!canUndo(history)}
+          title="Undo (Ctrl+Z)"
+          className={button}
+        >
+          <ArrowUturnLeftIcon className="size-4" />
+          Undo
+        </button>
+        <button
+          onClick={() => onJump(history.index + 1)}
+          disabled={!canRedo(history)}
+          title="Redo (Ctrl+Shift+Z)"
+          className={button}
+        >
+          <ArrowUturnRightIcon className="size-4" />
+          Redo
+        </button>
+      </div>
+
+      {open && (
+        <ol className="mt-1 max-h-48 overflow-y-auto">
+          {history.entries.map((entry, index) => (
+            <li key={`${entry.time}-${index}`}>
+              <button
+                onClick={() => onJump(index)}
+                className={`w-full text-left rounded-md px-2 py-0.5 border ${
+                  index === history.index ? "border-[#6ab7c3]" : "border-transparent"
+                } ${index > history.index ? "opacity-50" : ""}`}
+              >
+                {entry.label}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+export default HistoryPanel;
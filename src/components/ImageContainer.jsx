@@ -1,65 +1,320 @@
 import React, { useState, useRef, useEffect } from "react";
-import { PhotoIcon, ArrowDownTrayIcon } from "@heroicons/react/24/outline";
+import {
+  PhotoIcon,
+  ArrowDownTrayIcon,
+  ArrowsRightLeftIcon,
+  ArrowsUpDownIcon,
+} from "@heroicons/react/24/outline";
 import { saveAs } from "file-saver";
 import ReactCrop from "react-image-crop";
 import "react-image-crop/dist/ReactCrop.css";
+import {
+  applyFilters,
+  canPreviewWithCss,
+  filtersToCss,
+} from "../utils/filterEngine";
+import {
+  MAX_STRAIGHTEN,
+  appendFlip,
+  appendRotation,
+  clampCropRect,
+  createOp,
+  currentStraighten,
+  opsOutputSize,
+  opsPointMapper,
+  renderOps,
+  setStraighten,
+  straightenDirection,
+  straightenScale,
+} from "../utils/editPipeline";
+import {
+  GOLDEN_LINES,
+  aspectRatio,
+  editCropRect,
+  maximizedCrop,
+  scaleRect,
+} from "../utils/cropAspect";
+import { computeHistogram } from "../utils/histogram";
+import {
+  DEFAULT_FRAME,
+  frameIsIdentity,
+  frameOutputSize,
+  renderFrame,
+  scaleFrame,
+} from "../utils/canvasFrame";
+import { isConvexQuad } from "../utils/perspective";
+import {
+  DASH_STYLES,
+  DEFAULT_BRUSH,
+  DEFAULT_TEXT_STYLE,
+  HANDLE_SIZE,
+  SHAPE_TOOLS,
+  TEXT_ALIGNS,
+  TEXT_FONTS,
+  createBrushSampler,
+  createImage,
+  createShape,
+  createText,
+  drawAnnotation,
+  drawSelection,
+  hitImage,
+  hitShape,
+  hitText,
+  isDrawing,
+  moveShapeHandle,
+  shapePointsFromDrag,
+  textPointsAt,
+} from "../utils/annotations";
+import { composeLayers, initialLayers, isEditable } from "../utils/layers";
+import {
+  DEFAULT_REDACTION,
+  REDACT_MODES,
+  REDACT_SHAPES,
+  applyRedactions,
+  createRedaction,
+  isRedaction,
+} from "../utils/redaction";
+import {
+  drawWatermark,
+  loadOverlayImage,
+  loadWatermark,
+  saveWatermark,
+} from "../utils/overlays";
+import {
+  createHistory,
+  currentState,
+  describeChange,
+  jumpHistory,
+  newImageState,
+  recordHistory,
+} from "../utils/history";
+import {
+  DEFAULT_EXPORT_SIZE,
+  exportDimensions,
+  resampleImageData,
+} from "../utils/resample";
+import { ellipseInView, renderMaskAlpha } from "../utils/masks";
+import Histogram from "./Histogram.jsx";
+import EditSteps from "./EditSteps.jsx";
+import CropControls from "./CropControls.jsx";
+import ResizeDialog from "./ResizeDialog.jsx";
+import PerspectiveOverlay from "./PerspectiveOverlay.jsx";
+import CanvasPanel from "./CanvasPanel.jsx";
+import LayersPanel from "./LayersPanel.jsx";
+import HistoryPanel from "./HistoryPanel.jsx";
+import WatermarkPanel from "./WatermarkPanel.jsx";
+
+// Starting quad of the perspective tool, inset so every handle is easy to grab
+const DEFAULT_QUAD = [
+  { x: 0.1, y: 0.1 },
+  { x: 0.9, y: 0.1 },
+  { x: 0.9, y: 0.9 },
+  { x: 0.1, y: 0.9 },
+];
+
+// Draws `source` into ctx at w x h and runs the pixel filter engine over the result.
+// `scale` maps the blur radius from displayed CSS pixels to the target pixels,
+// `detailScale` is target pixels per natural pixel (for sharpening, noise and grain)
+// and `maskView` places the local adjustment masks (see maskViewOf).
+const drawFiltered = (ctx, source, w, h, filters, scale, detailScale, maskView) => {
+  ctx.drawImage(source, 0, 0, w, h);
+  const imageData = ctx.getImageData(0, 0, w, h);
+  applyFilters(imageData, filters, scale, detailScale, maskView);
+  ctx.putImageData(imageData, 0, 0);
+};
+
+// Maps mask geometry (original pixels, see masks.js) through the steps of `edit`
+// ({ width, height, ops } of the original) to a render with `k` target pixels per pixel
+// of the edited image.
+const maskViewOf = (edit, k) => {
+  if (!edit) return undefined;
+  const mapper = opsPointMapper(edit.width, edit.height, edit.ops);
+  return {
+    map: (p) => {
+      const q = mapper.toOutput(p);
+      return { x: q.x * k, y: q.y * k };
+    },
+    scale: mapper.scale * k,
+  };
+};
+
+// Shows the watermark over the displayed image, at the size it will have in the export
+const paintWatermark = (canvas, watermark) => {
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  const width = parseFloat(canvas.style.width) || canvas.width;
+  const height = parseFloat(canvas.style.height) || canvas.height;
+  ctx.clearRect(0, 0, width, height);
+  drawWatermark(ctx, width, height, watermark);
+};
+
+// Centre and axis points (CSS pixels) of an image turned by `angle` degrees
+const imagePoints = (centre, angle) => {
+  const t = (angle * Math.PI) / 180;
+  return [centre, { x: centre.x + 100 * Math.cos(t), y: centre.y + 100 * Math.sin(t) }];
+};
 
 // ImageContainer with drawing, crop, filters, download, and rotate functionality.
 // Inline comments explain implementation details and important edge-cases.
-export default function ImageContainer({ filters, isDark }) {
+export default function ImageContainer({
+  filters,
+  setFilters,
+  isDark,
+  imageObject,
+  setImageObject,
+  ops,
+  setOps,
+  maskEdit,
+}) {
   // ---------- Refs & state ----------
-  const [imageUrl, setImageUrl] = useState(null); // currently-displayed image src (data url or object URL)
+  // The upload itself is never modified: originalImage is the decoded file and `ops`
+  // (props, owned by App) the crop / rotate / flip steps on top of it, see editPipeline.js.
+  const [originalImage, setOriginalImage] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null); // object URL of the original rendered through `ops`
+  const renderedUrlRef = useRef(null); // same URL, for releasing it when the next render lands
   const imgRef = useRef(null); // <img> element reference
   const drawCanvasRef = useRef(null); // visible overlay canvas where user draws
+  const layerCanvasesRef = useRef(new Map()); // one canvas per annotation layer, by id
   const exportCanvasRef = useRef(null); // hidden canvas used for crop/export/rotate operations
   const wrapperRef = useRef(null); // wrapper around crop+img; used to position overlay canvas
+  const previewCanvasRef = useRef(null); // canvas showing the pixel-engine preview over the <img>
+  const maskCanvasRef = useRef(null); // overlay showing the coverage of the mask being edited
+  const redactCanvasRef = useRef(null); // preview of the redactions, under the layers
+  const watermarkCanvasRef = useRef(null); // preview of the watermark, over the layers
 
-  const [imageObject, setImageObject] = useState(null); // Image() object for natural dimensions
+  // imageObject / setImageObject (props): Image() object for natural dimensions, owned by App
   const [crop, setCrop] = useState(); // react-image-crop active crop
   const [completedCrop, setCompletedCrop] = useState(null); // last completed crop
+  const [aspectId, setAspectId] = useState("free"); // id from ASPECT_PRESETS
+  const [customAspect, setCustomAspect] = useState({ width: 4, height: 3 });
+  const [cropOverlay, setCropOverlay] = useState("thirds"); // key of CROP_OVERLAYS
 
   // Drawing states
   const [drawEnabled, setDrawEnabled] = useState(false);
-  const [isErasing, setIsErasing] = useState(false);
-  const [brushColor, setBrushColor] = useState("#ff0000");
-  const [brushSize, setBrushSize] = useState(6);
-  // strokesRef stores strokes in *display coordinates* (CSS pixels relative to displayed image)
-  // Each stroke: { points: [{x,y}], color, size, eraser }
+  // "brush" | "eraser" | "text" | "image" | "redact" | a key of SHAPE_TOOLS
+  const [tool, setTool] = useState("brush");
+  const isErasing = tool === "eraser";
+  const shapeTool = SHAPE_TOOLS[tool] ? tool : null;
+  const [brushColor, setBrushColor] = useState("#ff0000"); // also the shapes' line color
+  const [brushSize, setBrushSize] = useState(6); // also the shapes' line width
+  const [brush, setBrush] = useState(DEFAULT_BRUSH); // smoothing, pressure, hardness...
+  const [redaction, setRedaction] = useState(DEFAULT_REDACTION); // redact tool settings
+  // redaction being drawn: { redaction, start }, in CSS pixels until released
+  const redactDragRef = useRef(null);
+  // Photo and annotation layers (utils/layers.js); new annotations go on the active one
+  const [layers, setLayers] = useState(initialLayers);
+  const [activeLayerId, setActiveLayerId] = useState(layers[1].id);
+  const activeLayer = layers.find((l) => l.id === activeLayerId);
+  const photoOpacity = layers[0].visible ? layers[0].opacity / 100 : 0;
+  // Undo / redo of filters, steps, layers and annotations (utils/history.js)
+  const [history, setHistory] = useState(() =>
+    createHistory({ filters, ops, layers, annotations: [] })
+  );
+  const historyRef = useRef(history);
+  historyRef.current = history;
+  const [fillEnabled, setFillEnabled] = useState(false);
+  const [fillColor, setFillColor] = useState("#ffffff");
+  const [dash, setDash] = useState("solid"); // key of DASH_STYLES
+  // Text tool settings (sizes in CSS pixels) and the content of the selected text
+  const [textStyle, setTextStyle] = useState(DEFAULT_TEXT_STYLE);
+  const [textValue, setTextValue] = useState("");
+  const textInputRef = useRef(null);
+  // Image tool settings: width in % of the displayed image, rotation in degrees and
+  // opacity; they follow the selected image
+  const [imageStyle, setImageStyle] = useState({ size: 25, angle: 0, opacity: 100 });
+  const [imageError, setImageError] = useState(null);
+  // Text or logo stamped on every export, remembered between sessions (utils/overlays.js)
+  const [watermark, setWatermark] = useState(loadWatermark);
+  const watermarkRef = useRef(watermark);
+  watermarkRef.current = watermark;
+  // strokesRef stores finished strokes, shapes, texts and images (utils/annotations.js)
+  // in pixels of the *original upload*, so they move with every crop / rotate / flip /
+  // warp step (mapped through the ops when drawn). Sizes and widths are in original
+  // pixels too.
+  // The stroke being drawn stays in CSS pixels until the pointer is released.
   const strokesRef = useRef([]);
   const currentStrokeRef = useRef(null);
-
-  // rotationAngle is kept implicit: rotating creates a new image (data URL) so we don't need
-  // to maintain complicated transforms. This keeps overlay logic simple.
+  // sampler smoothing the stroke being drawn, and the overlay as it was before it
+  const brushSamplerRef = useRef(null);
+  const strokeSnapshotRef = useRef(null);
+  // Shape or text selected for editing, and the drag in progress:
+  // { id, start } drawing a new shape, { id, handle } moving a shape's handle,
+  // { id, origin, points } moving a whole shape or text (CSS pixels at the start)
+  const [selectedId, setSelectedId] = useState(null);
+  const selectedIdRef = useRef(null);
+  const annotationDragRef = useRef(null);
+  // Original size and ops of the image currently on screen, which can lag behind `ops`
+  // while a new render loads
+  const displayedEditRef = useRef(null);
+
+  // When on, the preview is rendered by the same pixel engine as the export instead of
+  // relying on the browser's CSS filter implementation.
+  const [exactPreview, setExactPreview] = useState(false);
+  const [histogram, setHistogram] = useState(null); // { r, g, b, luma } of the filtered image
+
+  // Before/after comparison. compareMode: "off" | "split" | "side". The original is the
+  // current image without filters, drawn inside ReactCrop so it lines up with the crop
+  // box and the drawing overlay exactly like the edited preview does.
+  const [compareMode, setCompareMode] = useState("off");
+  const [splitPos, setSplitPos] = useState(50); // split line position, % from the left
+  const [showOriginal, setShowOriginal] = useState(false); // press-and-hold override
+
+  // Local adjustment being edited (selected in the Sidebar's masks panel). While one is
+  // active, pointer input on the overlay canvas edits the mask instead of drawing.
+  const activeMask =
+    (maskEdit.activeId && filters.masks.find((m) => m.id === maskEdit.activeId)) ||
+    null;
+  // Refs so overlay repaints triggered from resize observers see the latest values
+  const activeMaskRef = useRef(activeMask);
+  activeMaskRef.current = activeMask;
+  const maskEditRef = useRef(maskEdit);
+  maskEditRef.current = maskEdit;
+  // In-progress mask edit: { mask } with the stroke / gradient being dragged applied
+  const maskDragRef = useRef(null);
+
+  // Straighten angle while its slider is being dragged (null otherwise). The step is only
+  // added to `ops` on release; until then the displayed image is rotated with CSS.
+  const [straightenDraft, setStraightenDraft] = useState(null);
+
+  // Corners of the perspective quad while the tool is open (fractions of the displayed
+  // image, null otherwise). Applying adds a perspective step.
+  const [perspectiveDraft, setPerspectiveDraft] = useState(null);
+
+  // Export size: the download is composed at natural size, then resampled in JS
+  const [exportSize, setExportSize] = useState(DEFAULT_EXPORT_SIZE);
+  const [resizeOpen, setResizeOpen] = useState(false);
+
+  // Canvas extension / border / rounded corners put around the export (canvasFrame.js)
+  const [frame, setFrame] = useState(DEFAULT_FRAME);
+  const [framePreview, setFramePreview] = useState(null); // data URL of a small framed render
 
   // ---------- Filters ----------
-  const filterStyle = `
-    blur(${filters.blur}px)
-    grayscale(${filters.grayScale}%)
-    brightness(${filters.brightness}%)
-    contrast(${filters.contrast}%)
-    hue-rotate(${filters.hueRotate}deg)
-    invert(${filters.invert}%)
-    opacity(${filters.opacity}%)
-    saturate(${filters.saturate}%)
-    sepia(${filters.sepia}%)
-  `;
+  // Only used for the fast CSS preview; exports always go through the pixel engine.
+  const filterStyle = filtersToCss(filters);
+  // Levels, curves and LUTs have no CSS equivalent, so they force the engine-rendered preview
+  const pixelPreview = exactPreview || !canPreviewWithCss(filters);
 
   // ---------- Image upload ----------
   const handleImageUpload = (event) => {
     const file = event.target.files[0];
     if (file) {
       const newImageUrl = URL.createObjectURL(file);
-      setImageUrl(newImageUrl);
 
       // create Image object to access naturalWidth/naturalHeight later
       const image = new Image();
       image.src = newImageUrl;
       image.onload = () => {
-        setImageObject(image);
+        if (originalImage) URL.revokeObjectURL(originalImage.src);
+        setOriginalImage(image);
+        // a new upload starts a new edit, and a new history
+        const start = newImageState({ filters, ops, layers, annotations: [] });
+        setFilters(start.filters);
+        setOps(start.ops);
+        setPerspectiveDraft(null);
         // Clear any previous drawings because new image has different coords
-        strokesRef.current = [];
-        // Small delay to allow the <img> to layout, then align the drawing canvas
-        setTimeout(syncDrawCanvasToImage, 50);
+        strokesRef.current = start.annotations;
+        selectAnnotation(null);
+        setHistory(createHistory(start));
       };
       image.onerror = () => {
         console.error("Failed to load image.");
@@ -67,7 +322,48 @@ export default function ImageContainer({ filters, isDark }) {
     }
   };
 
+  // ---------- Rendering the edit ----------
+  // Whenever the original or the list of operations changes, the displayed image is
+  // rendered again from the original, so nothing is ever resampled twice. Filters stay
+  // out of this step: the preview and the export apply them on top.
+  useEffect(() => {
+    if (!originalImage) return;
+    let cancelled = false;
+    renderOps(originalImage, ops).toBlob((blob) => {
+      if (cancelled || !blob) return;
+      const url = URL.createObjectURL(blob);
+      const image = new Image();
+      image.src = url;
+      image.onload = () => {
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+          return;
+        }
+        // release the render this one replaces
+        if (renderedUrlRef.current) URL.revokeObjectURL(renderedUrlRef.current);
+        renderedUrlRef.current = url;
+        setImageObject(image);
+        setImageUrl(url);
+        displayedEditRef.current = {
+          width: originalImage.naturalWidth,
+          height: originalImage.naturalHeight,
+          ops,
+        };
+        // the crop selection is in the previous image's coordinates (strokes are
+        // mapped to the new one when the new imageUrl syncs the overlay below)
+        setCrop(undefined);
+        setCompletedCrop(undefined);
+      };
+    }, "image/png");
+    return () => {
+      cancelled = true;
+    };
+  }, [originalImage, ops, setImageObject]);
+
   // ---------- Canvas synchronization ----------
+  // changes when layer canvases are added, removed or reordered
+  const layerKey = layers.map((l) => l.id).join();
+
   // Aligns the overlay canvas exactly over the displayed image. Uses getBoundingClientRect()
   // and ResizeObserver to react to layout changes. Also sets the backing-store size using
   // devicePixelRatio so strokes remain crisp on high-DPI screens.
@@ -78,35 +374,61 @@ export default function ImageContainer({ filters, isDark }) {
     if (!img || !canvas || !wrapper) return;
 
     const imgRect = img.getBoundingClientRect();
-    const wrapperRect = wrapper.getBoundingClientRect();
+    // position is relative to the canvas's positioned ancestor (the box inside the
+    // wrapper's border and padding), not to the wrapper itself
+    const parentRect = (canvas.offsetParent || wrapper).getBoundingClientRect();
     const dpr = window.devicePixelRatio || 1;
 
-    // Canvas CSS position relative to wrapper
-    const left = imgRect.left - wrapperRect.left;
-    const top = imgRect.top - wrapperRect.top;
+    // Canvas CSS position relative to its positioned ancestor
+    const left = imgRect.left - parentRect.left;
+    const top = imgRect.top - parentRect.top;
 
     // Display size in CSS pixels
     const dispW = Math.max(1, Math.round(imgRect.width));
     const dispH = Math.max(1, Math.round(imgRect.height));
 
-    // Position and size the canvas in CSS pixels so it overlays the image visually
-    canvas.style.position = "absolute";
-    canvas.style.left = `${left}px`;
-    canvas.style.top = `${top}px`;
-    canvas.style.width = `${dispW}px`;
-    canvas.style.height = `${dispH}px`;
-    canvas.style.zIndex = 5; // keep it above the image and below UI controls
-
-    // Then set the internal pixel backing store scaled by devicePixelRatio for sharpness
-    canvas.width = Math.floor(dispW * dpr);
-    canvas.height = Math.floor(dispH * dpr);
+    // The redaction preview, the layer canvases, the watermark preview and the drawing
+    // canvas on top of them share the same box
+    const overlays = [
+      redactCanvasRef.current,
+      ...layerCanvasesRef.current.values(),
+      watermarkCanvasRef.current,
+      canvas,
+    ];
+    for (const c of overlays.filter(Boolean)) {
+      // Position and size the canvas in CSS pixels so it overlays the image visually
+      c.style.position = "absolute";
+      c.style.left = `${left}px`;
+      c.style.top = `${top}px`;
+      c.style.width = `${dispW}px`;
+      c.style.height = `${dispH}px`;
+      c.style.zIndex = 5; // keep it above the image and below UI controls
+
+      // Then set the internal pixel backing store scaled by devicePixelRatio for sharpness
+      c.width = Math.floor(dispW * dpr);
+      c.height = Math.floor(dispH * dpr);
+
+      // Map drawing operations from CSS pixels to backing store using setTransform
+      c.getContext("2d").setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
 
-    // Map drawing operations from CSS pixels to backing store using setTransform
-    const ctx = canvas.getContext("2d");
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    // The mask overlay shares the same box (CSS pixels only: it's a coarse tint)
+    const maskCanvas = maskCanvasRef.current;
+    if (maskCanvas) {
+      maskCanvas.style.position = "absolute";
+      maskCanvas.style.left = `${left}px`;
+      maskCanvas.style.top = `${top}px`;
+      maskCanvas.style.width = `${dispW}px`;
+      maskCanvas.style.height = `${dispH}px`;
+      maskCanvas.style.zIndex = 4; // under the drawing canvas
+      maskCanvas.width = dispW;
+      maskCanvas.height = dispH;
+    }
 
     // Repaint any stored strokes onto the resized canvas
     redrawStrokes();
+    paintWatermark(watermarkCanvasRef.current, watermarkRef.current);
+    renderMaskOverlay();
   };
 
   useEffect(() => {
@@ -128,46 +450,572 @@ export default function ImageContainer({ filters, isDark }) {
       window.removeEventListener("resize", onResize);
       if (ro && imgRef.current) ro.unobserve(imgRef.current);
     };
-  }, [imageUrl, completedCrop, drawEnabled]);
+  }, [imageUrl, completedCrop, drawEnabled, compareMode, layerKey]);
 
   // ---------- Drawing utilities ----------
-  // Repaint all strokes (stored in CSS pixels) onto the overlay canvas. Uses
-  // destination-out composite for eraser strokes.
+  // Mapping between stroke coordinates (original pixels) and CSS pixels of the displayed
+  // image, through the ops it was rendered with. null until an image is shown.
+  const displayMapping = () => {
+    const img = imgRef.current;
+    const edit = displayedEditRef.current;
+    if (!img || !edit || !img.naturalWidth || !img.clientWidth) return null;
+    const mapper = opsPointMapper(edit.width, edit.height, edit.ops);
+    const kx = img.clientWidth / img.naturalWidth;
+    const ky = img.clientHeight / img.naturalHeight;
+    return {
+      toDisplay: (p) => {
+        const q = mapper.toOutput(p);
+        return { x: q.x * kx, y: q.y * ky };
+      },
+      toOriginal: (p) => mapper.toOriginal({ x: p.x / kx, y: p.y / ky }),
+      scale: mapper.scale * ((kx + ky) / 2), // CSS pixels per original pixel
+    };
+  };
+
+  // Repaint all strokes onto their layer canvases, mapped from original pixels to the
+  // displayed image (crops clip them at the canvas edge).
   const redrawStrokes = () => {
     const canvas = drawCanvasRef.current;
     if (!canvas) return;
+    const mapping = displayMapping();
+    const layerCanvases = layerCanvasesRef.current;
+    for (const c of [...layerCanvases.values(), canvas]) {
+      // clear whole canvas in CSS pixels (ctx transform maps to CSS space)
+      const cssW = parseFloat(c.style.width) || c.width;
+      const cssH = parseFloat(c.style.height) || c.height;
+      c.getContext("2d").clearRect(0, 0, cssW, cssH);
+    }
+    if (!mapping) return;
+
+    for (const a of strokesRef.current) {
+      const layerCanvas = layerCanvases.get(a.layer);
+      if (layerCanvas)
+        drawAnnotation(layerCanvas.getContext("2d"), a, mapping.toDisplay, mapping.scale);
+    }
+
     const ctx = canvas.getContext("2d");
 
-    // clear whole canvas in CSS pixels (ctx transform maps to CSS space)
-    const cssW = parseFloat(canvas.style.width) || canvas.width;
-    const cssH = parseFloat(canvas.style.height) || canvas.height;
-    ctx.clearRect(0, 0, cssW, cssH);
-
-    ctx.lineJoin = "round";
-    ctx.lineCap = "round";
-
-    for (const s of strokesRef.current) {
-      if (!s.points || s.points.length === 0) continue;
-      ctx.lineWidth = s.size;
-      if (s.eraser) {
-        // Eraser: draw using destination-out so underlying pixels become transparent on export
-        ctx.save();
-        ctx.globalCompositeOperation = "destination-out";
-        ctx.beginPath();
-        ctx.moveTo(s.points[0].x, s.points[0].y);
-        for (let i = 1; i < s.points.length; i++)
-          ctx.lineTo(s.points[i].x, s.points[i].y);
-        ctx.stroke();
-        ctx.restore();
-      } else {
-        ctx.strokeStyle = s.color;
+    // handles / frame of the selected annotation (overlay only, never exported)
+    const selected = findAnnotation(selectedIdRef.current);
+    if (selected) drawSelection(ctx, selected, mapping.toDisplay, mapping.scale);
+    renderRedactionOverlay();
+  };
+
+  // Shows the redactions over the displayed image, worked out from the displayed pixels
+  // the same way the export works them out at full size. The one being drawn is in CSS
+  // pixels. The <img> is unfiltered, so the canvas gets the same CSS filter as the <img>
+  // when it's used; the exact preview canvas is filtered already.
+  const renderRedactionOverlay = () => {
+    const canvas = redactCanvasRef.current;
+    const img = imgRef.current;
+    if (!canvas || !img) return;
+    const ctx = canvas.getContext("2d");
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const mapping = displayMapping();
+    const items = strokesRef.current.filter(isRedaction);
+    const drawing = redactDragRef.current;
+    if (mapping && (items.length > 0 || drawing)) {
+      const work = document.createElement("canvas");
+      work.width = canvas.width;
+      work.height = canvas.height;
+      const workCtx = work.getContext("2d", { willReadFrequently: true });
+      workCtx.drawImage(previewCanvasRef.current || img, 0, 0, work.width, work.height);
+      const dpr = canvas.width / (img.clientWidth || canvas.width);
+      const toDevice = (p) => {
+        const q = mapping.toDisplay(p);
+        return { x: q.x * dpr, y: q.y * dpr };
+      };
+      applyRedactions(ctx, workCtx, items, toDevice, mapping.scale * dpr);
+      if (drawing) {
+        const scaled = (p) => ({ x: p.x * dpr, y: p.y * dpr });
+        applyRedactions(ctx, workCtx, [drawing.redaction], scaled, dpr);
+      }
+    }
+    ctx.restore();
+  };
+
+  // ---------- Shapes & text ----------
+  const findAnnotation = (id) => (id ? strokesRef.current.find((a) => a.id === id) : null);
+
+  const selectAnnotation = (id) => {
+    selectedIdRef.current = id;
+    setSelectedId(id);
+    const selected = findAnnotation(id);
+    if (selected && selected.kind === "text") setTextValue(selected.text);
+    const mapping = displayMapping();
+    if (selected && selected.kind === "image" && mapping) {
+      const [a, b] = selected.points.map(mapping.toDisplay);
+      const displayedWidth = selected.width * mapping.scale;
+      setImageStyle({
+        size: Math.round((displayedWidth * 100) / imgRef.current.clientWidth),
+        angle: Math.round((Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI),
+        opacity: selected.opacity,
+      });
+    }
+  };
+
+  const replaceAnnotation = (id, changes) => {
+    strokesRef.current = strokesRef.current.map((a) => (a.id === id ? { ...a, ...changes } : a));
+  };
+
+  // Applies a toolbar change to the selected shape, text or image too
+  const updateSelected = (changes) => {
+    const selected = findAnnotation(selectedIdRef.current);
+    if (!selected) return;
+    replaceAnnotation(selected.id, changes);
+    redrawStrokes();
+    // typing and colour picker drags make one step
+    recordAnnotations(`Edit ${selected.kind}`, `edit:${selected.id}`);
+  };
+
+  // Text style change from the toolbar; lengths are converted to original pixels for
+  // the selected text
+  const updateTextStyle = (changes) => {
+    setTextStyle((style) => ({ ...style, ...changes }));
+    const selected = findAnnotation(selectedIdRef.current);
+    const mapping = displayMapping();
+    if (!selected || selected.kind !== "text" || !mapping) return;
+    const converted = { ...changes };
+    for (const key of ["fontSize", "outlineWidth"])
+      if (key in converted) converted[key] /= mapping.scale;
+    updateSelected(converted);
+  };
+
+  // Image style change from the toolbar: the selected image is resized and turned
+  // about its centre
+  const updateImageStyle = (changes) => {
+    const style = { ...imageStyle, ...changes };
+    setImageStyle(style);
+    const selected = findAnnotation(selectedIdRef.current);
+    const mapping = displayMapping();
+    if (!selected || selected.kind !== "image" || !mapping) return;
+    const width = (style.size / 100) * (imgRef.current.clientWidth / mapping.scale);
+    const centre = mapping.toDisplay(selected.points[0]);
+    const axis = imagePoints(centre, style.angle)[1];
+    updateSelected({
+      points: [selected.points[0], mapping.toOriginal(axis)],
+      width,
+      height: (width * selected.height) / selected.width,
+      opacity: style.opacity,
+    });
+  };
+
+  // Places a picture from disk (a logo, a sticker) in the middle of the displayed
+  // image, on the active layer. It is kept as an object URL for as long as the page is
+  // open, since undo can bring it back.
+  const handleAddImage = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    if (!isEditable(activeLayer)) {
+      setImageError("The active layer is hidden or locked.");
+      return;
+    }
+    const src = URL.createObjectURL(file);
+    let image;
+    try {
+      image = await loadOverlayImage(src);
+    } catch (err) {
+      URL.revokeObjectURL(src);
+      setImageError(`${file.name}: ${err.message}`);
+      return;
+    }
+    const mapping = displayMapping();
+    if (!mapping) return;
+    setImageError(null);
+    const img = imgRef.current;
+    const centre = { x: img.clientWidth / 2, y: img.clientHeight / 2 };
+    const width = (imageStyle.size / 100) * (img.clientWidth / mapping.scale);
+    const overlay = createImage(
+      src,
+      imagePoints(centre, imageStyle.angle).map(mapping.toOriginal),
+      width,
+      (width * image.naturalHeight) / image.naturalWidth,
+      { opacity: imageStyle.opacity, layer: activeLayerId }
+    );
+    strokesRef.current = [...strokesRef.current, overlay];
+    selectAnnotation(overlay.id);
+    redrawStrokes();
+    recordAnnotations("Add image");
+  };
+
+  // The topmost shape, text or image under `p` (CSS pixels) on a visible, unlocked layer
+  const annotationAt = (p, mapping) => {
+    const ctx = drawCanvasRef.current.getContext("2d");
+    const order = layers.map((l) => l.id);
+    const editable = new Set(layers.filter(isEditable).map((l) => l.id));
+    const candidates = strokesRef.current.filter((a) => editable.has(a.layer));
+    candidates.reverse();
+    // top layer first, and the latest first within a layer (the sort is stable)
+    candidates.sort((a, b) => order.indexOf(b.layer) - order.indexOf(a.layer));
+    return candidates.find((a) => {
+      const points = a.points.map(mapping.toDisplay);
+      if (a.kind === "text") return hitText(ctx, a, points, mapping.scale, p);
+      if (a.kind === "image") return hitImage(a, points, mapping.scale, p);
+      if (a.kind !== "shape") return false;
+      const tolerance = (a.width * mapping.scale) / 2 + 4;
+      return hitShape(a.shape, points, p, tolerance, Boolean(a.fillColor));
+    });
+  };
+
+  const handleAnnotationPointerDown = (e) => {
+    const mapping = displayMapping();
+    if (!mapping) return;
+    const p = getLocalPointerPos(e);
+    const before = strokesRef.current; // to tell on release whether anything changed
+
+    // a handle of the selected shape
+    const selected = findAnnotation(selectedIdRef.current);
+    if (selected && selected.kind === "shape") {
+      const near = (q) =>
+        Math.abs(q.x - p.x) <= HANDLE_SIZE && Math.abs(q.y - p.y) <= HANDLE_SIZE;
+      const handle = selected.points.map(mapping.toDisplay).findIndex(near);
+      if (handle >= 0) {
+        annotationDragRef.current = { id: selected.id, handle, before };
+        return;
+      }
+    }
+
+    // the topmost shape, text or image under the pointer: select it and drag it along
+    const hit = annotationAt(p, mapping);
+    if (hit) {
+      selectAnnotation(hit.id);
+      setActiveLayerId(hit.layer);
+      annotationDragRef.current = {
+        id: hit.id,
+        origin: p,
+        points: hit.points.map(mapping.toDisplay),
+        before,
+      };
+      redrawStrokes();
+      return;
+    }
+
+    if (tool === "image") {
+      // images are added from the toolbar; a click beside them only deselects
+      selectAnnotation(null);
+      redrawStrokes();
+      return;
+    }
+    if (!isEditable(activeLayer)) return;
+    if (tool === "text") {
+      // place a new text box; its content is typed in the toolbar
+      const text = createText(
+        "Text",
+        {
+          ...textStyle,
+          fontSize: textStyle.fontSize / mapping.scale,
+          outlineWidth: textStyle.outlineWidth / mapping.scale,
+          layer: activeLayerId,
+        },
+        textPointsAt(p).map(mapping.toOriginal)
+      );
+      strokesRef.current = [...strokesRef.current, text];
+      selectAnnotation(text.id);
+      annotationDragRef.current = {
+        id: text.id,
+        origin: p,
+        points: textPointsAt(p),
+        before,
+        created: true,
+      };
+      redrawStrokes();
+      setTimeout(() => textInputRef.current?.select(), 0);
+      return;
+    }
+
+    // otherwise start a new shape
+    const shape = createShape(shapeTool, {
+      strokeColor: brushColor,
+      fillColor: fillEnabled ? fillColor : null,
+      width: brushSize / mapping.scale,
+      dash,
+      layer: activeLayerId,
+    });
+    shape.points = shapePointsFromDrag(shapeTool, p, p).map(mapping.toOriginal);
+    strokesRef.current = [...strokesRef.current, shape];
+    selectAnnotation(shape.id);
+    annotationDragRef.current = { id: shape.id, start: p, before };
+    redrawStrokes();
+  };
+
+  const handleAnnotationPointerMove = (e) => {
+    const drag = annotationDragRef.current;
+    const annotation = findAnnotation(drag.id);
+    const mapping = displayMapping();
+    if (!annotation || !mapping) return;
+    const p = getLocalPointerPos(e);
+    let points;
+    if (drag.start) points = shapePointsFromDrag(annotation.shape, drag.start, p, e.shiftKey);
+    else if (drag.handle != null)
+      points = moveShapeHandle(
+        annotation.shape,
+        annotation.points.map(mapping.toDisplay),
+        drag.handle,
+        p,
+        e.shiftKey
+      );
+    else {
+      const dx = p.x - drag.origin.x;
+      const dy = p.y - drag.origin.y;
+      points = drag.points.map((q) => ({ x: q.x + dx, y: q.y + dy }));
+    }
+    replaceAnnotation(annotation.id, { points: points.map(mapping.toOriginal) });
+    redrawStrokes();
+  };
+
+  const handleAnnotationPointerUp = () => {
+    const drag = annotationDragRef.current;
+    annotationDragRef.current = null;
+    const shape = findAnnotation(drag.id);
+    const mapping = displayMapping();
+    if (drag.start && shape && mapping) {
+      // a click without a drag doesn't leave an invisible shape behind
+      const pts = shape.points.map(mapping.toDisplay);
+      const extent = Math.max(
+        ...pts.map((q) => Math.hypot(q.x - pts[0].x, q.y - pts[0].y))
+      );
+      if (extent < 3) {
+        strokesRef.current = drag.before;
+        selectAnnotation(null);
+        redrawStrokes();
+      }
+    }
+    // selecting without moving isn't a step
+    if (!shape || strokesRef.current === drag.before) return;
+    if (drag.start) recordAnnotations(SHAPE_TOOLS[shape.shape]);
+    else if (drag.created) recordAnnotations("Add text");
+    else recordAnnotations(drag.handle != null ? "Edit shape" : `Move ${shape.kind}`);
+  };
+
+  // A removed layer takes its strokes, shapes and texts with it
+  const removeLayerAnnotations = (id) => {
+    strokesRef.current = strokesRef.current.filter((a) => a.layer !== id);
+    if (!findAnnotation(selectedIdRef.current)) selectAnnotation(null);
+    redrawStrokes();
+  };
+
+  const deleteSelected = () => {
+    const selected = findAnnotation(selectedIdRef.current);
+    if (!selected) return;
+    strokesRef.current = strokesRef.current.filter((a) => a.id !== selected.id);
+    selectAnnotation(null);
+    redrawStrokes();
+    recordAnnotations(`Delete ${selected.kind}`);
+  };
+
+  const handleTextChange = (value) => {
+    setTextValue(value);
+    const selected = findAnnotation(selectedIdRef.current);
+    if (selected && selected.kind === "text") updateSelected({ text: value });
+  };
+
+  const selectTool = (next) => {
+    setTool(next);
+    // keep the selection while switching between shape tools only
+    const selected = findAnnotation(selectedIdRef.current);
+    const keep =
+      selected &&
+      (selected.kind === "shape" ? Boolean(SHAPE_TOOLS[next]) : next === selected.kind);
+    if (!keep) {
+      selectAnnotation(null);
+      redrawStrokes();
+    }
+  };
+
+  // ---------- Redaction ----------
+  // A box dragged out or a brush stroke; it rewrites the photo's pixels in the export.
+  const handleRedactPointerDown = (e) => {
+    const p = getLocalPointerPos(e);
+    const points = redaction.shape === "rect" ? shapePointsFromDrag("rect", p, p) : [p];
+    redactDragRef.current = {
+      start: p,
+      redaction: createRedaction(redaction, points, brushSize),
+    };
+    renderRedactionOverlay();
+  };
+
+  const handleRedactPointerMove = (e) => {
+    const drag = redactDragRef.current;
+    const p = getLocalPointerPos(e);
+    const r = drag.redaction;
+    r.points =
+      r.shape === "rect"
+        ? shapePointsFromDrag("rect", drag.start, p, e.shiftKey)
+        : [...r.points, p];
+    renderRedactionOverlay();
+  };
+
+  const handleRedactPointerUp = () => {
+    const { redaction: r } = redactDragRef.current;
+    redactDragRef.current = null;
+    const mapping = displayMapping();
+    const [a, , c] = r.points;
+    // a click with the box tool doesn't leave an empty box behind
+    const empty =
+      r.shape === "rect" && Math.abs(c.x - a.x) < 2 && Math.abs(c.y - a.y) < 2;
+    if (mapping && !empty) {
+      strokesRef.current = [
+        ...strokesRef.current,
+        {
+          ...r,
+          points: r.points.map(mapping.toOriginal),
+          size: r.size / mapping.scale,
+          amount: r.amount / mapping.scale,
+        },
+      ];
+      recordAnnotations(`Redact (${REDACT_MODES[r.mode].toLowerCase()})`);
+    }
+    renderRedactionOverlay();
+  };
+
+  // ---------- Mask editing ----------
+  // Paints the coverage of the mask being edited as a red tint, plus guides for the
+  // gradient masks. Reads refs so it can be called from any stale closure.
+  const renderMaskOverlay = () => {
+    const canvas = maskCanvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+
+    const mask = maskDragRef.current?.mask || activeMaskRef.current;
+    const mapping = displayMapping();
+    if (!mask || !mapping) return;
+    // mask geometry is in original pixels; the overlay is in CSS pixels of the display
+    const view = { map: mapping.toDisplay, scale: mapping.scale };
+
+    if (maskEditRef.current.showOverlay) {
+      const alpha = renderMaskAlpha(mask, w, h, view);
+      const tint = ctx.createImageData(w, h);
+      for (let i = 0; i < alpha.length; i++) {
+        tint.data[i * 4] = 255;
+        tint.data[i * 4 + 3] = Math.round(alpha[i] * 110);
+      }
+      ctx.putImageData(tint, 0, 0);
+    }
+
+    ctx.save();
+    ctx.strokeStyle = "#ffffff";
+    ctx.fillStyle = "#ffffff";
+    ctx.shadowColor = "rgba(0,0,0,0.7)";
+    ctx.shadowBlur = 3;
+    ctx.lineWidth = 1.5;
+    if (mask.kind === "linear" && mask.line) {
+      const { x1, y1, x2, y2 } = mask.line;
+      const ends = [view.map({ x: x1, y: y1 }), view.map({ x: x2, y: y2 })];
+      ctx.beginPath();
+      ctx.moveTo(ends[0].x, ends[0].y);
+      ctx.lineTo(ends[1].x, ends[1].y);
+      ctx.stroke();
+      for (const { x, y } of ends) {
         ctx.beginPath();
-        ctx.moveTo(s.points[0].x, s.points[0].y);
-        for (let i = 1; i < s.points.length; i++)
-          ctx.lineTo(s.points[i].x, s.points[i].y);
-        ctx.stroke();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    } else if (mask.kind === "radial" && mask.ellipse) {
+      // traced from its semi-axes, since rotate / perspective steps turn and skew it
+      const { c, a, b } = ellipseInView(mask.ellipse, view);
+      ctx.beginPath();
+      for (let i = 0; i <= 72; i++) {
+        const t = (i / 72) * Math.PI * 2;
+        const x = c.x + a.x * Math.cos(t) + b.x * Math.sin(t);
+        const y = c.y + a.y * Math.cos(t) + b.y * Math.sin(t);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
       }
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  };
+
+  const renderMaskOverlayRef = useRef(renderMaskOverlay);
+  renderMaskOverlayRef.current = renderMaskOverlay;
+  useEffect(() => {
+    renderMaskOverlayRef.current();
+  }, [activeMask, maskEdit.showOverlay]);
+
+  // Pointer position in original pixels, as stored in masks, plus the mapping it went
+  // through (null before an image is shown)
+  const getMaskPointerPos = (e) => {
+    const mapping = displayMapping();
+    if (!mapping) return null;
+    return { p: mapping.toOriginal(getLocalPointerPos(e)), mapping };
+  };
+
+  const handleMaskPointerDown = (e) => {
+    const pos = getMaskPointerPos(e);
+    if (!pos) return;
+    const { p, mapping } = pos;
+    const mask = activeMask;
+    if (mask.kind === "brush") {
+      const stroke = {
+        points: [p],
+        size: maskEdit.brushSize / mapping.scale, // brush size in original pixels
+        erase: maskEdit.erase,
+      };
+      maskDragRef.current = {
+        start: p,
+        stroke,
+        mask: { ...mask, strokes: [...mask.strokes, stroke] },
+      };
+    } else {
+      // gradients are placed by dragging: linear from start to end, radial from the centre
+      maskDragRef.current = { start: p, mapping, mask };
+    }
+    renderMaskOverlay();
+  };
+
+  const handleMaskPointerMove = (e) => {
+    const drag = maskDragRef.current;
+    if (!drag) return;
+    const pos = getMaskPointerPos(e);
+    if (!pos) return;
+    const { p } = pos;
+    const mask = drag.mask;
+    if (mask.kind === "brush") {
+      drag.stroke.points.push(p);
+    } else if (mask.kind === "linear") {
+      drag.mask = {
+        ...mask,
+        line: { x1: drag.start.x, y1: drag.start.y, x2: p.x, y2: p.y },
+      };
+    } else if (mask.kind === "radial") {
+      let rx = Math.abs(p.x - drag.start.x);
+      let ry = Math.abs(p.y - drag.start.y);
+      // Shift keeps it a circle on the photo
+      if (e.shiftKey) rx = ry = Math.max(rx, ry);
+      drag.mask = {
+        ...mask,
+        ellipse: { cx: drag.start.x, cy: drag.start.y, rx, ry },
+      };
     }
+    renderMaskOverlay();
+  };
+
+  const handleMaskPointerUp = () => {
+    const drag = maskDragRef.current;
+    if (!drag) return;
+    maskDragRef.current = null;
+    let mask = drag.mask;
+    // a click without dragging moves a radial mask's centre (or places a new one at a
+    // quarter of the displayed width) and leaves a linear one alone
+    if (mask === activeMask && mask.kind === "radial") {
+      const r = imgRef.current.clientWidth / 4 / drag.mapping.scale;
+      const ellipse = mask.ellipse || { rx: r, ry: r };
+      mask = { ...mask, ellipse: { ...ellipse, cx: drag.start.x, cy: drag.start.y } };
+    }
+    if (mask === activeMask && mask.kind === "linear") return;
+    setFilters((f) => ({
+      ...f,
+      masks: f.masks.map((m) => (m.id === mask.id ? mask : m)),
+    }));
   };
 
   // Get pointer position relative to top-left of the overlay canvas (CSS pixels)
@@ -178,265 +1026,612 @@ export default function ImageContainer({ filters, isDark }) {
     return { x: e.clientX - rect.left, y: e.clientY - rect.top };
   };
 
+  const pointerSample = (e) => ({
+    ...getLocalPointerPos(e),
+    pressure: e.pressure,
+    pointerType: e.pointerType,
+    time: e.timeStamp,
+  });
+
+  // The stroke being drawn over its layer as it was when the stroke began, with the
+  // same drawing code as finished strokes and the export
+  const drawCurrentStroke = () => {
+    const stroke = currentStrokeRef.current;
+    const snapshot = strokeSnapshotRef.current;
+    const canvas = stroke && layerCanvasesRef.current.get(stroke.layer);
+    if (!canvas || !snapshot) return;
+    const ctx = canvas.getContext("2d");
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(snapshot, 0, 0);
+    ctx.restore();
+    drawAnnotation(ctx, stroke, (p) => p, 1);
+  };
+
   // Pointer handlers: use pointer capture so drawing continues even if pointer leaves the canvas
-  // Strokes are stored in CSS pixels for easier scaling during export
+  // The stroke is collected in CSS pixels and converted to original pixels on release
   const handlePointerDown = (e) => {
-    if (!drawEnabled) return;
+    if (!drawEnabled && !activeMask) return;
     e.preventDefault();
     const canvas = drawCanvasRef.current;
     if (canvas && e.pointerId != null) canvas.setPointerCapture(e.pointerId);
+    // editing a local adjustment mask takes over the pointer from the drawing tools
+    if (activeMask) {
+      handleMaskPointerDown(e);
+      return;
+    }
+    if (tool === "redact") {
+      handleRedactPointerDown(e);
+      return;
+    }
+    if (shapeTool || tool === "text" || tool === "image") {
+      handleAnnotationPointerDown(e);
+      return;
+    }
 
+    if (!isEditable(activeLayer)) return;
+    const layerCanvas = layerCanvasesRef.current.get(activeLayerId);
+    if (!layerCanvas) return;
+    const sampler = createBrushSampler(brush);
+    brushSamplerRef.current = sampler;
     currentStrokeRef.current = {
-      points: [],
+      kind: "stroke",
+      points: sampler.points,
       color: brushColor,
       size: brushSize,
       eraser: isErasing,
+      opacity: brush.opacity,
+      hardness: brush.hardness,
+      layer: activeLayerId,
     };
-    const p = getLocalPointerPos(e);
-    currentStrokeRef.current.points.push(p);
-
-    // immediate tiny segment so user sees a dot when they tap/click
-    const ctx = canvas.getContext("2d");
-    ctx.lineJoin = "round";
-    ctx.lineCap = "round";
-    ctx.lineWidth = brushSize;
-    if (isErasing) {
-      ctx.save();
-      ctx.globalCompositeOperation = "destination-out";
-      ctx.beginPath();
-      ctx.moveTo(p.x, p.y);
-      ctx.lineTo(p.x + 0.1, p.y + 0.1);
-      ctx.stroke();
-      ctx.restore();
-    } else {
-      ctx.strokeStyle = brushColor;
-      ctx.beginPath();
-      ctx.moveTo(p.x, p.y);
-      ctx.lineTo(p.x + 0.1, p.y + 0.1);
-      ctx.stroke();
-    }
+    const snapshot = document.createElement("canvas");
+    snapshot.width = layerCanvas.width;
+    snapshot.height = layerCanvas.height;
+    snapshot.getContext("2d").drawImage(layerCanvas, 0, 0);
+    strokeSnapshotRef.current = snapshot;
+    sampler.add(pointerSample(e));
+    drawCurrentStroke(); // a dot straight away for a tap or click
   };
 
   const handlePointerMove = (e) => {
+    if (maskDragRef.current) {
+      e.preventDefault();
+      handleMaskPointerMove(e);
+      return;
+    }
+    if (annotationDragRef.current) {
+      e.preventDefault();
+      handleAnnotationPointerMove(e);
+      return;
+    }
+    if (redactDragRef.current) {
+      e.preventDefault();
+      handleRedactPointerMove(e);
+      return;
+    }
     if (!currentStrokeRef.current) return;
     e.preventDefault();
-    const p = getLocalPointerPos(e);
-    const s = currentStrokeRef.current;
-    s.points.push(p);
-
-    // incremental draw for instant feedback
-    const canvas = drawCanvasRef.current;
-    const ctx = canvas.getContext("2d");
-    ctx.lineJoin = "round";
-    ctx.lineCap = "round";
-    ctx.lineWidth = s.size;
-
-    if (s.eraser) {
-      ctx.save();
-      ctx.globalCompositeOperation = "destination-out";
-      ctx.beginPath();
-      const pts = s.points;
-      ctx.moveTo(pts[0].x, pts[0].y);
-      for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-      ctx.stroke();
-      ctx.restore();
-    } else {
-      ctx.strokeStyle = s.color;
-      ctx.beginPath();
-      const pts = s.points;
-      ctx.moveTo(pts[0].x, pts[0].y);
-      for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-      ctx.stroke();
-    }
+    // fast movement delivers several samples per event
+    const events = e.nativeEvent.getCoalescedEvents?.() || [];
+    for (const ev of events.length ? events : [e])
+      brushSamplerRef.current.add(pointerSample(ev));
+    drawCurrentStroke();
   };
 
   const handlePointerUp = (e) => {
+    if (maskDragRef.current) {
+      const canvas = drawCanvasRef.current;
+      if (canvas && e.pointerId != null && canvas.hasPointerCapture(e.pointerId))
+        canvas.releasePointerCapture(e.pointerId);
+      handleMaskPointerUp();
+      return;
+    }
+    if (annotationDragRef.current) {
+      const canvas = drawCanvasRef.current;
+      if (canvas && e.pointerId != null && canvas.hasPointerCapture(e.pointerId))
+        canvas.releasePointerCapture(e.pointerId);
+      handleAnnotationPointerUp();
+      return;
+    }
+    if (redactDragRef.current) {
+      const canvas = drawCanvasRef.current;
+      if (canvas && e.pointerId != null && canvas.hasPointerCapture(e.pointerId))
+        canvas.releasePointerCapture(e.pointerId);
+      handleRedactPointerUp();
+      return;
+    }
     if (!currentStrokeRef.current) return;
     const canvas = drawCanvasRef.current;
     if (canvas && e.pointerId != null)
       canvas.releasePointerCapture(e.pointerId);
 
-    // finalize stroke
-    strokesRef.current.push(currentStrokeRef.current);
+    // finalize stroke: store it in original pixels
+    brushSamplerRef.current.end(getLocalPointerPos(e));
+    drawCurrentStroke();
+    const s = currentStrokeRef.current;
     currentStrokeRef.current = null;
+    brushSamplerRef.current = null;
+    strokeSnapshotRef.current = null;
+    const mapping = displayMapping();
+    if (!mapping) return;
+    strokesRef.current = [
+      ...strokesRef.current,
+      {
+        ...s,
+        points: s.points.map((p) => ({ ...mapping.toOriginal(p), w: p.w })),
+        size: s.size / mapping.scale,
+      },
+    ];
+    recordAnnotations(s.eraser ? "Eraser stroke" : "Brush stroke");
   };
 
-  const handleUndo = () => {
-    strokesRef.current.pop();
+  const handleClearDraw = () => {
+    strokesRef.current = strokesRef.current.filter((a) => !isDrawing(a));
+    if (!findAnnotation(selectedIdRef.current)) selectAnnotation(null);
     redrawStrokes();
+    recordAnnotations("Clear drawings");
   };
-  const handleClearDraw = () => {
-    strokesRef.current = [];
+
+  // ---------- History ----------
+  // Annotations live in a ref, so their steps are recorded where they are made, on top
+  // of the filters, steps and layers of the latest entry (the handler may be older than
+  // them). Changes of those are picked up below, whichever panel made them.
+  const recordAnnotations = (label, key) => {
+    const annotations = strokesRef.current;
+    setHistory((h) => recordHistory(h, { ...currentState(h), annotations }, label, key));
+  };
+
+  useEffect(() => {
+    setHistory((h) => {
+      const change = describeChange(currentState(h), { filters, ops, layers });
+      if (!change) return h; // nothing new, e.g. the state an undo just restored
+      const state = { filters, ops, layers, annotations: strokesRef.current };
+      return recordHistory(h, state, change.label, change.key);
+    });
+  }, [filters, ops, layers]);
+
+  // Shows the state of history entry `index` (undo, redo or a click in the list)
+  const goToHistory = (index) => {
+    const next = jumpHistory(history, index);
+    if (next.index === history.index) return;
+    const state = currentState(next);
+    setHistory(next);
+    setFilters(state.filters);
+    setOps(state.ops);
+    setLayers(state.layers);
+    if (!state.layers.some((l) => l.id === activeLayerId))
+      setActiveLayerId(state.layers[state.layers.length - 1].id);
+    strokesRef.current = state.annotations;
+    // keep the selection if it still exists, with its text as it was then
+    const selected = findAnnotation(selectedIdRef.current);
+    selectAnnotation(selected ? selected.id : null);
     redrawStrokes();
   };
+  const goToHistoryRef = useRef(goToHistory);
+  goToHistoryRef.current = goToHistory;
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on macOS); text fields keep
+  // their own
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const { tagName, type, isContentEditable } = e.target;
+      const typing =
+        isContentEditable ||
+        tagName === "TEXTAREA" ||
+        (tagName === "INPUT" && ["text", "number", "search", "url"].includes(type));
+      if (typing) return;
+      const key = e.key.toLowerCase();
+      const redo = (key === "z" && e.shiftKey) || key === "y";
+      if (key !== "z" && !redo) return;
+      e.preventDefault();
+      const { index } = historyRef.current;
+      goToHistoryRef.current(redo ? index + 1 : index - 1);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // ---------- Exact preview ----------
+  const renderRedactionOverlayRef = useRef(renderRedactionOverlay);
+  renderRedactionOverlayRef.current = renderRedactionOverlay;
+
+  // Renders the filtered image at display size (times devicePixelRatio) into the preview
+  // canvas that sits over the <img>. drawImage ignores the <img>'s CSS filter, so the
+  // engine always starts from the unfiltered pixels.
+  useEffect(() => {
+    if (!pixelPreview) return;
+    const renderExactPreview = () => {
+      const img = imgRef.current;
+      const canvas = previewCanvasRef.current;
+      if (!img || !canvas || !img.naturalWidth) return;
+
+      const dpr = window.devicePixelRatio || 1;
+      const w = Math.max(1, Math.round(img.clientWidth * dpr));
+      const h = Math.max(1, Math.round(img.clientHeight * dpr));
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      const k = w / img.naturalWidth;
+      const maskView = maskViewOf(displayedEditRef.current, k);
+      drawFiltered(ctx, img, w, h, filters, dpr, k, maskView);
+      renderRedactionOverlayRef.current(); // worked out from these pixels
+    };
+    // Coalesce rapid slider changes (and resizes) into one render per frame
+    let frame = requestAnimationFrame(renderExactPreview);
+    const img = imgRef.current;
+    const ro = new ResizeObserver(() => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(renderExactPreview);
+    });
+    if (img) ro.observe(img);
+    return () => {
+      cancelAnimationFrame(frame);
+      ro.disconnect();
+    };
+  }, [pixelPreview, filters, imageUrl, completedCrop]);
+
+  // With the CSS preview the redactions are worked out from the unfiltered <img> and the
+  // canvas gets the CSS filter, so they must be redone when leaving the exact preview
+  // (its pixels are already filtered). The exact preview redoes them itself.
+  useEffect(() => {
+    if (!pixelPreview) renderRedactionOverlayRef.current();
+  }, [pixelPreview, filters]);
+
+  // ---------- Before / after ----------
+  // Hold the backslash key to temporarily see the original (ignored while typing in a field).
+  useEffect(() => {
+    if (!imageUrl) return;
+    const isTyping = (e) =>
+      ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName);
+    const onKeyDown = (e) => {
+      if (e.key === "\\" && !isTyping(e)) setShowOriginal(true);
+    };
+    const onKeyUp = (e) => {
+      if (e.key === "\\") setShowOriginal(false);
+    };
+    // releasing the key in another window would otherwise leave the original stuck on
+    const onBlur = () => setShowOriginal(false);
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, [imageUrl]);
+
+  // The split handle lives inside ReactCrop's child wrapper (same box as the image), so
+  // its parent's rect maps the pointer to a percentage of the image width.
+  const handleSplitPointerDown = (e) => {
+    e.stopPropagation(); // don't let ReactCrop start a new crop selection
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const handleSplitPointerMove = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const rect = e.currentTarget.parentElement.getBoundingClientRect();
+    const pos = ((e.clientX - rect.left) / rect.width) * 100;
+    setSplitPos(Math.max(0, Math.min(100, pos)));
+  };
+
+  // ---------- Histogram ----------
+  // Runs the filters over a small copy of the image (longest side 256px) and bins the
+  // result. Debounced so dragging a slider doesn't recompute on every change.
+  useEffect(() => {
+    if (!imageUrl) {
+      setHistogram(null);
+      return;
+    }
+    const run = () => {
+      const img = imgRef.current;
+      if (!img) return;
+      // a freshly uploaded image may still be decoding: try again once it has loaded
+      if (!img.naturalWidth) {
+        img.addEventListener("load", run, { once: true });
+        return;
+      }
+      const ratio = Math.min(1, 256 / Math.max(img.naturalWidth, img.naturalHeight));
+      const w = Math.max(1, Math.round(img.naturalWidth * ratio));
+      const h = Math.max(1, Math.round(img.naturalHeight * ratio));
+      const canvas = document.createElement("canvas");
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      const maskView = maskViewOf(displayedEditRef.current, ratio);
+      drawFiltered(ctx, img, w, h, filters, w / (img.clientWidth || w), ratio, maskView);
+      setHistogram(computeHistogram(ctx.getImageData(0, 0, w, h)));
+    };
+    const img = imgRef.current;
+    const timer = setTimeout(run, 120);
+    return () => {
+      clearTimeout(timer);
+      if (img) img.removeEventListener("load", run);
+    };
+  }, [filters, imageUrl]);
+
+  // ---------- Frame preview ----------
+  // The same small filtered copy, put through the export's frame code with the lengths
+  // scaled to match.
+  useEffect(() => {
+    if (!imageUrl || frameIsIdentity(frame)) {
+      setFramePreview(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      const img = imgRef.current;
+      if (!img || !img.naturalWidth) return;
+      const ratio = Math.min(1, 256 / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * ratio));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * ratio));
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      const scale = canvas.width / (img.clientWidth || canvas.width);
+      drawFiltered(
+        ctx,
+        img,
+        canvas.width,
+        canvas.height,
+        filters,
+        scale,
+        ratio,
+        maskViewOf(displayedEditRef.current, ratio)
+      );
+      setFramePreview(renderFrame(canvas, scaleFrame(frame, ratio)).toDataURL());
+    }, 150);
+    return () => clearTimeout(timer);
+  }, [frame, filters, imageUrl]);
+
+  // ---------- Watermark ----------
+  useEffect(() => saveWatermark(watermark), [watermark]);
+
+  // Repaint the preview, once the logo is decoded
+  useEffect(() => {
+    let cancelled = false;
+    const logo =
+      watermark.type === "image" && watermark.imageSrc
+        ? loadOverlayImage(watermark.imageSrc).catch(() => null)
+        : Promise.resolve();
+    logo.then(() => {
+      if (!cancelled) paintWatermark(watermarkCanvasRef.current, watermark);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [watermark]);
 
   // ---------- Export / Download ----------
-  // Composes image (with CSS filters) + scaled strokes at the image's natural resolution
-  const handleDownload = () => {
+  // Composes image (filtered by the pixel engine) + strokes at the image's natural resolution
+  // The whole edit is rendered here in one pass from the original upload.
+  const handleDownload = async () => {
     const img = imgRef.current;
-    if (!img || !imageUrl) return;
+    if (!img || !imageUrl || !originalImage) return;
 
-    const naturalW = img.naturalWidth;
-    const naturalH = img.naturalHeight;
+    // Overlay images and the watermark's logo can only be drawn once decoded
+    const sources = strokesRef.current
+      .filter((a) => a.kind === "image")
+      .map((a) => a.src);
+    if (watermark.type === "image" && watermark.imageSrc)
+      sources.push(watermark.imageSrc);
+    await Promise.all(sources.map((src) => loadOverlayImage(src).catch(() => null)));
+
+    const source = renderOps(originalImage, ops);
+    const naturalW = source.width;
+    const naturalH = source.height;
 
     const exportCanvas =
       exportCanvasRef.current || document.createElement("canvas");
     exportCanvas.width = naturalW;
     exportCanvas.height = naturalH;
-    const ctx = exportCanvas.getContext("2d");
-
-    // Draw image with filters applied. Note: ctx.filter understands the same CSS filter syntax
-    ctx.filter = filterStyle;
-    ctx.drawImage(img, 0, 0, naturalW, naturalH);
+    const ctx = exportCanvas.getContext("2d", { willReadFrequently: true });
 
-    // Map strokes from displayed CSS pixels to natural pixels using scale factors
+    // Map the blur radius from displayed CSS pixels to natural pixels
     const dispW = img.clientWidth || naturalW;
     const dispH = img.clientHeight || naturalH;
     const scaleX = naturalW / dispW;
     const scaleY = naturalH / dispH;
-    const avgScale = (scaleX + scaleY) / 2; // average to scale stroke width
-
-    for (const s of strokesRef.current) {
-      ctx.save();
-      ctx.lineJoin = "round";
-      ctx.lineCap = "round";
-      ctx.lineWidth = s.size * avgScale;
-      if (s.eraser) ctx.globalCompositeOperation = "destination-out";
-      else ctx.globalCompositeOperation = "source-over";
-
-      if (!s.eraser) ctx.strokeStyle = s.color;
+    const avgScale = (scaleX + scaleY) / 2;
+
+    // Masks, strokes and shapes are in original pixels: map them through the same ops as
+    // the image.
+    const mapper = opsPointMapper(originalImage.naturalWidth, originalImage.naturalHeight, ops);
+
+    // Draw image and bake the filters in with the pixel engine. We deliberately don't use
+    // ctx.filter: browsers without support for it would silently export unfiltered pixels.
+    const maskView = { map: mapper.toOutput, scale: mapper.scale };
+    drawFiltered(ctx, source, naturalW, naturalH, filters, avgScale, 1, maskView);
+
+    // Redactions replace the photo's own pixels, before anything is drawn over them
+    const redactions = strokesRef.current.filter(isRedaction);
+    applyRedactions(ctx, ctx, redactions, mapper.toOutput, mapper.scale);
+
+    // Each layer is drawn on its own, so erasers only clear ink, then stacked on the photo.
+    const layered = composeLayers(
+      exportCanvas,
+      layers,
+      strokesRef.current,
+      mapper.toOutput,
+      mapper.scale
+    );
 
-      ctx.beginPath();
-      const pts = s.points;
-      if (pts.length > 0) {
-        ctx.moveTo(pts[0].x * scaleX, pts[0].y * scaleY);
-        for (let i = 1; i < pts.length; i++)
-          ctx.lineTo(pts[i].x * scaleX, pts[i].y * scaleY);
-        ctx.stroke();
-      }
-      ctx.restore();
+    // The watermark goes over everything, placed on the image rather than the frame
+    drawWatermark(layered.getContext("2d"), layered.width, layered.height, watermark);
+
+    // Canvas extension, border and rounded corners go around the finished image
+    let output = frameIsIdentity(frame) ? layered : renderFrame(layered, frame);
+
+    // Resize last, so filters and strokes are composed at full resolution first
+    const framedW = output.width;
+    const framedH = output.height;
+    const target = exportDimensions(exportSize, framedW, framedH);
+    if (target.width !== framedW || target.height !== framedH) {
+      const resized = resampleImageData(
+        output.getContext("2d").getImageData(0, 0, framedW, framedH),
+        target.width,
+        target.height,
+        exportSize.method
+      );
+      output = document.createElement("canvas");
+      output.width = target.width;
+      output.height = target.height;
+      output
+        .getContext("2d")
+        .putImageData(new ImageData(resized.data, target.width, target.height), 0, 0);
     }
 
-    exportCanvas.toBlob((blob) => {
+    output.toBlob((blob) => {
       if (blob) saveAs(blob, "edited-image.png");
     }, "image/png");
   };
 
+  // Natural size of the edited and framed image (before any export resize)
+  const editedSize = (() => {
+    if (!originalImage) return null;
+    const size = opsOutputSize(originalImage.naturalWidth, originalImage.naturalHeight, ops);
+    return frameOutputSize(frame, size.width, size.height);
+  })();
+  const exportTarget = editedSize
+    ? exportDimensions(exportSize, editedSize.width, editedSize.height)
+    : null;
+
   // ---------- Crop handling ----------
+  // Adds a crop step; the selection is converted from displayed CSS pixels to pixels of
+  // the current (already edited) image, which is what a crop op refers to.
   const handleCrop = () => {
     const image = imgRef.current;
     const c = completedCrop;
     if (!c || !image) return;
 
-    const canvas = exportCanvasRef.current || document.createElement("canvas");
     const scaleX = image.naturalWidth / image.width;
     const scaleY = image.naturalHeight / image.height;
-    const ctx = canvas.getContext("2d");
-    const pixelRatio = window.devicePixelRatio || 1;
-
-    canvas.width = Math.floor(c.width * scaleX * pixelRatio);
-    canvas.height = Math.floor(c.height * scaleY * pixelRatio);
-    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
-    ctx.imageSmoothingQuality = "high";
-
-    // draw the cropped portion at natural resolution
-    ctx.drawImage(
-      image,
-      c.x * scaleX,
-      c.y * scaleY,
-      c.width * scaleX,
-      c.height * scaleY,
-      0,
-      0,
-      c.width * scaleX,
-      c.height * scaleY
+    const rect = clampCropRect(
+      {
+        x: c.x * scaleX,
+        y: c.y * scaleY,
+        width: c.width * scaleX,
+        height: c.height * scaleY,
+      },
+      image.naturalWidth,
+      image.naturalHeight
     );
+    if (!rect) return;
+    setOps((list) => [...list, createOp("crop", { rect })]);
+  };
 
-    const croppedUrl = canvas.toDataURL("image/png");
-    const croppedImage = new Image();
-    croppedImage.src = croppedUrl;
-    croppedImage.onload = () => {
-      setImageObject(croppedImage);
-      setImageUrl(croppedUrl);
-      setCrop(undefined);
-      setCompletedCrop(undefined);
-      // clear drawings because coordinates change after cropping
-      strokesRef.current = [];
-      redrawStrokes();
-    };
+  // ---------- Aspect ratio & numeric crop ----------
+  // "Original" is the shape of the upload, turned to match the current orientation
+  const originalSize = () => {
+    let w = originalImage.naturalWidth;
+    let h = originalImage.naturalHeight;
+    if (w > h !== imageObject.naturalWidth > imageObject.naturalHeight) [w, h] = [h, w];
+    return [w, h];
   };
+  const cropRatio =
+    imageObject && originalImage
+      ? aspectRatio(aspectId, customAspect, ...originalSize())
+      : undefined;
 
-  // ---------- Rotate image ----------
-  // Performs a pixel-perfect rotation using an offscreen canvas, then replaces the
-  // displayed image with the rotated data URL. Clearing existing drawings because
-  // their coordinates would no longer match the rotated image.
-  const rotateImageBy90 = async () => {
+  // Display CSS pixels per natural pixel of the current image
+  const displayScale = () => {
     const img = imgRef.current;
-    if (!img || !imageUrl) return;
+    if (!img || !img.naturalWidth) return null;
+    return { x: img.width / img.naturalWidth, y: img.height / img.naturalHeight };
+  };
 
-    // Create or reuse the export canvas
-    const canvas = exportCanvasRef.current || document.createElement("canvas");
-    const ctx = canvas.getContext("2d");
+  // Sets the selection from a rect in natural pixels
+  const setCropNatural = (rect) => {
+    const s = displayScale();
+    if (!s) return;
+    const c = { unit: "px", ...scaleRect(rect, s.x, s.y) };
+    setCrop(c);
+    setCompletedCrop(c);
+  };
 
-    // For 90/270-degree rotation, swap width/height
-    const w = img.naturalWidth;
-    const h = img.naturalHeight;
-    canvas.width = h; // rotated width
-    canvas.height = w; // rotated height
+  const maximizeCrop = (ratio = cropRatio) => {
+    const img = imgRef.current;
+    if (!img || !img.naturalWidth) return;
+    setCropNatural(maximizedCrop(ratio, img.naturalWidth, img.naturalHeight));
+  };
 
-    // Translate and rotate so we can draw the image rotated
-    // Steps: move origin to center, rotate, draw image centered
-    ctx.save();
-    ctx.translate(canvas.width / 2, canvas.height / 2);
-    ctx.rotate((90 * Math.PI) / 180); // rotate 90 degrees clockwise
-    // drawImage expects the top-left of the image; after translate, draw at -w/2, -h/2
-    ctx.drawImage(img, -w / 2, -h / 2, w, h);
-    ctx.restore();
+  // Picking a ratio fits the largest selection of that shape in the middle
+  const handleAspectChange = (id) => {
+    setAspectId(id);
+    if (!imageObject || !originalImage) return;
+    const ratio = aspectRatio(id, customAspect, ...originalSize());
+    if (ratio) maximizeCrop(ratio);
+  };
+
+  const handleCustomAspectChange = (custom) => {
+    setCustomAspect(custom);
+    const ratio = aspectRatio("custom", custom, 1, 1);
+    if (ratio) maximizeCrop(ratio);
+  };
+
+  // The current selection in natural pixels, for the numeric fields
+  const cropNatural = (() => {
+    const s = displayScale();
+    if (!completedCrop || !completedCrop.width || !completedCrop.height || !s) return null;
+    return scaleRect(completedCrop, 1 / s.x, 1 / s.y);
+  })();
+
+  const handleCropFieldChange = (key, value) => {
+    const img = imgRef.current;
+    const current =
+      cropNatural || maximizedCrop(cropRatio, img.naturalWidth, img.naturalHeight);
+    setCropNatural(
+      editCropRect(current, key, value, cropRatio, img.naturalWidth, img.naturalHeight)
+    );
+  };
+
+  // ---------- Rotate, flip & straighten ----------
+  // Each adds (or extends) a step. The pixels are transformed when the edit is rendered,
+  // without the filters, which are applied on top like for any other step.
+  const rotateImage = (angle) => {
+    if (!imageUrl) return;
+    setOps((list) => appendRotation(list, angle));
+  };
+
+  const flipImage = (axis) => {
+    if (!imageUrl) return;
+    setOps((list) => appendFlip(list, axis));
+  };
+
+  const commitStraighten = () => {
+    if (straightenDraft === null) return;
+    setOps((list) => setStraighten(list, straightenDraft));
+    setStraightenDraft(null);
+  };
 
-    // If filters are important for the rotated result, we can reapply them by
-    // drawing into another canvas with ctx.filter. However, since we drew the
-    // rendered <img> (which already visually shows filters in the browser), this
-    // drawImage copies pixels as displayed. If you rely on CSS filters, they are
-    // not applied to the underlying Image pixels; to ensure filters are baked in,
-    // draw the original natural image with ctx.filter applied instead. We'll
-    // apply filters now to the rotated canvas by compositing:
-    if (filterStyle && filterStyle.trim() !== "") {
-      // create a second canvas to draw filtered natural image and then rotate the filtered image
-      const temp = document.createElement("canvas");
-      temp.width = h; // same rotated size
-      temp.height = w;
-      const tctx = temp.getContext("2d");
-      // draw filtered original image onto temp but rotated same way
-      tctx.save();
-      tctx.translate(temp.width / 2, temp.height / 2);
-      tctx.rotate((90 * Math.PI) / 180);
-      // apply filter and draw
-      tctx.filter = filterStyle;
-      tctx.drawImage(img, -w / 2, -h / 2, w, h);
-      tctx.restore();
-
-      // replace canvas content with filtered rotated pixels
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(temp, 0, 0);
+  // CSS preview of a straighten drag on top of the displayed image (which already has any
+  // committed angle applied): rotate by the difference and zoom in so the corners stay
+  // filled, like the rendered result will be.
+  const straightenPreview = (() => {
+    const img = imgRef.current;
+    if (straightenDraft === null || !img) return undefined;
+    const delta = (straightenDraft - currentStraighten(ops)) * straightenDirection(ops);
+    const k = straightenScale(img.clientWidth || 1, img.clientHeight || 1, delta);
+    return `rotate(${delta}deg) scale(${1 / k})`;
+  })();
+
+  // ---------- Perspective ----------
+  const togglePerspective = () => {
+    if (!imageUrl) return;
+    if (perspectiveDraft) {
+      setPerspectiveDraft(null);
+      return;
     }
+    // the handles replace the crop selection while the tool is open
+    setCrop(undefined);
+    setCompletedCrop(null);
+    setPerspectiveDraft(DEFAULT_QUAD);
+  };
 
-    // Export the rotated image as data URL and set it as new imageUrl
-    const rotatedDataUrl = canvas.toDataURL("image/png");
-
-    const rotatedImage = new Image();
-    rotatedImage.src = rotatedDataUrl;
-    rotatedImage.onload = () => {
-      // Replace displayed image with rotated image object
-      setImageObject(rotatedImage);
-      setImageUrl(rotatedDataUrl);
-      // Reset crop and any existing strokes because coordinates changed
-      setCrop(undefined);
-      setCompletedCrop(undefined);
-      strokesRef.current = [];
-      redrawStrokes();
-      // Small delay then sync overlay canvas to new image layout
-      setTimeout(syncDrawCanvasToImage, 50);
-    };
+  const applyPerspective = () => {
+    if (!perspectiveDraft || !isConvexQuad(perspectiveDraft)) return;
+    setOps((list) => [...list, createOp("perspective", { corners: perspectiveDraft })]);
+    setPerspectiveDraft(null);
   };
 
   // ---------- Keep overlay synced when filters/image change ----------
@@ -466,10 +1661,32 @@ export default function ImageContainer({ filters, isDark }) {
         >
           {imageUrl ? (
             <div className="relative w-full flex justify-center items-start">
-              {/* Rotate button placed top-right inside the wrapper */}
-              <div className="absolute top-3 right-3 z-20">
+              {/* Rotate and flip buttons placed top-right inside the wrapper */}
+              <div className="absolute top-3 right-3 z-20 flex gap-1">
                 <button
-                  onClick={rotateImageBy90}
+                  onClick={() => rotateImage(-90)}
+                  title="Rotate 90° counter-clockwise"
+                  className="py-1 px-3 bg-white/90 rounded-md shadow-md hover:bg-white"
+                >
+                  {/* the clockwise icon, mirrored */}
+                  <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    width="18"
+                    height="18"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    style={{ transform: "scaleX(-1)" }}
+                  >
+                    <path d="M23 4v6h-6"></path>
+                    <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+                  </svg>
+                </button>
+                <button
+                  onClick={() => rotateImage(90)}
                   title="Rotate 90° clockwise"
                   className="py-1 px-3 bg-white/90 rounded-md shadow-md hover:bg-white"
                 >
@@ -489,12 +1706,81 @@ export default function ImageContainer({ filters, isDark }) {
                     <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
                   </svg>
                 </button>
+                <button
+                  onClick={() => flipImage("horizontal")}
+                  title="Flip horizontally"
+                  className="py-1 px-3 bg-white/90 rounded-md shadow-md hover:bg-white"
+                >
+                  <ArrowsRightLeftIcon className="size-[18px]" />
+                </button>
+                <button
+                  onClick={() => flipImage("vertical")}
+                  title="Flip vertically"
+                  className="py-1 px-3 bg-white/90 rounded-md shadow-md hover:bg-white"
+                >
+                  <ArrowsUpDownIcon className="size-[18px]" />
+                </button>
+                <button
+                  onClick={togglePerspective}
+                  title="Perspective correction"
+                  className={`py-1 px-3 rounded-md shadow-md ${
+                    perspectiveDraft ? "bg-[#34729b] text-white" : "bg-white/90 hover:bg-white"
+                  }`}
+                >
+                  {/* a keystoned frame */}
+                  <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    width="18"
+                    height="18"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeLinejoin="round"
+                  >
+                    <path d="M7 4h10l4 16H3z"></path>
+                  </svg>
+                </button>
               </div>
 
+              {compareMode === "side" && (
+                <figure className="relative mr-2 shrink-0" style={{ maxWidth: "50%" }}>
+                  <img
+                    src={imageUrl}
+                    alt="Original"
+                    style={{ maxHeight: "580px", maxWidth: "100%", display: "block" }}
+                  />
+                  <figcaption className="absolute top-2 left-2 text-xs font-semibold bg-black/60 text-white rounded px-2 py-0.5">
+                    Before
+                  </figcaption>
+                </figure>
+              )}
+
               <ReactCrop
                 crop={crop}
+                disabled={perspectiveDraft !== null}
                 onChange={(c) => setCrop(c)}
                 onComplete={(c) => setCompletedCrop(c)}
+                aspect={cropRatio}
+                ruleOfThirds={cropOverlay === "thirds"}
+                renderSelectionAddon={
+                  cropOverlay === "golden"
+                    ? () =>
+                        GOLDEN_LINES.map((t) => (
+                          <React.Fragment key={t}>
+                            <div
+                              className="absolute top-0 bottom-0 w-px bg-white/70 pointer-events-none"
+                              style={{ left: `${t * 100}%` }}
+                            />
+                            <div
+                              className="absolute left-0 right-0 h-px bg-white/70 pointer-events-none"
+                              style={{ top: `${t * 100}%` }}
+                            />
+                          </React.Fragment>
+                        ))
+                    : undefined
+                }
+                style={compareMode === "side" ? { maxWidth: "50%" } : undefined}
               >
                 <img
                   src={imageUrl}
@@ -503,12 +1789,113 @@ export default function ImageContainer({ filters, isDark }) {
                   style={{
                     maxHeight: "580px",
                     maxWidth: "100%",
-                    filter: filterStyle,
+                    filter: pixelPreview ? "none" : filterStyle,
+                    // keep the <img> in the layout (crop + overlay sizing depend on it)
+                    // but let the engine-rendered canvas show instead
+                    opacity: pixelPreview ? 0 : photoOpacity,
                     display: "block",
+                    transform: straightenPreview,
                   }}
                 />
+                {pixelPreview && (
+                  <canvas
+                    ref={previewCanvasRef}
+                    className="absolute top-0 left-0 w-full h-full pointer-events-none"
+                    style={{ transform: straightenPreview, opacity: photoOpacity }}
+                  />
+                )}
+                {/* Alignment grid while straightening */}
+                {straightenDraft !== null && (
+                  <div
+                    className="absolute inset-0 pointer-events-none"
+                    style={{
+                      backgroundImage:
+                        "linear-gradient(rgba(255,255,255,0.55) 1px, transparent 1px), linear-gradient(90deg, rgba(255,255,255,0.55) 1px, transparent 1px)",
+                      backgroundSize: "10% 10%",
+                    }}
+                  />
+                )}
+
+                {perspectiveDraft && (
+                  <PerspectiveOverlay
+                    corners={perspectiveDraft}
+                    onChange={setPerspectiveDraft}
+                  />
+                )}
+
+                {/* Original on top of the edited preview: whole image while held,
+                    clipped to the left of the split line in split mode */}
+                {(showOriginal || compareMode === "split") && (
+                  <img
+                    src={imageUrl}
+                    alt=""
+                    aria-hidden="true"
+                    className="absolute top-0 left-0 w-full h-full pointer-events-none"
+                    style={{
+                      clipPath: showOriginal
+                        ? "none"
+                        : `inset(0 ${100 - splitPos}% 0 0)`,
+                    }}
+                  />
+                )}
+                {compareMode === "split" && !showOriginal && (
+                  <div
+                    onPointerDown={handleSplitPointerDown}
+                    onPointerMove={handleSplitPointerMove}
+                    className="absolute top-0 bottom-0 w-4 -translate-x-1/2 z-10 flex justify-center cursor-ew-resize touch-none"
+                    style={{ left: `${splitPos}%` }}
+                    title="Drag to compare"
+                  >
+                    <div className="w-0.5 h-full bg-white shadow-[0_0_3px_rgba(0,0,0,0.6)]" />
+                    <div className="absolute top-1/2 -translate-y-1/2 w-4 h-8 rounded-full bg-white shadow-md" />
+                  </div>
+                )}
+                {(compareMode !== "off" || showOriginal) && (
+                  <span className="absolute top-2 right-2 text-xs font-semibold bg-black/60 text-white rounded px-2 py-0.5 pointer-events-none">
+                    {showOriginal ? "Before" : "After"}
+                  </span>
+                )}
+                {compareMode === "split" && !showOriginal && (
+                  <span className="absolute top-2 left-2 text-xs font-semibold bg-black/60 text-white rounded px-2 py-0.5 pointer-events-none">
+                    Before
+                  </span>
+                )}
               </ReactCrop>
 
+              {/* Mask coverage overlay, positioned together with the drawing canvas */}
+              <canvas ref={maskCanvasRef} style={{ pointerEvents: "none" }} />
+
+              {/* Redactions, part of the photo so under every layer */}
+              <canvas
+                ref={redactCanvasRef}
+                style={{
+                  pointerEvents: "none",
+                  opacity: photoOpacity,
+                  filter: pixelPreview ? "none" : filterStyle,
+                }}
+              />
+
+              {/* Annotation layers, bottom to top; CSS opacity and mix-blend-mode show
+                  them over the image the way the export composites them */}
+              {layers.slice(1).map((layer) => (
+                <canvas
+                  key={layer.id}
+                  ref={(el) => {
+                    if (el) layerCanvasesRef.current.set(layer.id, el);
+                    else layerCanvasesRef.current.delete(layer.id);
+                  }}
+                  style={{
+                    pointerEvents: "none",
+                    display: layer.visible ? undefined : "none",
+                    opacity: layer.opacity / 100,
+                    mixBlendMode: layer.blend,
+                  }}
+                />
+              ))}
+
+              {/* Watermark, as stamped on the export */}
+              <canvas ref={watermarkCanvasRef} style={{ pointerEvents: "none" }} />
+
               {/* Drawing canvas overlay: position controlled programmatically to exactly match the image */}
               <canvas
                 ref={drawCanvasRef}
@@ -516,8 +1903,11 @@ export default function ImageContainer({ filters, isDark }) {
                 onPointerMove={handlePointerMove}
                 onPointerUp={handlePointerUp}
                 onPointerCancel={handlePointerUp}
-                // Only intercept pointer events when drawing is enabled
-                style={{ pointerEvents: drawEnabled ? "auto" : "none" }}
+                // Only intercept pointer events when drawing or editing a mask
+                style={{
+                  pointerEvents: drawEnabled || activeMask ? "auto" : "none",
+                  cursor: activeMask ? "crosshair" : undefined,
+                }}
               />
             </div>
           ) : (
@@ -559,66 +1949,627 @@ export default function ImageContainer({ filters, isDark }) {
               Download Image
             </button>
           )}
+
+          {imageUrl && exportTarget && (
+            <button
+              onClick={() => setResizeOpen(true)}
+              title="Export size and resampling"
+              className={`${
+                isDark ? "bg-slate-600 text-white" : "bg-gray-200 text-black"
+              } cursor-pointer text-sm font-medium py-2 px-3 rounded-md shadow-md`}
+            >
+              Resize… ({exportTarget.width} × {exportTarget.height})
+            </button>
+          )}
         </div>
 
-        {/* Drawing toolbar */}
-        <div className="mt-4 flex flex-wrap gap-3 items-center justify-center">
-          <button
-            onClick={() => {
-              setDrawEnabled((v) => !v);
-              // if enabling drawing, ensure canvas positioned correctly
-              setTimeout(() => syncDrawCanvasToImage(), 30);
+        {resizeOpen && editedSize && (
+          <ResizeDialog
+            settings={exportSize}
+            onApply={(settings) => {
+              setExportSize(settings);
+              setResizeOpen(false);
             }}
-            className={`py-1 px-3 rounded-md font-medium ${
-              drawEnabled ? "bg-green-600 text-white" : "bg-gray-200"
+            onClose={() => setResizeOpen(false)}
+            naturalWidth={editedSize.width}
+            naturalHeight={editedSize.height}
+            isDark={isDark}
+          />
+        )}
+
+        {imageUrl && (
+          <label
+            className={`flex items-center justify-center gap-2 text-sm ${
+              isDark ? "text-white" : "text-black"
             }`}
+            title="Render the preview with the same engine as the download (slower)"
           >
-            {drawEnabled ? "Drawing: On" : "Enable Drawing"}
-          </button>
-
-          <label className="flex items-center gap-2">
             <input
-              type="color"
-              value={brushColor}
-              onChange={(e) => setBrushColor(e.target.value)}
-              disabled={!drawEnabled || isErasing}
+              type="checkbox"
+              className="checkbox checkbox-xs"
+              checked={pixelPreview}
+              disabled={!canPreviewWithCss(filters)}
+              onChange={(e) => setExactPreview(e.target.checked)}
             />
+            Exact preview
           </label>
+        )}
 
-          <label className="flex items-center gap-2">
-            <span className={`${isDark ? "text-white" : "text-black"} text-sm`}>
-              Size
-            </span>
+        {imageUrl && perspectiveDraft && (
+          <div
+            className={`flex flex-wrap items-center justify-center gap-2 mt-2 text-sm ${
+              isDark ? "text-white" : "text-black"
+            }`}
+          >
+            <span>Drag the corners onto lines that should be straight and parallel.</span>
+            <button
+              onClick={applyPerspective}
+              disabled={!isConvexQuad(perspectiveDraft)}
+              className="py-1 px-3 rounded-md bg-[#34729b] text-white font-medium disabled:opacity-50"
+            >
+              Apply perspective
+            </button>
+            <button
+              onClick={() => setPerspectiveDraft(DEFAULT_QUAD)}
+              className={`py-1 px-3 rounded-md ${isDark ? "bg-slate-600" : "bg-gray-200"}`}
+            >
+              Reset corners
+            </button>
+            <button
+              onClick={() => setPerspectiveDraft(null)}
+              className={`py-1 px-3 rounded-md ${isDark ? "bg-slate-600" : "bg-gray-200"}`}
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+
+        {imageUrl && (
+          <CropControls
+            aspectId={aspectId}
+            onAspectChange={handleAspectChange}
+            customAspect={customAspect}
+            onCustomAspectChange={handleCustomAspectChange}
+            overlay={cropOverlay}
+            setOverlay={setCropOverlay}
+            rect={cropNatural}
+            onRectChange={handleCropFieldChange}
+            onMaximize={() => maximizeCrop()}
+            isDark={isDark}
+          />
+        )}
+
+        {imageUrl && (
+          <label
+            className={`flex items-center justify-center gap-2 mt-2 text-sm ${
+              isDark ? "text-white" : "text-black"
+            }`}
+          >
+            <span>Straighten</span>
             <input
               type="range"
-              min={1}
-              max={80}
-              value={brushSize}
-              onChange={(e) => setBrushSize(Number(e.target.value))}
+              min={-MAX_STRAIGHTEN}
+              max={MAX_STRAIGHTEN}
+              step={0.1}
+              value={straightenDraft ?? currentStraighten(ops)}
+              onChange={(e) => setStraightenDraft(parseFloat(e.target.value))}
+              onPointerUp={commitStraighten}
+              onKeyUp={commitStraighten}
+              onBlur={commitStraighten}
+              className="range range-xs range-accent max-w-xs"
             />
+            <span className="w-12 text-right">
+              {(straightenDraft ?? currentStraighten(ops)).toFixed(1)}°
+            </span>
           </label>
+        )}
 
-          <button
-            onClick={() => setIsErasing((e) => !e)}
-            className={`py-1 px-3 rounded-md font-medium ${
-              isErasing ? "bg-yellow-500 text-white" : "bg-gray-200"
+        {imageUrl && (
+          <div
+            className={`flex flex-wrap items-center justify-center gap-2 mt-2 text-sm ${
+              isDark ? "text-white" : "text-black"
             }`}
-            disabled={!drawEnabled}
           >
-            {isErasing ? "Eraser" : "Brush"}
-          </button>
+            <span>Compare:</span>
+            {[
+              ["off", "Off"],
+              ["split", "Split"],
+              ["side", "Side by side"],
+            ].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setCompareMode(mode)}
+                className={`py-0.5 px-2 rounded-md text-xs font-medium ${
+                  compareMode === mode ? "bg-[#34729b] text-white" : "bg-gray-200 text-black"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+            <button
+              onPointerDown={() => setShowOriginal(true)}
+              onPointerUp={() => setShowOriginal(false)}
+              onPointerLeave={() => setShowOriginal(false)}
+              title="Hold to show the original (or hold the \ key)"
+              className="py-0.5 px-2 rounded-md text-xs font-medium bg-gray-200 text-black select-none"
+            >
+              Hold for original
+            </button>
+          </div>
+        )}
+
+        {imageUrl && (
+          <HistoryPanel history={history} onJump={goToHistory} isDark={isDark} />
+        )}
+
+        {imageUrl && (
+          <EditSteps ops={ops} setOps={setOps} isDark={isDark} />
+        )}
+
+        {imageUrl && (
+          <CanvasPanel
+            frame={frame}
+            setFrame={setFrame}
+            previewUrl={framePreview}
+            isDark={isDark}
+          />
+        )}
+
+        {imageUrl && <Histogram histogram={histogram} isDark={isDark} />}
+
+        {imageUrl && (
+          <LayersPanel
+            layers={layers}
+            setLayers={setLayers}
+            activeId={activeLayerId}
+            setActiveId={setActiveLayerId}
+            onRemove={removeLayerAnnotations}
+            isDark={isDark}
+          />
+        )}
 
+        {imageUrl && (
+          <WatermarkPanel
+            watermark={watermark}
+            setWatermark={setWatermark}
+            isDark={isDark}
+          />
+        )}
+
+        {/* Drawing toolbar */}
+        <div className="mt-4 flex flex-wrap gap-3 items-center justify-center">
           <button
-            onClick={handleUndo}
-            className="py-1 px-3 rounded-md bg-gray-200"
-            disabled={strokesRef.current.length === 0}
+            onClick={() => {
+              setDrawEnabled((v) => !v);
+              selectAnnotation(null);
+              // if enabling drawing, ensure canvas positioned correctly
+              setTimeout(() => syncDrawCanvasToImage(), 30);
+            }}
+            className={`py-1 px-3 rounded-md font-medium ${
+              drawEnabled ? "bg-green-600 text-white" : "bg-gray-200"
+            }`}
           >
-            Undo
+            {drawEnabled ? "Drawing: On" : "Enable Drawing"}
           </button>
+
+          <div className="flex flex-wrap gap-1">
+            {Object.entries({
+              brush: "Brush",
+              eraser: "Eraser",
+              ...SHAPE_TOOLS,
+              text: "Text",
+              image: "Image",
+              redact: "Redact",
+            }).map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => selectTool(key)}
+                disabled={!drawEnabled}
+                className={`py-1 px-3 rounded-md font-medium ${
+                  tool === key
+                    ? key === "eraser"
+                      ? "bg-yellow-500 text-white"
+                      : "bg-[#34729b] text-white"
+                    : "bg-gray-200"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {tool !== "text" && tool !== "image" && tool !== "redact" && (
+            <>
+              <label className="flex items-center gap-2">
+                <input
+                  type="color"
+                  value={brushColor}
+                  onChange={(e) => {
+                    setBrushColor(e.target.value);
+                    updateSelected({ strokeColor: e.target.value });
+                  }}
+                  disabled={!drawEnabled || isErasing}
+                  title={shapeTool ? "Line color" : "Brush color"}
+                />
+              </label>
+
+              <label className="flex items-center gap-2">
+                <span className={`${isDark ? "text-white" : "text-black"} text-sm`}>
+                  Size
+                </span>
+                <input
+                  type="range"
+                  min={shapeTool ? 0 : 1}
+                  max={80}
+                  value={brushSize}
+                  onChange={(e) => {
+                    const size = Number(e.target.value);
+                    setBrushSize(size);
+                    const mapping = displayMapping();
+                    if (mapping) updateSelected({ width: size / mapping.scale });
+                  }}
+                />
+              </label>
+            </>
+          )}
+
+          {tool === "redact" && (
+            <div
+              className={`basis-full flex flex-wrap gap-3 items-center justify-center text-sm ${
+                isDark ? "text-white" : "text-black"
+              }`}
+            >
+              <select
+                value={redaction.mode}
+                onChange={(e) => setRedaction({ ...redaction, mode: e.target.value })}
+                disabled={!drawEnabled}
+                className={`select select-sm ${isDark ? "bg-slate-800" : ""}`}
+              >
+                {Object.entries(REDACT_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <div className="flex">
+                {Object.entries(REDACT_SHAPES).map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setRedaction({ ...redaction, shape: key })}
+                    disabled={!drawEnabled}
+                    className={`py-1 px-2 ${
+                      redaction.shape === key
+                        ? "bg-[#34729b] text-white"
+                        : "bg-gray-200 text-black"
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {redaction.shape === "brush" && (
+                <label className="flex items-center gap-1">
+                  Size
+                  <input
+                    type="range"
+                    min={4}
+                    max={120}
+                    value={brushSize}
+                    onChange={(e) => setBrushSize(Number(e.target.value))}
+                    disabled={!drawEnabled}
+                    className="range range-xs w-24"
+                  />
+                </label>
+              )}
+              {redaction.mode === "solid" ? (
+                <input
+                  type="color"
+                  value={redaction.color}
+                  onChange={(e) => setRedaction({ ...redaction, color: e.target.value })}
+                  disabled={!drawEnabled}
+                  title="Fill color"
+                />
+              ) : (
+                <label className="flex items-center gap-1">
+                  Strength
+                  <input
+                    type="range"
+                    min={4}
+                    max={60}
+                    value={redaction.amount}
+                    onChange={(e) =>
+                      setRedaction({ ...redaction, amount: Number(e.target.value) })
+                    }
+                    disabled={!drawEnabled}
+                    className="range range-xs w-24"
+                  />
+                </label>
+              )}
+            </div>
+          )}
+
+          {(tool === "brush" || isErasing) && (
+            <div
+              className={`basis-full flex flex-wrap gap-3 items-center justify-center text-sm ${
+                isDark ? "text-white" : "text-black"
+              }`}
+            >
+              {[
+                ["smoothing", "Smoothing"],
+                ["speed", "Speed thinning"],
+                ["hardness", "Hardness"],
+                ["opacity", "Opacity"],
+              ].map(([key, label]) => (
+                <label key={key} className="flex items-center gap-1">
+                  {label}
+                  <input
+                    type="range"
+                    min={key === "opacity" ? 1 : 0}
+                    max={100}
+                    value={brush[key]}
+                    onChange={(e) => setBrush({ ...brush, [key]: Number(e.target.value) })}
+                    disabled={!drawEnabled}
+                    className="range range-xs w-20"
+                  />
+                </label>
+              ))}
+              <label className="flex items-center gap-1" title="Pen pressure changes the width">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-xs"
+                  checked={brush.pressure}
+                  onChange={(e) => setBrush({ ...brush, pressure: e.target.checked })}
+                  disabled={!drawEnabled}
+                />
+                Pressure
+              </label>
+            </div>
+          )}
+
+          {tool === "text" && (
+            <div
+              className={`basis-full flex flex-wrap gap-2 items-center justify-center text-sm ${
+                isDark ? "text-white" : "text-black"
+              }`}
+            >
+              <textarea
+                ref={textInputRef}
+                value={textValue}
+                onChange={(e) => handleTextChange(e.target.value)}
+                placeholder={selectedId ? "" : "Click the image to add text"}
+                disabled={!selectedId}
+                rows={2}
+                className={`textarea textarea-sm w-56 ${isDark ? "bg-slate-800" : ""}`}
+              />
+              <select
+                value={textStyle.fontFamily}
+                onChange={(e) => updateTextStyle({ fontFamily: e.target.value })}
+                className={`select select-sm ${isDark ? "bg-slate-800" : ""}`}
+              >
+                {Object.entries(TEXT_FONTS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <label className="flex items-center gap-1">
+                Size
+                <input
+                  type="number"
+                  min={4}
+                  max={400}
+                  value={textStyle.fontSize}
+                  onChange={(e) => {
+                    const size = Number(e.target.value);
+                    if (size > 0) updateTextStyle({ fontSize: size });
+                  }}
+                  className={`input input-sm w-16 ${isDark ? "bg-slate-800" : ""}`}
+                />
+              </label>
+              <select
+                value={textStyle.fontWeight}
+                onChange={(e) => updateTextStyle({ fontWeight: e.target.value })}
+                className={`select select-sm ${isDark ? "bg-slate-800" : ""}`}
+              >
+                <option value="normal">Regular</option>
+                <option value="bold">Bold</option>
+              </select>
+              <input
+                type="color"
+                value={textStyle.color}
+                onChange={(e) => updateTextStyle({ color: e.target.value })}
+                title="Text color"
+              />
+              <div className="flex">
+                {TEXT_ALIGNS.map((align) => (
+                  <button
+                    key={align}
+                    onClick={() => updateTextStyle({ align })}
+                    className={`py-1 px-2 capitalize ${
+                      textStyle.align === align
+                        ? "bg-[#34729b] text-white"
+                        : "bg-gray-200 text-black"
+                    }`}
+                  >
+                    {align}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-xs"
+                  checked={textStyle.outline}
+                  onChange={(e) => updateTextStyle({ outline: e.target.checked })}
+                />
+                Outline
+                <input
+                  type="color"
+                  value={textStyle.outlineColor}
+                  onChange={(e) => updateTextStyle({ outlineColor: e.target.value })}
+                  disabled={!textStyle.outline}
+                  title="Outline color"
+                />
+                <input
+                  type="number"
+                  min={1}
+                  max={20}
+                  value={textStyle.outlineWidth}
+                  onChange={(e) => {
+                    const width = Number(e.target.value);
+                    if (width > 0) updateTextStyle({ outlineWidth: width });
+                  }}
+                  disabled={!textStyle.outline}
+                  className={`input input-sm w-14 ${isDark ? "bg-slate-800" : ""}`}
+                  title="Outline width"
+                />
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-xs"
+                  checked={textStyle.shadow}
+                  onChange={(e) => updateTextStyle({ shadow: e.target.checked })}
+                />
+                Shadow
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-xs"
+                  checked={textStyle.background}
+                  onChange={(e) => updateTextStyle({ background: e.target.checked })}
+                />
+                Box
+                <input
+                  type="color"
+                  value={textStyle.backgroundColor}
+                  onChange={(e) => updateTextStyle({ backgroundColor: e.target.value })}
+                  disabled={!textStyle.background}
+                  title="Box color"
+                />
+              </label>
+              {selectedId && (
+                <button
+                  onClick={deleteSelected}
+                  className="py-1 px-3 rounded-md bg-gray-200 text-black"
+                >
+                  Delete text
+                </button>
+              )}
+            </div>
+          )}
+
+          {tool === "image" && (
+            <div
+              className={`basis-full flex flex-wrap gap-3 items-center justify-center text-sm ${
+                isDark ? "text-white" : "text-black"
+              }`}
+            >
+              <label
+                className={`py-1 px-3 rounded-md font-medium bg-gray-200 text-black ${
+                  drawEnabled ? "cursor-pointer" : "opacity-50"
+                }`}
+              >
+                Add image…
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handleAddImage}
+                  disabled={!drawEnabled}
+                  className="hidden"
+                />
+              </label>
+              {[
+                ["size", "Size", 1, 100, "%"],
+                ["angle", "Rotation", -180, 180, "°"],
+                ["opacity", "Opacity", 0, 100, "%"],
+              ].map(([key, label, min, max, unit]) => (
+                <label key={key} className="flex items-center gap-1">
+                  {label}
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    value={imageStyle[key]}
+                    onChange={(e) => updateImageStyle({ [key]: Number(e.target.value) })}
+                    disabled={!drawEnabled}
+                    className="range range-xs w-24"
+                  />
+                  <span className="w-10">
+                    {imageStyle[key]}
+                    {unit}
+                  </span>
+                </label>
+              ))}
+              {selectedId && (
+                <button
+                  onClick={deleteSelected}
+                  className="py-1 px-3 rounded-md bg-gray-200 text-black"
+                >
+                  Delete image
+                </button>
+              )}
+              {imageError && (
+                <p className="basis-full text-red-500 text-xs">{imageError}</p>
+              )}
+            </div>
+          )}
+
+          {shapeTool && (
+            <>
+              <label
+                className={`flex items-center gap-2 text-sm ${
+                  isDark ? "text-white" : "text-black"
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-xs"
+                  checked={fillEnabled}
+                  onChange={(e) => {
+                    setFillEnabled(e.target.checked);
+                    updateSelected({ fillColor: e.target.checked ? fillColor : null });
+                  }}
+                />
+                Fill
+                <input
+                  type="color"
+                  value={fillColor}
+                  onChange={(e) => {
+                    setFillColor(e.target.value);
+                    if (fillEnabled) updateSelected({ fillColor: e.target.value });
+                  }}
+                  disabled={!fillEnabled}
+                  title="Fill color"
+                />
+              </label>
+              <select
+                value={dash}
+                onChange={(e) => {
+                  setDash(e.target.value);
+                  updateSelected({ dash: e.target.value });
+                }}
+                className={`select select-sm ${isDark ? "bg-slate-800 text-white" : ""}`}
+              >
+                {Object.entries(DASH_STYLES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {selectedId && (
+                <button onClick={deleteSelected} className="py-1 px-3 rounded-md bg-gray-200">
+                  Delete shape
+                </button>
+              )}
+            </>
+          )}
+
           <button
             onClick={handleClearDraw}
             className="py-1 px-3 rounded-md bg-gray-200"
-            disabled={strokesRef.current.length === 0}
+            disabled={!currentState(history).annotations.some(isDrawing)}
           >
             Clear Drawings
           </button>
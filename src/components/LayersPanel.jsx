@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import {
+  ArrowDownIcon,
+  ArrowUpIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  EyeIcon,
+  EyeSlashIcon,
+  LockClosedIcon,
+  LockOpenIcon,
+  PlusIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { BLEND_MODES, PHOTO_LAYER_ID, createLayer, moveLayer } from "../utils/layers";
+
+// The layer stack, listed top first. New strokes, shapes and texts go on the active
+// layer; `onRemove` is told about a removed layer so its annotations go with it.
+const LayersPanel = ({ layers, setLayers, activeId, setActiveId, onRemove, isDark }) => {
+  const [open, setOpen] = useState(false);
+
+  const update = (id, changes) =>
+    setLayers(layers.map((l) => (l.id === id ? { ...l, ...changes } : l)));
+
+  const handleAdd = () => {
+    const layer = createLayer();
+    setLayers([...layers, layer]);
+    setActiveId(layer.id);
+  };
+
+  const handleRemove = (id) => {
+    const rest = layers.filter((l) => l.id !== id);
+    setLayers(rest);
+    if (activeId === id) setActiveId(rest[rest.length - 1].id);
+    onRemove(id);
+  };
+
+  const iconButton = `p-1 rounded-md disabled:opacity-30 ${
+    isDark ? "hover:bg-slate-600" : "hover:bg-gray-200"
+  }`;
+  // the photo and at least one layer to draw on always stay
+  const removable = layers.length > 2;
+
+  return (
+    <div
+      className={`mt-3 max-w-md mx-auto text-xs text-left ${
+        isDark ? "text-white" : "text-black"
+      }`}
+    >
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setOpen(!open)}
+          className="flex items-center gap-1 font-semibold"
+        >
+          Layers
+          {open ? <ChevronUpIcon className="size-4" /> : <ChevronDownIcon className="size-4" />}
+        </button>
+        {open && (
+          <button onClick={handleAdd} title="Add a layer" className={iconButton}>
+            <PlusIcon className="size-4" />
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-1">
+          {[...layers].reverse().map((layer) => {
+            const isPhoto = layer.id === PHOTO_LAYER_ID;
+            const index = layers.indexOf(layer);
+            return (
+              <div
+                key={layer.id}
+                className={`rounded-md px-2 py-0.5 mb-1 border ${
+                  layer.id === activeId ? "border-[#6ab7c3]" : "border-transparent"
+                } ${layer.visible ? "" : "opacity-50"}`}
+              >
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => !isPhoto && setActiveId(layer.id)}
+                    title={isPhoto ? "The image" : "Draw on this layer"}
+                    className="grow text-left"
+                  >
+                    {layer.name}
+                  </button>
+                  <button
+                    onClick={() => update(layer.id, { visible: !layer.visible })}
+                    title={layer.visible ? "Hide" : "Show"}
+                    className={iconButton}
+                  >
+                    {layer.visible ? (
+                      <EyeIcon className="size-4" />
+                    ) : (
+                      <EyeSlashIcon className="size-4" />
+                    )}
+                  </button>
+                  {!isPhoto && (
+                    <>
+                      <button
+                        onClick={() => update(layer.id, { locked: !layer.locked })}
+                        title={layer.locked ? "Unlock" : "Lock"}
+                        className={iconButton}
+                      >
+                        {layer.locked ? (
+                          <LockClosedIcon className="size-4" />
+                        ) : (
+                          <LockOpenIcon className="size-4" />
+                        )}
+                      </button>
+                      <button
+                        onClick={() => setLayers(moveLayer(layers, layer.id, 1))}
+                        disabled={index === layers.length - 1}
+                        title="Move up"
+                        className={iconButton}
+                      >
+                        <ArrowUpIcon className="size-4" />
+                      </button>
+                      <button
+                        onClick={() => setLayers(moveLayer(layers, layer.id, -1))}
+                        disabled={index === 1}
+                        title="Move down"
+                        className={iconButton}
+                      >
+                        <ArrowDownIcon className="size-4" />
+                      </button>
+                      <button
+                        onClick={() => handleRemove(layer.id)}
+                        disabled={!removable}
+                        title="Remove with its drawings"
+                        className={iconButton}
+                      >
+                        <TrashIcon className="size-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="range"
+                    min={0}
+                    max={100}
+                    value={layer.opacity}
+                    onChange={(e) =>
+                      update(layer.id, { opacity: Number(e.target.value) })
+                    }
+                    className="range range-xs w-28"
+                    title="Opacity"
+                  />
+                  <span className="w-8">{layer.opacity}%</span>
+                  {!isPhoto && (
+                    <select
+                      value={layer.blend}
+                      onChange={(e) => update(layer.id, { blend: e.target.value })}
+                      className={`select select-xs ${isDark ? "bg-slate-800" : ""}`}
+                      title="Blend mode"
+                    >
+                      {Object.entries(BLEND_MODES).map(([key, label]) => (
+                        <option key={key} value={key}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+export default LayersPanel;
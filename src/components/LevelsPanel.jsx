@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { DEFAULT_LEVELS } from "../utils/levels";
+import { CHANNELS, CHANNEL_LABELS } from "../utils/channels";
+import ChannelTabs from "./ChannelTabs.jsx";
+
+// Each field: [key, label, min, max, step]
+const FIELDS = [
+  ["inBlack", "Input black", 0, 254, 1],
+  ["gamma", "Gamma", 0.1, 5, 0.01],
+  ["inWhite", "Input white", 1, 255, 1],
+  ["outBlack", "Output black", 0, 255, 1],
+  ["outWhite", "Output white", 0, 255, 1],
+];
+
+// Levels control: black point, white point and gamma on the input side plus the output
+// range, per channel. Input black is kept below input white so the mapping stays valid.
+const LevelsPanel = ({ levels, onChange, isDark }) => {
+  const [channel, setChannel] = useState("master");
+  const level = levels[channel];
+
+  const handleChange = (key, value) => {
+    const next = { ...level, [key]: value };
+    if (key === "inBlack") next.inBlack = Math.min(value, level.inWhite - 1);
+    if (key === "inWhite") next.inWhite = Math.max(value, level.inBlack + 1);
+    onChange({ ...levels, [channel]: next });
+  };
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">Levels</h3>
+      <ChannelTabs
+        channels={CHANNELS}
+        channel={channel}
+        setChannel={setChannel}
+        isDark={isDark}
+      />
+      {FIELDS.map(([key, label, min, max, step]) => (
+        <label key={key} className="flex items-center gap-2 text-xs">
+          <span className="w-24 shrink-0">{label}</span>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={level[key]}
+            onChange={(e) => handleChange(key, parseFloat(e.target.value))}
+            className="range range-xs range-accent"
+          />
+          <span
+            className={`w-10 text-right border-dashed ${
+              isDark ? "border-white" : "border-black"
+            } border px-1`}
+          >
+            {key === "gamma" ? level[key].toFixed(2) : level[key]}
+          </span>
+        </label>
+      ))}
+      <button
+        onClick={() => onChange({ ...levels, [channel]: DEFAULT_LEVELS[channel] })}
+        className={`mt-2 self-center text-xs py-0.5 px-2 rounded-md ${
+          isDark ? "bg-slate-600" : "bg-gray-200"
+        }`}
+      >
+        Reset {CHANNEL_LABELS[channel]} levels
+      </button>
+    </div>
+  );
+};
+export default LevelsPanel;
@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { LUT_INTERPOLATIONS, parseCubeLut } from "../utils/cubeLut";
+
+// Loads a .cube LUT from disk and exposes its intensity / interpolation. The parsed
+// table lives in filters.lut so the engine applies it after every other adjustment.
+const LutLoader = ({ lut, onChange, isDark }) => {
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow re-loading the same file after fixing it
+    if (!file) return;
+    try {
+      const data = parseCubeLut(await file.text());
+      setError(null);
+      onChange({
+        name: data.title || file.name,
+        data,
+        intensity: lut ? lut.intensity : 100,
+        interpolation: lut ? lut.interpolation : "tetrahedral",
+      });
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">LUT</h3>
+      <label
+        className={`self-center text-xs font-semibold py-1 px-3 rounded-md cursor-pointer ${
+          isDark ? "bg-slate-600" : "bg-gray-200"
+        }`}
+      >
+        {lut ? "Replace .cube file" : "Load .cube file"}
+        <input type="file" accept=".cube" onChange={handleFile} className="hidden" />
+      </label>
+
+      {error && <p className="text-red-500 text-xs mt-2 text-center">{error}</p>}
+
+      {lut && (
+        <div className="mt-2 space-y-2 text-xs">
+          <p className="text-center truncate" title={lut.name}>
+            {lut.name} ({lut.data.type}, size {lut.data.size})
+          </p>
+          <label className="flex items-center gap-2">
+            <span className="w-20 shrink-0">Intensity</span>
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={lut.intensity}
+              onChange={(e) =>
+                onChange({ ...lut, intensity: parseFloat(e.target.value) })
+              }
+              className="range range-xs range-accent"
+            />
+            <span className="w-10 text-right">{lut.intensity}%</span>
+          </label>
+          {lut.data.type === "3D" && (
+            <label className="flex items-center gap-2">
+              <span className="w-20 shrink-0">Interpolation</span>
+              <select
+                value={lut.interpolation}
+                onChange={(e) => onChange({ ...lut, interpolation: e.target.value })}
+                className={`select select-xs grow ${isDark ? "bg-slate-800" : ""}`}
+              >
+                {LUT_INTERPOLATIONS.map((i) => (
+                  <option key={i} value={i}>
+                    {i}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button
+            onClick={() => onChange(null)}
+            className="w-full text-xs py-0.5 px-2 rounded-md bg-red-500 text-white"
+          >
+            Remove LUT
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+export default LutLoader;
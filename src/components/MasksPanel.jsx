@@ -0,0 +1,184 @@
+import React from "react";
+import { EyeIcon, EyeSlashIcon, TrashIcon } from "@heroicons/react/24/outline";
+import AdjustmentStack from "./AdjustmentStack.jsx";
+import { MASK_KINDS, createMask } from "../utils/masks";
+
+// Local adjustments: masks with their own adjustment stack. Selecting a mask makes the
+// image editable with the pointer (paint a brush mask, drag a gradient); `maskEdit`
+// holds that editing state and is shared with ImageContainer.
+const MasksPanel = ({ masks, onChange, maskEdit, setMaskEdit, isDark }) => {
+  const active = masks.find((m) => m.id === maskEdit.activeId) || null;
+
+  const updateMask = (id, changes) =>
+    onChange(masks.map((m) => (m.id === id ? { ...m, ...changes } : m)));
+
+  const handleAdd = (kind) => {
+    const mask = createMask(kind);
+    onChange([...masks, mask]);
+    setMaskEdit((e) => ({ ...e, activeId: mask.id, erase: false }));
+  };
+
+  const handleRemove = (id) => {
+    onChange(masks.filter((m) => m.id !== id));
+    if (maskEdit.activeId === id) setMaskEdit((e) => ({ ...e, activeId: null }));
+  };
+
+  const button = `text-xs font-semibold py-1 px-2 rounded-md ${
+    isDark ? "bg-slate-600" : "bg-gray-200"
+  }`;
+  const iconButton = `p-1 rounded-md ${
+    isDark ? "hover:bg-slate-600" : "hover:bg-gray-200"
+  }`;
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">Local Adjustments</h3>
+
+      <div className="flex gap-2 justify-center mb-2">
+        {Object.entries(MASK_KINDS).map(([kind, label]) => (
+          <button key={kind} onClick={() => handleAdd(kind)} className={button}>
+            + {label}
+          </button>
+        ))}
+      </div>
+
+      {masks.map((mask, index) => (
+        <div
+          key={mask.id}
+          className={`flex items-center gap-1 rounded-md px-2 py-0.5 mb-1 border ${
+            mask.id === maskEdit.activeId ? "border-[#6ab7c3]" : "border-transparent"
+          } ${mask.enabled ? "" : "opacity-50"}`}
+        >
+          <button
+            onClick={() =>
+              setMaskEdit((e) => ({
+                ...e,
+                activeId: e.activeId === mask.id ? null : mask.id,
+              }))
+            }
+            title="Select to edit"
+            className="text-xs grow text-left"
+          >
+            {index + 1}. {MASK_KINDS[mask.kind]}
+            {mask.invert ? " (inverted)" : ""}
+          </button>
+          <button
+            onClick={() => updateMask(mask.id, { enabled: !mask.enabled })}
+            title={mask.enabled ? "Turn off" : "Turn on"}
+            className={iconButton}
+          >
+            {mask.enabled ? (
+              <EyeIcon className="size-4" />
+            ) : (
+              <EyeSlashIcon className="size-4" />
+            )}
+          </button>
+          <button
+            onClick={() => handleRemove(mask.id)}
+            title="Remove"
+            className={iconButton}
+          >
+            <TrashIcon className="size-4" />
+          </button>
+        </div>
+      ))}
+
+      {active && (
+        <div className="mt-2 space-y-2 text-xs">
+          <p className="text-center opacity-70">
+            {active.kind === "brush"
+              ? "Paint on the image to add to the mask."
+              : active.kind === "linear"
+              ? "Drag on the image from full effect to none."
+              : "Drag from the centre outwards; Shift keeps it round, a click moves it."}
+          </p>
+          <label className="flex items-center gap-2">
+            <span className="w-20 shrink-0">Feather</span>
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={active.feather}
+              onChange={(e) =>
+                updateMask(active.id, { feather: parseFloat(e.target.value) })
+              }
+              className="range range-xs range-accent"
+            />
+            <span className="w-10 text-right">{active.feather}%</span>
+          </label>
+          {active.kind === "brush" && (
+            <>
+              <label className="flex items-center gap-2">
+                <span className="w-20 shrink-0">Brush size</span>
+                <input
+                  type="range"
+                  min={2}
+                  max={200}
+                  value={maskEdit.brushSize}
+                  onChange={(e) =>
+                    setMaskEdit((m) => ({
+                      ...m,
+                      brushSize: parseFloat(e.target.value),
+                    }))
+                  }
+                  className="range range-xs range-accent"
+                />
+                <span className="w-10 text-right">{maskEdit.brushSize}px</span>
+              </label>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setMaskEdit((m) => ({ ...m, erase: !m.erase }))}
+                  className={`${button} grow ${
+                    maskEdit.erase ? "bg-[#6ab7c3] text-white" : ""
+                  }`}
+                >
+                  {maskEdit.erase ? "Erasing" : "Erase"}
+                </button>
+                <button
+                  onClick={() => updateMask(active.id, { strokes: [] })}
+                  className={`${button} grow`}
+                >
+                  Clear strokes
+                </button>
+              </div>
+            </>
+          )}
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={active.invert}
+                onChange={(e) => updateMask(active.id, { invert: e.target.checked })}
+                className="checkbox checkbox-xs"
+              />
+              Invert
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={maskEdit.showOverlay}
+                onChange={(e) =>
+                  setMaskEdit((m) => ({ ...m, showOverlay: e.target.checked }))
+                }
+                className="checkbox checkbox-xs"
+              />
+              Show mask
+            </label>
+            <button
+              onClick={() => setMaskEdit((m) => ({ ...m, activeId: null }))}
+              className={button}
+            >
+              Done
+            </button>
+          </div>
+          <AdjustmentStack
+            stack={active.stack}
+            onChange={(stack) => updateMask(active.id, { stack })}
+            isDark={isDark}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+export default MasksPanel;
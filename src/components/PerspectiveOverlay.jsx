@@ -0,0 +1,83 @@
+import React, { useRef } from "react";
+import { isConvexQuad, squareToQuad } from "../utils/perspective";
+
+const GRID_LINES = [0.25, 0.5, 0.75];
+
+// Four draggable corner handles over the displayed image for the perspective tool.
+// Corners are fractions (0..1) of the image, [top-left, top-right, bottom-right,
+// bottom-left]. The area outside the quad is dimmed and a grid shows how lines inside
+// it will run once the quad is warped to a rectangle.
+const PerspectiveOverlay = ({ corners, onChange }) => {
+  const boxRef = useRef(null);
+  const dragRef = useRef(null); // index of the corner being dragged
+
+  const handlePointerDown = (e, index) => {
+    e.stopPropagation(); // don't let ReactCrop start a selection
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = index;
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragRef.current === null || !boxRef.current) return;
+    const rect = boxRef.current.getBoundingClientRect();
+    const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    const y = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+    onChange(corners.map((p, i) => (i === dragRef.current ? { x, y } : p)));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // everything in a 0..100 viewBox stretched over the image
+  const pct = corners.map((p) => ({ x: p.x * 100, y: p.y * 100 }));
+  const quad = pct.map((p) => `${p.x},${p.y}`).join(" ");
+  const valid = isConvexQuad(corners);
+  const project = valid ? squareToQuad(pct) : null;
+  const line = (a, b, key) => (
+    <line key={key} x1={a.x} y1={a.y} x2={b.x} y2={b.y} vectorEffect="non-scaling-stroke" />
+  );
+
+  return (
+    <div ref={boxRef} className="absolute inset-0 z-10 touch-none">
+      <svg
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+        className="absolute inset-0 w-full h-full pointer-events-none"
+      >
+        <path
+          d={`M0,0 H100 V100 H0 Z M${quad.replace(/ /g, " L")} Z`}
+          fillRule="evenodd"
+          fill="rgba(0,0,0,0.45)"
+        />
+        <polygon
+          points={quad}
+          fill="none"
+          stroke={valid ? "white" : "#f87171"}
+          strokeWidth="1.5"
+          vectorEffect="non-scaling-stroke"
+        />
+        {project && (
+          <g stroke="rgba(255,255,255,0.6)" strokeWidth="1">
+            {GRID_LINES.map((t) => [
+              line(project(t, 0), project(t, 1), `v${t}`),
+              line(project(0, t), project(1, t), `h${t}`),
+            ])}
+          </g>
+        )}
+      </svg>
+      {pct.map((p, i) => (
+        <div
+          key={i}
+          onPointerDown={(e) => handlePointerDown(e, i)}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          className="absolute size-4 -translate-x-1/2 -translate-y-1/2 rounded-full bg-white border-2 border-[#34729b] shadow-md cursor-move"
+          style={{ left: `${p.x}%`, top: `${p.y}%` }}
+        />
+      ))}
+    </div>
+  );
+};
+export default PerspectiveOverlay;
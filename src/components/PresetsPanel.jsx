@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from "react";
+import { saveAs } from "file-saver";
+import { applyFilters } from "../utils/filterEngine";
+import {
+  BUILT_IN_PRESETS,
+  createUserPreset,
+  filtersToPreset,
+  loadUserPresets,
+  parsePresetsJson,
+  presetToFilters,
+  presetsToJson,
+  saveUserPresets,
+} from "../utils/presets";
+
+const THUMB_SIZE = 72; // longest side of a gallery thumbnail, in pixels
+// Blur is tuned in CSS pixels of the displayed image, which is at most ~800px wide
+// (the image box's max width), so thumbnails scale the blur radius against that.
+const DISPLAY_WIDTH = 800;
+
+const sameLook = (a, b) =>
+  JSON.stringify(filtersToPreset(a)) === JSON.stringify(filtersToPreset(b));
+
+// Gallery strip of built-in and user presets rendered on the loaded image, plus
+// save / delete / import / export of user presets.
+const PresetsPanel = ({ filters, setFilters, imageObject, isDark }) => {
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const [thumbs, setThumbs] = useState({}); // preset id -> data URL
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+
+  const presets = [...BUILT_IN_PRESETS, ...userPresets];
+
+  useEffect(() => {
+    saveUserPresets(userPresets);
+  }, [userPresets]);
+
+  // Render one small copy of the image per preset. Runs when the image or the list of
+  // presets changes, not on every slider move.
+  useEffect(() => {
+    if (!imageObject) {
+      setThumbs({});
+      return;
+    }
+    const timer = setTimeout(() => {
+      const nw = imageObject.naturalWidth;
+      const nh = imageObject.naturalHeight;
+      const ratio = Math.min(1, THUMB_SIZE / Math.max(nw, nh));
+      const w = Math.max(1, Math.round(nw * ratio));
+      const h = Math.max(1, Math.round(nh * ratio));
+      const canvas = document.createElement("canvas");
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(imageObject, 0, 0, w, h);
+      const base = ctx.getImageData(0, 0, w, h);
+      const scale = w / Math.min(nw, DISPLAY_WIDTH);
+
+      const next = {};
+      for (const preset of [...BUILT_IN_PRESETS, ...userPresets]) {
+        const copy = new ImageData(new Uint8ClampedArray(base.data), w, h);
+        applyFilters(copy, presetToFilters(preset, null), scale, w / nw);
+        ctx.putImageData(copy, 0, 0);
+        next[preset.id] = canvas.toDataURL("image/png");
+      }
+      setThumbs(next);
+    }, 50);
+    return () => clearTimeout(timer);
+  }, [imageObject, userPresets]);
+
+  const handleSave = () => {
+    const preset = createUserPreset(name, filters);
+    if (!preset) {
+      setError("Give the preset a name first.");
+      return;
+    }
+    setUserPresets((list) => [...list, preset]);
+    setName("");
+    setError(null);
+  };
+
+  const handleDelete = (id) => {
+    setUserPresets((list) => list.filter((p) => p.id !== id));
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([presetsToJson(userPresets)], {
+      type: "application/json",
+    });
+    saveAs(blob, "reactpic-presets.json");
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parsePresetsJson(await file.text());
+      setUserPresets((list) => [...list, ...imported]);
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const smallButton = `text-xs font-semibold py-1 px-2 rounded-md ${
+    isDark ? "bg-slate-600" : "bg-gray-200"
+  }`;
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h3 className="font-bold text-sm self-center mb-2">Presets</h3>
+
+      <div className="flex gap-2 overflow-x-auto pb-2">
+        {presets.map((preset) => {
+          const active = sameLook(presetToFilters(preset, filters), filters);
+          return (
+            <div key={preset.id} className="relative shrink-0">
+              <button
+                onClick={() => setFilters((f) => presetToFilters(preset, f))}
+                title={preset.name}
+                className={`flex flex-col items-center w-20 p-1 rounded-md border-2 ${
+                  active ? "border-[#6ab7c3]" : "border-transparent"
+                }`}
+              >
+                {thumbs[preset.id] ? (
+                  <img
+                    src={thumbs[preset.id]}
+                    alt={preset.name}
+                    className="h-[72px] w-[72px] object-contain"
+                  />
+                ) : (
+                  <div
+                    className={`h-[72px] w-[72px] rounded ${
+                      isDark ? "bg-slate-600" : "bg-gray-200"
+                    }`}
+                  />
+                )}
+                <span className="text-xs truncate w-full">{preset.name}</span>
+              </button>
+              {!preset.builtIn && (
+                <button
+                  onClick={() => handleDelete(preset.id)}
+                  title="Delete preset"
+                  className="absolute top-0 right-0 w-5 h-5 leading-none rounded-full bg-red-500 text-white text-xs"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-2 mt-1">
+        <input
+          type="text"
+          value={name}
+          placeholder="Preset name"
+          maxLength={40}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSave()}
+          className={`input input-xs grow ${isDark ? "bg-slate-800" : ""}`}
+        />
+        <button onClick={handleSave} className={smallButton}>
+          Save current
+        </button>
+      </div>
+      <div className="flex justify-center gap-2 mt-2">
+        <label className={`${smallButton} cursor-pointer`}>
+          Import JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </label>
+        <button
+          onClick={handleExport}
+          disabled={userPresets.length === 0}
+          className={`${smallButton} disabled:opacity-50`}
+        >
+          Export JSON
+        </button>
+      </div>
+      {error && <p className="text-red-500 text-xs mt-2 text-center">{error}</p>}
+    </div>
+  );
+};
+export default PresetsPanel;
@@ -0,0 +1,148 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_EXPORT_SIZE,
+  RESAMPLE_METHODS,
+  exportDimensions,
+} from "../utils/resample";
+
+// Export size dialog: width / height in pixels or percent with an optional aspect
+// lock, and the resampling method. Edits a draft that is only applied on "Apply".
+// Mounted only while open, so the draft starts from the current settings each time.
+const ResizeDialog = ({ settings, onApply, onClose, naturalWidth, naturalHeight, isDark }) => {
+  const natural = (unit) =>
+    unit === "%" ? { width: 100, height: 100 } : { width: naturalWidth, height: naturalHeight };
+  const [draft, setDraft] = useState(() =>
+    settings.width == null ? { ...settings, ...natural(settings.unit) } : settings
+  );
+
+  const setDimension = (key, value) => {
+    const next = { ...draft, [key]: value };
+    if (draft.lockAspect) {
+      const other = key === "width" ? "height" : "width";
+      if (draft.unit === "%") next[other] = value;
+      else
+        next[other] = Math.round(
+          key === "width"
+            ? (value * naturalHeight) / naturalWidth
+            : (value * naturalWidth) / naturalHeight
+        );
+    }
+    setDraft(next);
+  };
+
+  // switching units keeps the same output size
+  const setUnit = (unit) => {
+    const size = exportDimensions(draft, naturalWidth, naturalHeight);
+    setDraft(
+      unit === "%"
+        ? {
+            ...draft,
+            unit,
+            width: Math.round((size.width / naturalWidth) * 1000) / 10,
+            height: Math.round((size.height / naturalHeight) * 1000) / 10,
+          }
+        : { ...draft, unit, ...size }
+    );
+  };
+
+  const output = exportDimensions(draft, naturalWidth, naturalHeight);
+  const input = `input input-sm w-24 ${isDark ? "bg-slate-800" : ""}`;
+  const button = `py-1 px-3 rounded-md text-sm font-medium ${
+    isDark ? "bg-slate-600" : "bg-gray-200"
+  }`;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-label="Resize"
+        onClick={(e) => e.stopPropagation()}
+        className={`w-80 rounded-lg shadow-lg p-5 text-sm space-y-3 ${
+          isDark ? "bg-slate-700 text-white" : "bg-white text-black"
+        }`}
+      >
+        <h2 className="font-semibold text-lg">Resize export</h2>
+        <p className="opacity-70">
+          Current size: {naturalWidth} × {naturalHeight} px
+        </p>
+        <div className="flex items-center gap-2">
+          {["width", "height"].map((key) => (
+            <label key={key} className="flex flex-col">
+              <span className="capitalize">{key}</span>
+              <input
+                type="number"
+                min={1}
+                value={draft[key]}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (Number.isFinite(value) && value > 0) setDimension(key, value);
+                }}
+                className={input}
+              />
+            </label>
+          ))}
+          <label className="flex flex-col">
+            <span>Unit</span>
+            <select
+              value={draft.unit}
+              onChange={(e) => setUnit(e.target.value)}
+              className={`select select-sm ${isDark ? "bg-slate-800" : ""}`}
+            >
+              <option value="px">px</option>
+              <option value="%">%</option>
+            </select>
+          </label>
+        </div>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.lockAspect}
+            onChange={(e) => setDraft({ ...draft, lockAspect: e.target.checked })}
+            className="checkbox checkbox-xs"
+          />
+          Lock aspect ratio
+        </label>
+        <label className="flex items-center gap-2">
+          <span>Resampling</span>
+          <select
+            value={draft.method}
+            onChange={(e) => setDraft({ ...draft, method: e.target.value })}
+            className={`select select-sm grow ${isDark ? "bg-slate-800" : ""}`}
+          >
+            {Object.entries(RESAMPLE_METHODS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <p className="font-semibold">
+          Output: {output.width} × {output.height} px
+        </p>
+        <div className="flex justify-between gap-2">
+          <button
+            onClick={() => onApply({ ...DEFAULT_EXPORT_SIZE, method: draft.method })}
+            className={button}
+          >
+            Original size
+          </button>
+          <div className="flex gap-2">
+            <button onClick={onClose} className={button}>
+              Cancel
+            </button>
+            <button
+              onClick={() => onApply(draft)}
+              className="py-1 px-3 rounded-md text-sm font-medium bg-[#34729b] text-white"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default ResizeDialog;
@@ -1,116 +1,82 @@
-import Slider from "./Slider.jsx";
+import AdjustmentStack from "./AdjustmentStack.jsx";
+import AutoPanel from "./AutoPanel.jsx";
+import BasicPanel from "./BasicPanel.jsx";
+import DetailPanel from "./DetailPanel.jsx";
+import CurvesPanel from "./CurvesPanel.jsx";
+import LevelsPanel from "./LevelsPanel.jsx";
+import LutLoader from "./LutLoader.jsx";
+import MasksPanel from "./MasksPanel.jsx";
+import PresetsPanel from "./PresetsPanel.jsx";
+import { DEFAULT_FILTERS } from "../utils/filterEngine";
 import '../App.css'
 
-const Sidebar = ({ filters, setFilters, isDark }) => {
+const Sidebar = ({
+  filters,
+  setFilters,
+  imageObject,
+  maskEdit,
+  setMaskEdit,
+  isDark,
+}) => {
   const handleReset = () => {
-    setFilters({
-      blur: 0,
-      grayScale: 0,
-      brightness: 100,
-      contrast: 100,
-      hueRotate: 0,
-      invert: 0,
-      opacity: 100,
-      saturate: 100,
-      sepia: 0,
-    });
+    setFilters(DEFAULT_FILTERS);
   };
 
   return (
     <aside className={`w-full overflow-y-auto lg:w-1/3 h-[90vh] py-7 px-5  ${isDark?'bg-slate-700 text-white':'bg-white text-black'} mt-4 lg:mt-0 rounded-lg shadow-lg`}>
       <h2 className={`font-semibold text-2xl mb-3  ${isDark?'text-[#6ac3ff]':'text-[#1f5172]'}`}>Tools</h2>
       <div className="space-y-4">
-        <Slider
-          title={"Gray Scale"}
+        <PresetsPanel
           filters={filters}
           setFilters={setFilters}
-          value={filters.grayScale}
-          name={"grayScale"}
-          min={0}
-          max={100}
+          imageObject={imageObject}
           isDark={isDark}
         />
-        <Slider
-          title={"Brightness"}
+        <AutoPanel
           filters={filters}
           setFilters={setFilters}
-          value={filters.brightness}
-          name={"brightness"}
-          min={0}
-          max={200}
+          imageObject={imageObject}
           isDark={isDark}
         />
-        <Slider
-          title={"Contrast"}
-          filters={filters}
-          setFilters={setFilters}
-          value={filters.contrast}
-          name={"contrast"}
-          min={0}
-          max={200}
+        <BasicPanel
+          basic={filters.basic}
+          onChange={(basic) => setFilters((f) => ({ ...f, basic }))}
           isDark={isDark}
         />
-        <Slider
-          title={"Hue Rotate"}
-          filters={filters}
-          setFilters={setFilters}
-          value={filters.hueRotate}
-          name={"hueRotate"}
-          min={0}
-          max={360}
+        <AdjustmentStack
+          stack={filters.stack}
+          onChange={(stack) => setFilters((f) => ({ ...f, stack }))}
           isDark={isDark}
         />
-        <Slider
-          title={"Invert"}
-          filters={filters}
-          setFilters={setFilters}
-          value={filters.invert}
-          name={"invert"}
-          min={0}
-          max={100}
+        <MasksPanel
+          masks={filters.masks}
+          onChange={(masks) => setFilters((f) => ({ ...f, masks }))}
+          maskEdit={maskEdit}
+          setMaskEdit={setMaskEdit}
           isDark={isDark}
         />
-        <Slider
-          title={"Opacity"}
-          filters={filters}
-          setFilters={setFilters}
-          value={filters.opacity}
-          name={"opacity"}
-          min={0}
-          max={100}
+        <LevelsPanel
+          levels={filters.levels}
+          onChange={(levels) => setFilters((f) => ({ ...f, levels }))}
           isDark={isDark}
         />
-        <Slider
-          title={"Saturate"}
-          filters={filters}
-          setFilters={setFilters}
-          value={filters.saturate}
-          name={"saturate"}
-          min={0}
-          max={200}
+        <CurvesPanel
+          curves={filters.curves}
+          onChange={(curves) => setFilters((f) => ({ ...f, curves }))}
           isDark={isDark}
         />
-        <Slider
-          title={"Sepia"}
-          filters={filters}
-          setFilters={setFilters}
-          value={filters.sepia}
-          name={"sepia"}
-          min={0}
-          max={100}
+        <LutLoader
+          lut={filters.lut}
+          onChange={(lut) => setFilters((f) => ({ ...f, lut }))}
           isDark={isDark}
         />
-        <Slider
-          title={"Blur"}
-          filters={filters}
-          setFilters={setFilters}
-          value={filters.blur}
-          name={"blur"}
-          min={0}
-          max={10}
+        <DetailPanel
+          detail={filters.detail}
+          effects={filters.effects}
+          onDetailChange={(detail) => setFilters((f) => ({ ...f, detail }))}
+          onEffectsChange={(effects) => setFilters((f) => ({ ...f, effects }))}
           isDark={isDark}
         />
-      
       </div>
       <button
         onClick={handleReset}
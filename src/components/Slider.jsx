@@ -1,20 +1,19 @@
 import React from "react";
-import { useState } from "react";
 
-const Slider = ({ title, filters, setFilters, value, name, min, max, isDark }) => {
+const Slider = ({ title, value, min, max, step, onChange, isDark }) => {
   const handleChange = (e) => {
-    setFilters({ ...filters, [e.target.name]: parseFloat(e.target.value) });
+    onChange(parseFloat(e.target.value));
   };
   return (
      <div className="flex flex-col mb-5">
-      <h3 className="font-bold text-sm self-center">{title}</h3>
+      {title && <h3 className="font-bold text-sm self-center">{title}</h3>}
       <div className="flex justify-center items-center gap-2">
         <span className={`border-dashed ${isDark?'border-white':'border-black'} text-xs border px-1 py-0`}>{min}</span>
         <input
           type="range"
           min={min}
           max={max}
-          name={name}
+          step={step}
           value={value}
           onChange={handleChange}
           className="range range-xs range-accent "
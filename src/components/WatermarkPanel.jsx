@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import { ChevronDownIcon, ChevronUpIcon } from "@heroicons/react/24/outline";
+import { TEXT_FONTS } from "../utils/annotations";
+import {
+  WATERMARK_ANCHORS,
+  loadOverlayImage,
+  readFileAsDataUrl,
+} from "../utils/overlays";
+
+// Text or logo stamped on every export (utils/overlays.js), either once at an anchor or
+// tiled over the whole image. Sizes are percentages of the image's shorter side.
+const WatermarkPanel = ({ watermark, setWatermark, isDark }) => {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (changes) => setWatermark({ ...watermark, ...changes });
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const src = await readFileAsDataUrl(file);
+      await loadOverlayImage(src);
+      setError(null);
+      update({ imageSrc: src, type: "image" });
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const field = isDark ? "bg-slate-800" : "";
+  // a slider with its label and value
+  const range = (key, label, min, max, unit = "%") => (
+    <label className="flex items-center gap-1">
+      {label}
+      <input
+        type="range"
+        min={min}
+        max={max}
+        value={watermark[key]}
+        onChange={(e) => update({ [key]: Number(e.target.value) })}
+        className="range range-xs w-24"
+      />
+      <span className="w-8">
+        {watermark[key]}
+        {unit}
+      </span>
+    </label>
+  );
+
+  return (
+    <div
+      className={`mt-3 max-w-md mx-auto text-xs text-left ${
+        isDark ? "text-white" : "text-black"
+      }`}
+    >
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-1 font-semibold"
+      >
+        Watermark
+        {watermark.enabled && <span className="font-normal opacity-70">(on)</span>}
+        {open ? <ChevronUpIcon className="size-4" /> : <ChevronDownIcon className="size-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={watermark.enabled}
+                onChange={(e) => update({ enabled: e.target.checked })}
+                className="checkbox checkbox-xs"
+              />
+              Add to exports
+            </label>
+            <select
+              value={watermark.type}
+              onChange={(e) => update({ type: e.target.value })}
+              className={`select select-xs ${field}`}
+            >
+              <option value="text">Text</option>
+              <option value="image">Image</option>
+            </select>
+          </div>
+
+          {watermark.type === "text" ? (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={watermark.text}
+                onChange={(e) => update({ text: e.target.value })}
+                className={`input input-xs w-36 ${field}`}
+              />
+              <select
+                value={watermark.fontFamily}
+                onChange={(e) => update({ fontFamily: e.target.value })}
+                className={`select select-xs ${field}`}
+              >
+                {Object.entries(TEXT_FONTS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="color"
+                value={watermark.color}
+                onChange={(e) => update({ color: e.target.value })}
+                title="Text color"
+              />
+              {range("fontSize", "Size", 1, 20)}
+            </div>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <label
+                className={`font-semibold py-0.5 px-2 rounded-md cursor-pointer ${
+                  isDark ? "bg-slate-600" : "bg-gray-200"
+                }`}
+              >
+                {watermark.imageSrc ? "Replace logo" : "Load logo"}
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handleFile}
+                  className="hidden"
+                />
+              </label>
+              {watermark.imageSrc && (
+                <img
+                  src={watermark.imageSrc}
+                  alt="Logo"
+                  className="h-6 max-w-16 object-contain"
+                />
+              )}
+              {range("imageSize", "Size", 2, 100)}
+            </div>
+          )}
+          {error && <p className="text-red-500 text-xs">{error}</p>}
+
+          <div className="flex flex-wrap items-center gap-2">
+            {range("opacity", "Opacity", 0, 100)}
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={watermark.tile}
+                onChange={(e) => update({ tile: e.target.checked })}
+                className="checkbox checkbox-xs"
+              />
+              Tile
+            </label>
+          </div>
+
+          {watermark.tile ? (
+            <div className="flex flex-wrap items-center gap-2">
+              {range("tileGap", "Gap", 0, 50)}
+              {range("tileAngle", "Angle", -90, 90, "°")}
+            </div>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <select
+                value={watermark.anchor}
+                onChange={(e) => update({ anchor: e.target.value })}
+                className={`select select-xs ${field}`}
+                title="Position"
+              >
+                {Object.entries(WATERMARK_ANCHORS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {range("margin", "Margin", 0, 20)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default WatermarkPanel;
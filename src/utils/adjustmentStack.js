@@ -0,0 +1,100 @@
+// The adjustment stack: an ordered list of CSS-style filter functions that the user can
+// add, duplicate, reorder, toggle and remove. Each entry is
+//   { id, type, value, enabled }
+// where `type` is a key of ADJUSTMENT_TYPES. Entries run top to bottom, both in the CSS
+// preview (one function per entry, so order and repeats carry over) and in the engine.
+
+// Slider range, neutral value and CSS function for every adjustment type. The order
+// here is the order of the old fixed filter string, used for the default stack.
+export const ADJUSTMENT_TYPES = {
+  blur: { title: "Blur", css: "blur", unit: "px", min: 0, max: 10, neutral: 0 },
+  grayScale: { title: "Gray Scale", css: "grayscale", unit: "%", min: 0, max: 100, neutral: 0 },
+  brightness: { title: "Brightness", css: "brightness", unit: "%", min: 0, max: 200, neutral: 100 },
+  contrast: { title: "Contrast", css: "contrast", unit: "%", min: 0, max: 200, neutral: 100 },
+  hueRotate: { title: "Hue Rotate", css: "hue-rotate", unit: "deg", min: 0, max: 360, neutral: 0 },
+  invert: { title: "Invert", css: "invert", unit: "%", min: 0, max: 100, neutral: 0 },
+  opacity: { title: "Opacity", css: "opacity", unit: "%", min: 0, max: 100, neutral: 100 },
+  saturate: { title: "Saturate", css: "saturate", unit: "%", min: 0, max: 200, neutral: 100 },
+  sepia: { title: "Sepia", css: "sepia", unit: "%", min: 0, max: 100, neutral: 0 },
+};
+
+let nextId = 0;
+const newId = () => `adj-${Date.now().toString(36)}-${nextId++}`;
+
+export function createAdjustment(type, value = ADJUSTMENT_TYPES[type].neutral) {
+  return { id: newId(), type, value, enabled: true };
+}
+
+// One neutral entry per type, in the historic order. Ids are fixed so the default
+// stack compares equal to itself across resets.
+export const DEFAULT_STACK = Object.entries(ADJUSTMENT_TYPES).map(
+  ([type, meta]) => ({ id: `default-${type}`, type, value: meta.neutral, enabled: true })
+);
+
+export function stackToCss(stack) {
+  return stack
+    .filter((entry) => entry.enabled)
+    .map((entry) => {
+      const meta = ADJUSTMENT_TYPES[entry.type];
+      return `${meta.css}(${entry.value}${meta.unit})`;
+    })
+    .join(" ");
+}
+
+// ---------- Editing helpers (all return a new array) ----------
+export function updateAdjustment(stack, id, changes) {
+  return stack.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry));
+}
+
+export function duplicateAdjustment(stack, id) {
+  const index = stack.findIndex((entry) => entry.id === id);
+  if (index === -1) return stack;
+  const copy = { ...stack[index], id: newId() };
+  return [...stack.slice(0, index + 1), copy, ...stack.slice(index + 1)];
+}
+
+export function removeAdjustment(stack, id) {
+  return stack.filter((entry) => entry.id !== id);
+}
+
+export function moveAdjustment(stack, from, to) {
+  if (from === to || from < 0 || from >= stack.length) return stack;
+  const next = [...stack];
+  const [entry] = next.splice(from, 1);
+  next.splice(Math.max(0, Math.min(next.length, to)), 0, entry);
+  return next;
+}
+
+// ---------- Serialisation ----------
+// Stacks saved in presets don't keep ids; they get fresh ones when loaded.
+export function stackForStorage(stack) {
+  return stack.map(({ type, value, enabled }) => ({ type, value, enabled }));
+}
+
+export function stacksEqual(a, b) {
+  return JSON.stringify(stackForStorage(a)) === JSON.stringify(stackForStorage(b));
+}
+
+// Validates entries from storage or a file; unknown types and bad values are dropped
+// and values are clamped to their slider range. Only own keys count as types, so
+// "constructor" or "toString" from a crafted file don't get through.
+export function sanitizeStack(stack) {
+  if (!Array.isArray(stack)) return null;
+  return stack
+    .filter(
+      (entry) =>
+        entry &&
+        Object.hasOwn(ADJUSTMENT_TYPES, entry.type) &&
+        typeof entry.value === "number" &&
+        Number.isFinite(entry.value)
+    )
+    .map((entry) => {
+      const { min, max } = ADJUSTMENT_TYPES[entry.type];
+      return {
+        id: newId(),
+        type: entry.type,
+        value: Math.max(min, Math.min(max, entry.value)),
+        enabled: entry.enabled !== false,
+      };
+    });
+}
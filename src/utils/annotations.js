@@ -0,0 +1,578 @@
+// Annotations drawn over the image: freehand strokes, shapes, texts and images.
+//
+// Annotations are stored in pixels of the original upload and mapped through the edit
+// steps when drawn (editPipeline.js opsPointMapper), so the same drawing code serves
+// the overlay canvas and the full-resolution export:
+//   stroke { kind: "stroke", points, color, size, eraser, opacity, hardness }
+//     points are { x, y, w }, w scaling `size` at that point (pressure and speed)
+//   shape  { kind: "shape", id, shape, points, strokeColor, fillColor, width, dash }
+//     line / arrow    points = [start, end]
+//     rect / ellipse  points = the four corners of the box as drawn [tl, tr, br, bl];
+//                     an ellipse is the one inscribed in that box. Keeping all four
+//                     corners means a box drawn on a straightened or warped image stays
+//                     square to the screen, and turns with any step added later.
+//   fillColor is null for no fill (line and arrow are never filled).
+//   text   { kind: "text", id, text, points: [anchor, axis], ...TEXT_STYLE keys }
+//     anchor is the top-left of the text box and axis a point to its right, which gives
+//     the direction of the baseline, so text turns with the image too. fontSize and
+//     outlineWidth are in original pixels.
+//   image  { kind: "image", id, src, points: [centre, axis], width, height, opacity }
+//     an overlay picture (a logo, a sticker), centred on `centre` and turned like a
+//     text; width and height in original pixels, see overlays.js.
+// Every annotation also has `layer`, the id of the layer it is drawn on (layers.js).
+//
+// Geometry helpers work on whatever space their points are in; the component uses
+// displayed CSS pixels for interaction. Translucent and soft strokes go through an
+// offscreen canvas, so drawing them needs the DOM. Images are only drawn once loaded
+// (overlays.js loadOverlayImage).
+
+import { overlayImage } from "./overlays";
+
+export const SHAPE_TOOLS = {
+  line: "Line",
+  arrow: "Arrow",
+  rect: "Rectangle",
+  ellipse: "Ellipse",
+};
+
+export const DASH_STYLES = {
+  solid: "Solid",
+  dashed: "Dashed",
+  dotted: "Dotted",
+};
+
+export const TEXT_FONTS = {
+  "sans-serif": "Sans-serif",
+  serif: "Serif",
+  monospace: "Monospace",
+  "Impact, 'Arial Black', sans-serif": "Impact",
+  "'Comic Sans MS', 'Comic Neue', cursive": "Casual",
+};
+
+export const TEXT_ALIGNS = ["left", "center", "right"];
+
+// Text tool settings; fontSize and outlineWidth in CSS pixels of the displayed image
+// (converted to original pixels when a text is placed)
+export const DEFAULT_TEXT_STYLE = {
+  fontFamily: "sans-serif",
+  fontSize: 32,
+  fontWeight: "bold",
+  color: "#ffffff",
+  align: "left",
+  outline: true,
+  outlineColor: "#000000",
+  outlineWidth: 2,
+  shadow: false,
+  background: false,
+  backgroundColor: "#000000",
+};
+
+// Brush and eraser settings, all 0..100 except `pressure`
+export const DEFAULT_BRUSH = {
+  smoothing: 40, // how far the line trails the pointer to even out jitter
+  pressure: true, // pen pressure changes the width
+  speed: 30, // how much fast movement thins the line
+  hardness: 100, // soft to hard edge
+  opacity: 100,
+};
+
+export const HANDLE_SIZE = 8; // edit handles on the overlay, CSS pixels
+
+const isBox = (shape) => shape === "rect" || shape === "ellipse";
+
+// What "Clear drawings" removes: strokes, shapes and texts. Placed images and
+// redactions (redaction.js) stay.
+export const isDrawing = (annotation) =>
+  ["stroke", "shape", "text"].includes(annotation.kind);
+
+let nextId = 0;
+
+export function createShape(shape, style) {
+  return { kind: "shape", id: `shape-${nextId++}`, shape, points: [], ...style };
+}
+
+export function createText(text, style, points) {
+  return { kind: "text", id: `text-${nextId++}`, text, points, ...style };
+}
+
+export function createImage(src, points, width, height, style) {
+  return { kind: "image", id: `image-${nextId++}`, src, points, width, height, ...style };
+}
+
+// Anchor and axis points for a text placed at `p` on screen; also the centre and axis
+// of an image
+export const textPointsAt = (p) => [p, { x: p.x + 100, y: p.y }];
+
+// ---------- Geometry ----------
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+const mul = (a, k) => ({ x: a.x * k, y: a.y * k });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Shift-constrained end point: 45° steps for lines, equal sides for boxes.
+const constrainEnd = (shape, start, end) => {
+  const d = sub(end, start);
+  if (isBox(shape)) {
+    const side = Math.max(Math.abs(d.x), Math.abs(d.y));
+    return { x: start.x + Math.sign(d.x || 1) * side, y: start.y + Math.sign(d.y || 1) * side };
+  }
+  const step = Math.PI / 4;
+  const angle = Math.round(Math.atan2(d.y, d.x) / step) * step;
+  const length = Math.hypot(d.x, d.y);
+  return { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+};
+
+// Points of a shape dragged from `start` to `end` (screen-aligned boxes).
+export function shapePointsFromDrag(shape, start, end, constrain = false) {
+  const e = constrain ? constrainEnd(shape, start, end) : end;
+  if (!isBox(shape)) return [start, e];
+  const x0 = Math.min(start.x, e.x);
+  const x1 = Math.max(start.x, e.x);
+  const y0 = Math.min(start.y, e.y);
+  const y1 = Math.max(start.y, e.y);
+  return [
+    { x: x0, y: y0 },
+    { x: x1, y: y0 },
+    { x: x1, y: y1 },
+    { x: x0, y: y1 },
+  ];
+}
+
+// Moves handle `index` of a shape to `p`. Line ends move freely (45° steps with
+// `constrain`); a box corner moves with the opposite corner fixed, along the box's own
+// edge directions, so a box that has been turned stays a rectangle.
+export function moveShapeHandle(shape, points, index, p, constrain = false) {
+  if (!isBox(shape)) {
+    const other = points[1 - index];
+    const moved = constrain ? constrainEnd(shape, other, p) : p;
+    return points.map((q, i) => (i === index ? moved : q));
+  }
+  const o = points[(index + 2) % 4]; // opposite corner
+  const a = points[(index + 1) % 4];
+  const b = points[(index + 3) % 4];
+  const axis = (q) => {
+    const d = sub(q, o);
+    const length = Math.hypot(d.x, d.y);
+    return length > 1e-6 ? mul(d, 1 / length) : null;
+  };
+  // fall back to screen axes for a box that has collapsed to a line or a point
+  const ua = axis(a) || { x: 1, y: 0 };
+  const ub = axis(b) || { x: -ua.y, y: ua.x };
+  let da = dot(sub(p, o), ua);
+  let db = dot(sub(p, o), ub);
+  if (constrain) {
+    const side = Math.max(Math.abs(da), Math.abs(db));
+    da = Math.sign(da || 1) * side;
+    db = Math.sign(db || 1) * side;
+  }
+  const out = [];
+  out[(index + 2) % 4] = o;
+  out[(index + 1) % 4] = add(o, mul(ua, da));
+  out[(index + 3) % 4] = add(o, mul(ub, db));
+  out[index] = add(add(o, mul(ua, da)), mul(ub, db));
+  return out;
+}
+
+// Outline of a shape through its (already mapped) points: { points, closed }.
+const shapeOutline = (shape, points) => {
+  if (shape === "rect") return { points, closed: true };
+  if (shape === "ellipse") {
+    // conjugate semi-diameters of the box: exact for any affine view of it
+    const c = mid(points[0], points[2]);
+    const a = sub(mid(points[1], points[2]), c);
+    const b = sub(mid(points[3], points[2]), c);
+    const outline = [];
+    for (let i = 0; i < 72; i++) {
+      const t = (i / 72) * 2 * Math.PI;
+      outline.push(add(c, add(mul(a, Math.cos(t)), mul(b, Math.sin(t)))));
+    }
+    return { points: outline, closed: true };
+  }
+  return { points, closed: false };
+};
+
+const distanceToSegment = (p, a, b) => {
+  const d = sub(b, a);
+  const len2 = dot(d, d);
+  const t = len2 ? Math.max(0, Math.min(1, dot(sub(p, a), d) / len2)) : 0;
+  const q = add(a, mul(d, t));
+  return Math.hypot(p.x - q.x, p.y - q.y);
+};
+
+const insidePolygon = (p, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.y > p.y !== b.y > p.y && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x)
+      inside = !inside;
+  }
+  return inside;
+};
+
+// True when `p` is on the shape's outline (within `tolerance`) or inside a filled one.
+export function hitShape(shape, points, p, tolerance, filled) {
+  const outline = shapeOutline(shape, points);
+  const pts = outline.points;
+  const n = outline.closed ? pts.length : pts.length - 1;
+  for (let i = 0; i < n; i++)
+    if (distanceToSegment(p, pts[i], pts[(i + 1) % pts.length]) <= tolerance) return true;
+  return outline.closed && filled && insidePolygon(p, pts);
+}
+
+// ---------- Drawing ----------
+const dashPattern = (dash, width) => {
+  if (dash === "dashed") return [width * 3, width * 2];
+  if (dash === "dotted") return [0, width * 2]; // zero-length dashes with round caps
+  return [];
+};
+
+const tracePath = (ctx, points, closed) => {
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+  if (closed) ctx.closePath();
+};
+
+// Draws a shape through `points` (already mapped to ctx's coordinates) with a line
+// `width` in the same units.
+const drawShape = (ctx, s, points, width) => {
+  ctx.save();
+  ctx.lineJoin = "round";
+  ctx.lineCap = "round";
+  ctx.lineWidth = width;
+  ctx.strokeStyle = s.strokeColor;
+  ctx.setLineDash(dashPattern(s.dash, width));
+
+  if (s.shape === "arrow") {
+    const [a, b] = points;
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length > 0) {
+      const u = mul(sub(b, a), 1 / length);
+      const head = Math.min(length, width * 4.5);
+      const base = sub(b, mul(u, head));
+      const side = mul({ x: -u.y, y: u.x }, head * 0.5);
+      // the shaft stops inside the head so its cap doesn't poke through the tip
+      tracePath(ctx, [a, add(base, mul(u, head * 0.3))], false);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = s.strokeColor;
+      tracePath(ctx, [b, add(base, side), sub(base, side)], true);
+      ctx.fill();
+    }
+  } else {
+    const outline = shapeOutline(s.shape, points);
+    tracePath(ctx, outline.points, outline.closed);
+    if (outline.closed && s.fillColor) {
+      ctx.fillStyle = s.fillColor;
+      ctx.fill();
+    }
+    if (width > 0) ctx.stroke();
+  }
+  ctx.restore();
+};
+
+// ---------- Text ----------
+// Lines, their widths and the box size of a text at font size `size` (ctx units).
+const textLayout = (ctx, t, size) => {
+  ctx.font = `${t.fontWeight} ${size}px ${t.fontFamily}`;
+  const lines = t.text.split("\n");
+  const widths = lines.map((line) => ctx.measureText(line).width);
+  const lineHeight = size * 1.2;
+  return {
+    lines,
+    widths,
+    lineHeight,
+    width: Math.max(0, ...widths),
+    height: lines.length * lineHeight,
+    pad: size * 0.25, // background box padding
+  };
+};
+
+// Moves ctx to the text's anchor (an image's centre), turned to its baseline direction.
+const enterTextFrame = (ctx, points) => {
+  const [a, b] = points;
+  ctx.translate(a.x, a.y);
+  ctx.rotate(Math.atan2(b.y - a.y, b.x - a.x));
+};
+
+const drawText = (ctx, t, points, scale) => {
+  const size = t.fontSize * scale;
+  ctx.save();
+  enterTextFrame(ctx, points);
+  const layout = textLayout(ctx, t, size);
+  if (t.background) {
+    ctx.fillStyle = t.backgroundColor;
+    ctx.fillRect(
+      -layout.pad,
+      -layout.pad,
+      layout.width + 2 * layout.pad,
+      layout.height + 2 * layout.pad
+    );
+  }
+  ctx.textBaseline = "top";
+  ctx.lineJoin = "round";
+  if (t.shadow) {
+    ctx.shadowColor = "rgba(0, 0, 0, 0.6)";
+    ctx.shadowBlur = size * 0.15;
+    ctx.shadowOffsetX = size * 0.05;
+    ctx.shadowOffsetY = size * 0.05;
+  }
+  layout.lines.forEach((line, i) => {
+    const x =
+      t.align === "center"
+        ? (layout.width - layout.widths[i]) / 2
+        : t.align === "right"
+          ? layout.width - layout.widths[i]
+          : 0;
+    const y = i * layout.lineHeight + (layout.lineHeight - size) / 2;
+    if (t.outline && t.outlineWidth > 0) {
+      // stroked at twice the width under the fill, so the outline sits outside the glyphs
+      ctx.strokeStyle = t.outlineColor;
+      ctx.lineWidth = 2 * t.outlineWidth * scale;
+      ctx.strokeText(line, x, y);
+      ctx.shadowColor = "transparent"; // one shadow per line is enough
+    }
+    ctx.fillStyle = t.color;
+    ctx.fillText(line, x, y);
+    if (t.shadow) ctx.shadowColor = "rgba(0, 0, 0, 0.6)";
+  });
+  ctx.restore();
+};
+
+// True when `p` is inside the text's box (points and p in ctx units; ctx is only used
+// to measure the text).
+export function hitText(ctx, t, points, scale, p) {
+  const size = t.fontSize * scale;
+  ctx.save();
+  const layout = textLayout(ctx, t, size);
+  ctx.restore();
+  const [a, b] = points;
+  const angle = Math.atan2(b.y - a.y, b.x - a.x);
+  // p in the text's own frame
+  const dx = p.x - a.x;
+  const dy = p.y - a.y;
+  const x = dx * Math.cos(angle) + dy * Math.sin(angle);
+  const y = -dx * Math.sin(angle) + dy * Math.cos(angle);
+  return (
+    x >= -layout.pad &&
+    y >= -layout.pad &&
+    x <= layout.width + layout.pad &&
+    y <= layout.height + layout.pad
+  );
+}
+
+// ---------- Images ----------
+const drawImage = (ctx, im, points, scale) => {
+  const image = overlayImage(im.src);
+  if (!image) return;
+  const w = im.width * scale;
+  const h = im.height * scale;
+  ctx.save();
+  enterTextFrame(ctx, points);
+  ctx.globalAlpha *= (im.opacity ?? 100) / 100;
+  ctx.drawImage(image, -w / 2, -h / 2, w, h);
+  ctx.restore();
+};
+
+// True when `p` is inside the image (points and p in ctx units)
+export function hitImage(im, points, scale, p) {
+  const [a, b] = points;
+  const angle = Math.atan2(b.y - a.y, b.x - a.x);
+  const dx = p.x - a.x;
+  const dy = p.y - a.y;
+  const x = dx * Math.cos(angle) + dy * Math.sin(angle);
+  const y = -dx * Math.sin(angle) + dy * Math.cos(angle);
+  return Math.abs(x) <= (im.width * scale) / 2 && Math.abs(y) <= (im.height * scale) / 2;
+}
+
+// ---------- Brush ----------
+// Turns raw pointer samples { x, y, pressure, pointerType, time } into stroke points
+// { x, y, w }, w being the width relative to the brush size. The position follows the
+// pointer exponentially (a stabilizer; more smoothing means a longer lag) and the width
+// eases towards the pressure and speed target so it never jumps.
+export function createBrushSampler(settings) {
+  const follow = 1 - (settings.smoothing / 100) * 0.9;
+  const points = [];
+  let raw = null; // previous raw sample, for the speed
+
+  const targetWidth = (sample) => {
+    let w = 1;
+    // mice report 0.5 while a button is down, so only pens count
+    if (settings.pressure && sample.pointerType === "pen")
+      w *= 0.15 + 0.85 * sample.pressure;
+    if (raw && settings.speed > 0) {
+      const dt = Math.max(1, sample.time - raw.time);
+      const v = Math.hypot(sample.x - raw.x, sample.y - raw.y) / dt; // px per ms
+      w *= 1 - (settings.speed / 100) * 0.7 * Math.min(1, v / 2);
+    }
+    return w;
+  };
+
+  return {
+    points,
+    add(sample) {
+      const target = targetWidth(sample);
+      raw = sample;
+      const last = points[points.length - 1];
+      if (!last) {
+        points.push({ x: sample.x, y: sample.y, w: target });
+        return;
+      }
+      const x = last.x + (sample.x - last.x) * follow;
+      const y = last.y + (sample.y - last.y) * follow;
+      if (Math.hypot(x - last.x, y - last.y) < 0.5) return;
+      points.push({ x, y, w: last.w + (target - last.w) * 0.35 });
+    },
+    // the stabilizer lags, so the stroke finishes at the point where it was released
+    end(sample) {
+      const last = points[points.length - 1];
+      if (last && Math.hypot(sample.x - last.x, sample.y - last.y) >= 0.5)
+        points.push({ x: sample.x, y: sample.y, w: last.w });
+    },
+  };
+}
+
+// Offscreen canvas covering the device pixels of `points` (in ctx units) padded by
+// `pad` device pixels and clipped to ctx's canvas, or null when nothing is visible.
+const strokeLayer = (ctx, points, pad) => {
+  const t = ctx.getTransform();
+  let x0 = Infinity;
+  let y0 = Infinity;
+  let x1 = -Infinity;
+  let y1 = -Infinity;
+  for (const p of points) {
+    const x = t.a * p.x + t.c * p.y + t.e;
+    const y = t.b * p.x + t.d * p.y + t.f;
+    x0 = Math.min(x0, x);
+    y0 = Math.min(y0, y);
+    x1 = Math.max(x1, x);
+    y1 = Math.max(y1, y);
+  }
+  x0 = Math.max(0, Math.floor(x0 - pad));
+  y0 = Math.max(0, Math.floor(y0 - pad));
+  x1 = Math.min(ctx.canvas.width, Math.ceil(x1 + pad));
+  y1 = Math.min(ctx.canvas.height, Math.ceil(y1 + pad));
+  if (x1 <= x0 || y1 <= y0) return null;
+  const canvas = document.createElement("canvas");
+  canvas.width = x1 - x0;
+  canvas.height = y1 - y0;
+  const layer = canvas.getContext("2d");
+  layer.setTransform(t.a, t.b, t.c, t.d, t.e - x0, t.f - y0);
+  return { canvas, layer, x: x0, y: y0 };
+};
+
+// Strokes `points` as quadratic curves through the midpoints between samples. Each
+// piece gets the width of its control point, so pressure and speed vary the line.
+const traceBrush = (ctx, points, width) => {
+  ctx.lineJoin = "round";
+  ctx.lineCap = "round";
+  if (points.length === 1) {
+    const p = points[0];
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, (width * (p.w ?? 1)) / 2, 0, 2 * Math.PI);
+    ctx.fill();
+    return;
+  }
+  let from = points[0];
+  for (let i = 1; i < points.length; i++) {
+    const p = points[i];
+    const to = i === points.length - 1 ? p : mid(p, points[i + 1]);
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.quadraticCurveTo(p.x, p.y, to.x, to.y);
+    ctx.lineWidth = width * (p.w ?? 1);
+    ctx.stroke();
+    from = to;
+  }
+};
+
+// Draws a freehand stroke through `points` at `width`; eraser strokes use
+// destination-out so the pixels under them become transparent. The overlapping pieces
+// would darken a translucent stroke where they meet, so a stroke with opacity or a soft
+// edge is drawn opaque on a layer of its own first and composited once.
+const drawStroke = (ctx, stroke, points, width) => {
+  const color = stroke.eraser ? "#000000" : stroke.color;
+  const opacity = (stroke.opacity ?? 100) / 100;
+  const softness = 1 - (stroke.hardness ?? 100) / 100;
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  if (stroke.eraser) ctx.globalCompositeOperation = "destination-out";
+  if (opacity >= 1 && softness <= 0) {
+    traceBrush(ctx, points, width);
+    ctx.restore();
+    return;
+  }
+
+  const t = ctx.getTransform();
+  const k = Math.hypot(t.a, t.b); // device pixels per ctx unit
+  const maxW = Math.max(...points.map((p) => p.w ?? 1));
+  const blur = softness * width * maxW * 0.5 * k;
+  const target = strokeLayer(ctx, points, (width * maxW * k) / 2 + 2 * blur + 2);
+  if (target) {
+    const { canvas, layer } = target;
+    layer.strokeStyle = color;
+    layer.fillStyle = color;
+    if (blur > 0) {
+      // a soft edge is the shadow of a copy drawn off the layer: shadows blur in
+      // device pixels whatever the transform, and the copy itself never shows
+      const off = canvas.width + 2 * blur + 10;
+      const m = layer.getTransform();
+      layer.setTransform(m.a, m.b, m.c, m.d, m.e - off, m.f);
+      layer.shadowOffsetX = off;
+      layer.shadowColor = color;
+      layer.shadowBlur = blur;
+    }
+    traceBrush(layer, points, width * (1 - softness / 2));
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha *= opacity;
+    ctx.drawImage(canvas, target.x, target.y);
+  }
+  ctx.restore();
+};
+
+// Draws one annotation. `map` takes points from original pixels to ctx's coordinates
+// and `scale` converts lengths the same way. Used by both the overlay and the export.
+export function drawAnnotation(ctx, annotation, map, scale) {
+  if (!annotation.points || annotation.points.length === 0) return;
+  // stroke points carry a relative width `w` along
+  const points = annotation.points.map((p) =>
+    p.w === undefined ? map(p) : { ...map(p), w: p.w }
+  );
+  if (annotation.kind === "shape") drawShape(ctx, annotation, points, annotation.width * scale);
+  else if (annotation.kind === "text") drawText(ctx, annotation, points, scale);
+  else if (annotation.kind === "image") drawImage(ctx, annotation, points, scale);
+  else drawStroke(ctx, annotation, points, annotation.size * scale);
+}
+
+// Marks the annotation selected for editing on the overlay: corner / end handles for a
+// shape, a dashed frame for a text or an image.
+export function drawSelection(ctx, annotation, map, scale) {
+  const points = annotation.points.map(map);
+  ctx.save();
+  ctx.strokeStyle = "#34729b";
+  ctx.lineWidth = 1.5;
+  if (annotation.kind === "text") {
+    enterTextFrame(ctx, points);
+    const layout = textLayout(ctx, annotation, annotation.fontSize * scale);
+    const m = layout.pad + 2;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(-m, -m, layout.width + 2 * m, layout.height + 2 * m);
+  } else if (annotation.kind === "image") {
+    enterTextFrame(ctx, points);
+    const w = annotation.width * scale + 4;
+    const h = annotation.height * scale + 4;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(-w / 2, -h / 2, w, h);
+  } else {
+    const h = HANDLE_SIZE / 2;
+    ctx.fillStyle = "white";
+    for (const p of points) {
+      ctx.fillRect(p.x - h, p.y - h, HANDLE_SIZE, HANDLE_SIZE);
+      ctx.strokeRect(p.x - h, p.y - h, HANDLE_SIZE, HANDLE_SIZE);
+    }
+  }
+  ctx.restore();
+}
@@ -0,0 +1,155 @@
+// Auto enhance: derives starting values for the white balance, per-channel levels and
+// master levels from statistics of the loaded image.
+//
+//   white balance  gray world: the average colour of a scene is assumed to be neutral,
+//                  so temperature / tint are solved to make the mean R, G and B equal
+//   auto levels    per-channel black / white points at the 0.5th / 99.5th percentiles,
+//                  which also removes a colour cast in the shadows and highlights
+//   auto contrast  master black / white points from the luminance percentiles, plus a
+//                  gamma that moves the mean luminance halfway towards middle grey
+//
+// The corrections are computed in pipeline order (white balance, then channel levels,
+// then master levels) on a small copy of the unedited image, each one measured on the
+// result of the previous, so any combination of them gives a balanced result.
+
+import { applyBasicToPixels, DEFAULT_BASIC } from "./basicAdjustments";
+import { DEFAULT_LEVELS, applyLevelsToPixels } from "./levels";
+import { computeHistogram, histogramPercentile } from "./histogram";
+import { fromFloatPixels, toFloatPixels } from "./filterEngine";
+
+export const AUTO_CORRECTIONS = {
+  whiteBalance: "White balance",
+  levels: "Auto levels",
+  contrast: "Auto contrast",
+};
+
+const CLIP = 0.005; // share of pixels allowed to clip at each end
+const MIN_RANGE = 16; // don't stretch channels that are (almost) flat
+
+const TO_LINEAR = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+
+// Inverse of the temperature / tint gains in basicAdjustments.js. Temperature sets the
+// red : blue ratio directly; tint then sets green against red and blue, found by
+// bisection since the gains aren't linear in it.
+const solveWhiteBalance = (meanR, meanG, meanB) => {
+  const rb = meanB / meanR; // wanted red gain / blue gain
+  const t = Math.max(-1, Math.min(1, (rb - 1) / (0.3 * (rb + 1))));
+  const q = Math.sqrt(meanR * meanB) / meanG; // wanted green gain / sqrt(red * blue gain)
+  const rbGain = Math.sqrt((1 + 0.3 * t) * (1 - 0.3 * t));
+  const ratio = (m) => (1 - 0.3 * m) / ((1 + 0.15 * m) * rbGain); // decreasing in m
+  let lo = -1;
+  let hi = 1;
+  for (let k = 0; k < 30; k++) {
+    const m = (lo + hi) / 2;
+    if (ratio(m) > q) lo = m;
+    else hi = m;
+  }
+  return {
+    temperature: Math.round(t * 100),
+    tint: Math.round(((lo + hi) / 2) * 100),
+  };
+};
+
+const measureGrayWorld = (px) => {
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let n = 0;
+  for (let i = 0; i < px.length; i += 4) {
+    if (px[i + 3] === 0) continue;
+    r += TO_LINEAR(px[i]);
+    g += TO_LINEAR(px[i + 1]);
+    b += TO_LINEAR(px[i + 2]);
+    n++;
+  }
+  if (n === 0 || r === 0 || g === 0 || b === 0) return null;
+  return solveWhiteBalance(r / n, g / n, b / n);
+};
+
+const stretch = (bins) => {
+  const inBlack = histogramPercentile(bins, CLIP);
+  const inWhite = histogramPercentile(bins, 1 - CLIP);
+  return inWhite - inBlack < MIN_RANGE ? null : { inBlack, inWhite };
+};
+
+const meanLuminance = (histogram) => {
+  let sum = 0;
+  let n = 0;
+  for (let i = 0; i < 256; i++) {
+    sum += i * histogram.luma[i];
+    n += histogram.luma[i];
+  }
+  return n ? sum / n / 255 : 0.5;
+};
+
+// Measures a small ImageData-like copy of the image and returns the corrections that
+// are switched on in `enabled` ({ whiteBalance, levels, contrast }):
+//   { basic: { temperature, tint }, levels: { red, green, blue }, master }
+// Parts that are off (or can't be measured, e.g. a flat image) are left out.
+export function computeAutoCorrections(imageData, enabled) {
+  const { width, height } = imageData;
+  const px = toFloatPixels(imageData.data);
+  const bytes = { data: new Uint8ClampedArray(px.length), width, height };
+  const histogram = () => computeHistogram({ ...bytes, data: fromFloatPixels(px, bytes.data) });
+  const out = {};
+
+  if (enabled.whiteBalance) {
+    const wb = measureGrayWorld(px);
+    if (wb) {
+      out.basic = wb;
+      applyBasicToPixels(px, width, height, { ...DEFAULT_BASIC, ...wb });
+    }
+  }
+
+  if (enabled.levels) {
+    const h = histogram();
+    const levels = {};
+    for (const [channel, bins] of [
+      ["red", h.r],
+      ["green", h.g],
+      ["blue", h.b],
+    ]) {
+      const s = stretch(bins);
+      if (s) levels[channel] = { ...DEFAULT_LEVELS[channel], ...s };
+    }
+    if (Object.keys(levels).length) {
+      out.levels = levels;
+      applyLevelsToPixels(px, { ...DEFAULT_LEVELS, ...levels });
+    }
+  }
+
+  if (enabled.contrast) {
+    const h = histogram();
+    const s = stretch(h.luma);
+    if (s) {
+      // mean luminance after the stretch, then the gamma that maps it halfway to 0.5
+      const mean = Math.max(
+        0.01,
+        Math.min(0.99, (meanLuminance(h) * 255 - s.inBlack) / (s.inWhite - s.inBlack))
+      );
+      const target = Math.sqrt(mean * 0.5);
+      const gamma = Math.log(mean) / Math.log(target);
+      out.master = {
+        ...DEFAULT_LEVELS.master,
+        ...s,
+        gamma: Math.round(Math.max(0.5, Math.min(2, gamma)) * 100) / 100,
+      };
+    }
+  }
+
+  return out;
+}
+
+// Merges the result of computeAutoCorrections() into a filters object. Corrections
+// that weren't computed keep whatever the user had.
+export function applyAutoCorrections(filters, corrections) {
+  const next = { ...filters };
+  if (corrections.basic) next.basic = { ...filters.basic, ...corrections.basic };
+  if (corrections.levels || corrections.master)
+    next.levels = {
+      ...filters.levels,
+      ...corrections.levels,
+      ...(corrections.master ? { master: corrections.master } : {}),
+    };
+  return next;
+}
@@ -0,0 +1,173 @@
+// Photographic "basic" adjustments: exposure, white balance, tone ranges, clarity and
+// vibrance. Unlike the stack these have no CSS equivalent, so they always run in the
+// engine (first in the chain, like the basic panel of a raw developer).
+//
+//   exposure     stops (-5..5), a gain of 2^stops in linear light
+//   temperature  -100 (cooler / blue) .. 100 (warmer / amber), in linear light
+//   tint         -100 (green) .. 100 (magenta), in linear light
+//   highlights, shadows, whites, blacks   -100..100, lift or pull one tonal range
+//   clarity      -100..100, midtone local contrast around a wide blur of the luminance
+//   vibrance     -100..100, saturation that favours muted colours
+//
+// Everything except clarity is per pixel. Clarity's radius is in displayed CSS pixels
+// and is scaled like the blur filter, so the export matches the preview.
+
+import { blurPlane } from "./blur";
+
+export const BASIC_CONTROLS = {
+  exposure: { title: "Exposure", min: -5, max: 5, step: 0.05, unit: " EV" },
+  temperature: { title: "Temperature", min: -100, max: 100, step: 1, unit: "" },
+  tint: { title: "Tint", min: -100, max: 100, step: 1, unit: "" },
+  highlights: { title: "Highlights", min: -100, max: 100, step: 1, unit: "" },
+  shadows: { title: "Shadows", min: -100, max: 100, step: 1, unit: "" },
+  whites: { title: "Whites", min: -100, max: 100, step: 1, unit: "" },
+  blacks: { title: "Blacks", min: -100, max: 100, step: 1, unit: "" },
+  clarity: { title: "Clarity", min: -100, max: 100, step: 1, unit: "" },
+  vibrance: { title: "Vibrance", min: -100, max: 100, step: 1, unit: "" },
+};
+
+// Every control is neutral at 0
+export const DEFAULT_BASIC = Object.fromEntries(
+  Object.keys(BASIC_CONTROLS).map((key) => [key, 0])
+);
+
+const CLARITY_RADIUS = 20; // CSS pixels
+
+export function basicIsIdentity(basic) {
+  if (!basic) return true;
+  return Object.keys(BASIC_CONTROLS).every((key) => !basic[key]);
+}
+
+// Keeps known keys with finite values, clamped to their slider range.
+export function sanitizeBasic(basic) {
+  const out = { ...DEFAULT_BASIC };
+  for (const [key, { min, max }] of Object.entries(BASIC_CONTROLS)) {
+    const v = basic?.[key];
+    if (typeof v === "number" && Number.isFinite(v)) out[key] = Math.max(min, Math.min(max, v));
+  }
+  return out;
+}
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// sRGB transfer functions, tabulated for the decode direction
+const TO_LINEAR = new Float32Array(4096);
+for (let i = 0; i < 4096; i++) {
+  const c = i / 4095;
+  TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+const toLinear = (c) => TO_LINEAR[Math.round(clamp01(c) * 4095)];
+const toSrgb = (c) => {
+  c = clamp01(c);
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+};
+
+// ---------- Exposure and white balance ----------
+// Channel gains in linear light. Temperature trades red against blue, tint trades green
+// against red + blue; the gains are normalised so a neutral mid grey keeps its luminance.
+const whiteBalanceGains = (temperature, tint) => {
+  const t = temperature / 100;
+  const m = tint / 100;
+  const r = (1 + 0.3 * t) * (1 + 0.15 * m);
+  const g = 1 - 0.3 * m;
+  const b = (1 - 0.3 * t) * (1 + 0.15 * m);
+  const y = luma(r, g, b);
+  return [r / y, g / y, b / y];
+};
+
+const applyExposureAndWhiteBalance = (px, { exposure, temperature, tint }) => {
+  const gain = Math.pow(2, exposure);
+  const [gr, gg, gb] = whiteBalanceGains(temperature, tint);
+  for (let i = 0; i < px.length; i += 4) {
+    px[i] = toSrgb(toLinear(px[i]) * gain * gr);
+    px[i + 1] = toSrgb(toLinear(px[i + 1]) * gain * gg);
+    px[i + 2] = toSrgb(toLinear(px[i + 2]) * gain * gb);
+  }
+};
+
+// ---------- Tone ranges ----------
+// How strongly each control acts on a pixel of luminance L (0..1). Blacks and whites
+// hit the ends of the range, shadows and highlights are broad bumps over the lower and
+// upper midtones; neighbouring weights overlap so the result has no visible steps.
+const bump = (L, centre, width) => Math.exp(-(((L - centre) / width) ** 2));
+const toneWeights = (L) => ({
+  blacks: L < 0.4 ? (1 - L / 0.4) ** 2 : 0,
+  shadows: bump(L, 0.28, 0.2),
+  highlights: bump(L, 0.72, 0.2),
+  whites: L > 0.6 ? ((L - 0.6) / 0.4) ** 2 : 0,
+});
+
+// Builds a 1024-entry table of luminance offsets so the per-pixel work is one lookup.
+const buildToneTable = (basic) => {
+  const table = new Float32Array(1024);
+  for (let i = 0; i < 1024; i++) {
+    const w = toneWeights(i / 1023);
+    table[i] =
+      0.25 *
+      ((basic.blacks / 100) * w.blacks +
+        (basic.shadows / 100) * w.shadows +
+        (basic.highlights / 100) * w.highlights +
+        (basic.whites / 100) * w.whites);
+  }
+  return table;
+};
+
+// Shifts all three channels by the same amount, which moves luminance while keeping
+// the colour's hue.
+const applyTones = (px, basic) => {
+  const table = buildToneTable(basic);
+  for (let i = 0; i < px.length; i += 4) {
+    const d = table[Math.round(clamp01(luma(px[i], px[i + 1], px[i + 2])) * 1023)];
+    px[i] = clamp01(px[i] + d);
+    px[i + 1] = clamp01(px[i + 1] + d);
+    px[i + 2] = clamp01(px[i + 2] + d);
+  }
+};
+
+// ---------- Clarity ----------
+// Local contrast: the difference between each pixel's luminance and a wide blur of it
+// is amplified (or reduced), weighted towards the midtones so blacks and whites don't clip.
+const applyClarity = (px, w, h, amount, scale) => {
+  const lum = new Float32Array(w * h);
+  for (let i = 0, j = 0; j < lum.length; i += 4, j++)
+    lum[j] = luma(px[i], px[i + 1], px[i + 2]);
+  const base = blurPlane(lum, w, h, CLARITY_RADIUS * scale);
+  const k = amount / 100;
+  for (let i = 0, j = 0; j < lum.length; i += 4, j++) {
+    const L = lum[j];
+    const d = k * (L - base[j]) * (1 - (2 * L - 1) ** 2);
+    px[i] = clamp01(px[i] + d);
+    px[i + 1] = clamp01(px[i + 1] + d);
+    px[i + 2] = clamp01(px[i + 2] + d);
+  }
+};
+
+// ---------- Vibrance ----------
+// Saturation around the pixel's luminance, boosted more for muted colours than for
+// already saturated ones. Negative values desaturate evenly.
+const applyVibrance = (px, amount) => {
+  const v = amount / 100;
+  for (let i = 0; i < px.length; i += 4) {
+    const r = px[i];
+    const g = px[i + 1];
+    const b = px[i + 2];
+    const L = luma(r, g, b);
+    const sat = Math.max(r, g, b) - Math.min(r, g, b);
+    const factor = v > 0 ? 1 + v * (1 - sat) : 1 + v;
+    px[i] = clamp01(L + (r - L) * factor);
+    px[i + 1] = clamp01(L + (g - L) * factor);
+    px[i + 2] = clamp01(L + (b - L) * factor);
+  }
+};
+
+// Applies the basic adjustments to a float RGBA buffer (0..1, non-premultiplied) in
+// place. `scale` converts the clarity radius from CSS pixels to buffer pixels.
+export function applyBasicToPixels(px, w, h, basic, scale = 1) {
+  const b = { ...DEFAULT_BASIC, ...basic };
+  if (b.exposure || b.temperature || b.tint) applyExposureAndWhiteBalance(px, b);
+  if (b.highlights || b.shadows || b.whites || b.blacks) applyTones(px, b);
+  if (b.clarity) applyClarity(px, w, h, b.clarity, scale);
+  if (b.vibrance) applyVibrance(px, b.vibrance);
+  return px;
+}
@@ -0,0 +1,83 @@
+// Gaussian blur approximated by three box blurs per axis, as the Filter Effects spec
+// describes for feGaussianBlur. Works on interleaved float buffers with any number of
+// channels: RGBA pixels for the blur filter, single planes (e.g. luminance) for the
+// spatial adjustments that need a blurred copy of the image.
+//
+// Pixels outside the buffer count as zero, which for premultiplied RGBA is transparent
+// black. Callers blurring a plane that shouldn't fade at the edges use blurPlane().
+
+// One horizontal box-blur pass of `size` pixels over the rows of an interleaved buffer.
+// `lead` is how many pixels of the window sit to the left of the output pixel, which lets
+// even-sized windows be offset half a pixel left or right as the spec requires.
+const boxBlurRows = (src, dst, w, h, size, lead, channels) => {
+  for (let y = 0; y < h; y++) {
+    const row = y * w * channels;
+    for (let c = 0; c < channels; c++) {
+      let sum = 0;
+      // prime the window for x = 0: it covers [-lead, size - lead - 1]
+      for (let k = -lead; k < size - lead; k++)
+        if (k >= 0 && k < w) sum += src[row + k * channels + c];
+      for (let x = 0; x < w; x++) {
+        dst[row + x * channels + c] = sum / size;
+        const out = x - lead;
+        const inn = x + size - lead;
+        if (out >= 0 && out < w) sum -= src[row + out * channels + c];
+        if (inn >= 0 && inn < w) sum += src[row + inn * channels + c];
+      }
+    }
+  }
+};
+
+// Transpose an interleaved buffer so the vertical passes can reuse boxBlurRows.
+const transpose = (src, dst, w, h, channels) => {
+  for (let y = 0; y < h; y++)
+    for (let x = 0; x < w; x++) {
+      const s = (y * w + x) * channels;
+      const d = (x * h + y) * channels;
+      for (let c = 0; c < channels; c++) dst[d + c] = src[s + c];
+    }
+};
+
+// Three box blurs per axis approximate a gaussian with standard deviation `sigma`.
+// d = floor(sigma * 3 * sqrt(2 * PI) / 4 + 0.5); odd d -> three centered boxes of d,
+// even d -> boxes of d offset left, d offset right and d + 1 centered.
+const blurAxis = (a, b, w, h, sigma, channels) => {
+  const d = Math.floor((sigma * 3 * Math.sqrt(2 * Math.PI)) / 4 + 0.5);
+  if (d < 1) return;
+  const passes =
+    d % 2 === 1
+      ? [
+          [d, (d - 1) / 2],
+          [d, (d - 1) / 2],
+          [d, (d - 1) / 2],
+        ]
+      : [
+          [d, d / 2],
+          [d, d / 2 - 1],
+          [d + 1, d / 2],
+        ];
+  boxBlurRows(a, b, w, h, passes[0][0], passes[0][1], channels);
+  boxBlurRows(b, a, w, h, passes[1][0], passes[1][1], channels);
+  boxBlurRows(a, b, w, h, passes[2][0], passes[2][1], channels);
+  a.set(b);
+};
+
+// Blurs an interleaved float buffer of w x h pixels in place.
+export function gaussianBlur(buf, w, h, sigma, channels = 4) {
+  const tmp = new Float32Array(buf.length);
+  blurAxis(buf, tmp, w, h, sigma, channels);
+  transpose(buf, tmp, w, h, channels);
+  const cols = new Float32Array(buf.length);
+  blurAxis(tmp, cols, h, w, sigma, channels);
+  transpose(tmp, buf, h, w, channels);
+  return buf;
+}
+
+// Blurred copy of a single-channel plane. The zero padding is divided back out with a
+// blurred plane of ones, so values near the edges keep their level instead of darkening.
+export function blurPlane(plane, w, h, sigma) {
+  const out = gaussianBlur(Float32Array.from(plane), w, h, sigma, 1);
+  const weight = gaussianBlur(new Float32Array(plane.length).fill(1), w, h, sigma, 1);
+  for (let i = 0; i < out.length; i++) if (weight[i] > 0) out[i] /= weight[i];
+  return out;
+}
@@ -0,0 +1,145 @@
+// Canvas extension, border and rounded corners: the frame put around the finished
+// image (after filters and annotations) when it is exported.
+//
+//   top, right, bottom, left   pixels added on each side, in natural pixels
+//   fill          what the added area shows:
+//                   "solid"        fillColor
+//                   "blur"         a blurred copy of the image stretched to cover it
+//                   "transparent"  nothing (PNG alpha)
+//   borderWidth   pixels, added outside the extended canvas
+//   cornerRadius  pixels; the corners outside the rounded outline become transparent
+//
+// Like editPipeline.js this renders with canvases and needs the DOM.
+
+import { gaussianBlur } from "./blur";
+
+export const FRAME_FILLS = {
+  solid: "Solid color",
+  blur: "Blurred image",
+  transparent: "Transparent",
+};
+
+export const FRAME_SIDES = ["top", "right", "bottom", "left"];
+
+export const DEFAULT_FRAME = {
+  top: 0,
+  right: 0,
+  bottom: 0,
+  left: 0,
+  fill: "solid",
+  fillColor: "#ffffff",
+  fillBlur: 50, // 0..100
+  borderWidth: 0,
+  borderColor: "#000000",
+  cornerRadius: 0,
+};
+
+export function frameIsIdentity(frame) {
+  return (
+    !frame ||
+    (FRAME_SIDES.every((side) => !frame[side]) && !frame.borderWidth && !frame.cornerRadius)
+  );
+}
+
+// Size of the framed output for a width x height image.
+export function frameOutputSize(frame, width, height) {
+  if (frameIsIdentity(frame)) return { width, height };
+  const border = 2 * frame.borderWidth;
+  return {
+    width: Math.round(width + frame.left + frame.right + border),
+    height: Math.round(height + frame.top + frame.bottom + border),
+  };
+}
+
+// Frame with every length multiplied by k, for previews drawn at a smaller size.
+export const scaleFrame = (frame, k) => ({
+  ...frame,
+  top: frame.top * k,
+  right: frame.right * k,
+  bottom: frame.bottom * k,
+  left: frame.left * k,
+  borderWidth: frame.borderWidth * k,
+  cornerRadius: frame.cornerRadius * k,
+});
+
+// Adds a rounded rectangle to the current path; the radius is clamped so opposite
+// corners never overlap.
+const roundedRectPath = (ctx, x, y, w, h, r) => {
+  const radius = Math.max(0, Math.min(r, w / 2, h / 2));
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + w, y, x + w, y + h, radius);
+  ctx.arcTo(x + w, y + h, x, y + h, radius);
+  ctx.arcTo(x, y + h, x, y, radius);
+  ctx.arcTo(x, y, x + w, y, radius);
+  ctx.closePath();
+};
+
+// The image scaled to cover w x h and blurred. The blur runs in JS on a small copy (the
+// result is smooth anyway), which is fast and doesn't rely on ctx.filter support.
+const blurredCover = (source, w, h, amount) => {
+  const k = Math.min(1, 128 / Math.max(w, h));
+  const sw = Math.max(1, Math.round(w * k));
+  const sh = Math.max(1, Math.round(h * k));
+  const small = document.createElement("canvas");
+  small.width = sw;
+  small.height = sh;
+  const ctx = small.getContext("2d", { willReadFrequently: true });
+  const cover = Math.max(sw / source.width, sh / source.height);
+  const dw = source.width * cover;
+  const dh = source.height * cover;
+  ctx.drawImage(source, (sw - dw) / 2, (sh - dh) / 2, dw, dh);
+
+  const sigma = 1 + (amount / 100) * 8;
+  const imageData = ctx.getImageData(0, 0, sw, sh);
+  const px = Float32Array.from(imageData.data);
+  gaussianBlur(px, sw, sh, sigma);
+  // the zero padding darkens the edges: divide it back out with a blurred plane of ones
+  const weight = gaussianBlur(new Float32Array(sw * sh).fill(1), sw, sh, sigma, 1);
+  for (let i = 0, j = 0; j < weight.length; i += 4, j++)
+    for (let c = 0; c < 4; c++) imageData.data[i + c] = px[i + c] / weight[j];
+  ctx.putImageData(imageData, 0, 0);
+  return small;
+};
+
+// Draws `source` (a canvas or image) inside the frame and returns a new canvas.
+export function renderFrame(source, frame) {
+  const width = source.naturalWidth || source.width;
+  const height = source.naturalHeight || source.height;
+  const size = frameOutputSize(frame, width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const ctx = canvas.getContext("2d");
+  const b = frame.borderWidth;
+
+  ctx.save();
+  if (frame.cornerRadius > 0) {
+    ctx.beginPath();
+    roundedRectPath(ctx, 0, 0, size.width, size.height, frame.cornerRadius);
+    ctx.clip();
+  }
+
+  // extension fill, under the border and the image
+  const innerW = size.width - 2 * b;
+  const innerH = size.height - 2 * b;
+  if (frame.fill === "solid") {
+    ctx.fillStyle = frame.fillColor;
+    ctx.fillRect(b, b, innerW, innerH);
+  } else if (frame.fill === "blur") {
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(blurredCover(source, innerW, innerH, frame.fillBlur), b, b, innerW, innerH);
+  }
+
+  ctx.drawImage(source, b + frame.left, b + frame.top, width, height);
+
+  if (b > 0) {
+    // the ring between the outer outline and the same outline inset by the border
+    ctx.fillStyle = frame.borderColor;
+    ctx.beginPath();
+    roundedRectPath(ctx, 0, 0, size.width, size.height, frame.cornerRadius);
+    roundedRectPath(ctx, b, b, innerW, innerH, Math.max(0, frame.cornerRadius - b));
+    ctx.fill("evenodd");
+  }
+  ctx.restore();
+  return canvas;
+}
@@ -0,0 +1,13 @@
+// Channels shared by the per-channel tone tools (curves, levels). "master" runs after
+// the individual channel adjustments: levels apply it to R, G and B together, curves
+// to luminance (curves.js).
+export const CHANNELS = ["master", "red", "green", "blue"];
+
+export const CHANNEL_LABELS = { master: "RGB", red: "R", green: "G", blue: "B" };
+
+export const CHANNEL_COLORS = {
+  master: "#94a3b8",
+  red: "#ef4444",
+  green: "#22c55e",
+  blue: "#3b82f6",
+};
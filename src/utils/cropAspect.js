@@ -0,0 +1,69 @@
+// Aspect-ratio presets and crop rectangle helpers for the crop tool.
+//
+// The crop selection (react-image-crop) is kept in displayed CSS pixels; the numeric
+// fields and crop ops use natural pixels of the current image. Ratios are width / height.
+
+export const ASPECT_PRESETS = [
+  { id: "free", label: "Free" },
+  { id: "original", label: "Original" },
+  { id: "1:1", label: "1:1", ratio: 1 },
+  { id: "4:5", label: "4:5", ratio: 4 / 5 },
+  { id: "16:9", label: "16:9", ratio: 16 / 9 },
+  { id: "3:2", label: "3:2", ratio: 3 / 2 },
+  { id: "custom", label: "Custom" },
+];
+
+export const CROP_OVERLAYS = {
+  none: "No guides",
+  thirds: "Rule of thirds",
+  golden: "Golden ratio",
+};
+
+// Positions of the golden-ratio guides, as fractions of the selection
+export const GOLDEN_LINES = [1 - 1 / 1.618, 1 / 1.618];
+
+// Ratio for a preset id, or undefined for a free crop. `custom` is { width, height }.
+export function aspectRatio(id, custom, naturalWidth, naturalHeight) {
+  if (id === "original") return naturalWidth / naturalHeight;
+  if (id === "custom")
+    return custom.width > 0 && custom.height > 0 ? custom.width / custom.height : undefined;
+  return ASPECT_PRESETS.find((p) => p.id === id)?.ratio;
+}
+
+// The largest rect with `ratio` (or the whole image when undefined), centered in a
+// width x height image.
+export function maximizedCrop(ratio, width, height) {
+  if (!ratio) return { x: 0, y: 0, width, height };
+  let w = width;
+  let h = width / ratio;
+  if (h > height) {
+    h = height;
+    w = height * ratio;
+  }
+  return { x: (width - w) / 2, y: (height - h) / 2, width: w, height: h };
+}
+
+// Scales a rect by sx / sy (display <-> natural pixels).
+export function scaleRect(rect, sx, sy) {
+  return {
+    x: rect.x * sx,
+    y: rect.y * sy,
+    width: rect.width * sx,
+    height: rect.height * sy,
+  };
+}
+
+// Applies a change to one numeric field (x, y, width or height, in natural pixels) and
+// keeps the rect inside the image; with a ratio, width and height follow each other.
+export function editCropRect(rect, key, value, ratio, width, height) {
+  const next = { ...rect, [key]: Math.max(0, value) };
+  if (ratio && key === "width") next.height = next.width / ratio;
+  if (ratio && key === "height") next.width = next.height * ratio;
+  // shrink to fit (keeping the ratio), then move inside
+  const fit = Math.min(1, width / Math.max(1, next.width), height / Math.max(1, next.height));
+  next.width = Math.max(1, next.width * fit);
+  next.height = Math.max(1, next.height * fit);
+  next.x = Math.min(next.x, width - next.width);
+  next.y = Math.min(next.y, height - next.height);
+  return next;
+}
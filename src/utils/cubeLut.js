@@ -0,0 +1,219 @@
+// Parser and sampler for .cube LUT files (the Adobe/Resolve text format).
+//
+// A file is a list of keyword lines followed by the table, one "r g b" triple per line:
+//   TITLE "name"                  optional
+//   LUT_1D_SIZE n | LUT_3D_SIZE n  exactly one of them
+//   DOMAIN_MIN r g b              optional, defaults to 0 0 0
+//   DOMAIN_MAX r g b              optional, defaults to 1 1 1
+//   LUT_1D_INPUT_RANGE / LUT_3D_INPUT_RANGE min max   (Resolve's variant of the domain)
+// For 3D tables red changes fastest, then green, then blue. Lines starting with # are
+// comments; unknown keywords are ignored as the format allows.
+//
+// Parsing throws an Error whose message names the offending line, so the loader can
+// show it to the user as is.
+
+const MAX_1D_SIZE = 65536;
+// the largest 3D size in common use; 129^3 rows are already ~26 MB of floats
+const MAX_3D_SIZE = 129;
+
+export const LUT_INTERPOLATIONS = ["tetrahedral", "trilinear"];
+
+const parseNumbers = (tokens, count, lineNo, what) => {
+  if (tokens.length !== count)
+    throw new Error(`Line ${lineNo}: ${what} needs ${count} numbers.`);
+  const values = tokens.map(Number);
+  if (values.some((v) => !Number.isFinite(v)))
+    throw new Error(`Line ${lineNo}: ${what} contains a value that isn't a number.`);
+  return values;
+};
+
+// Parses the text of a .cube file into
+// { title, type: "1D" | "3D", size, domainMin: [r, g, b], domainMax: [r, g, b], table }
+// where table is a Float32Array of size (1D) or size^3 (3D) RGB triples.
+export function parseCubeLut(text) {
+  let title = "";
+  let type = null;
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  // allocated once the size is known and filled row by row
+  let table = null;
+  let rows = 0;
+
+  const lines = String(text).split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const line = lines[i].trim();
+    if (line === "" || line.startsWith("#")) continue;
+
+    const tokens = line.split(/\s+/);
+    const keyword = tokens[0];
+
+    if (/^[A-Za-z_]/.test(keyword)) {
+      if (rows > 0)
+        throw new Error(`Line ${lineNo}: keyword ${keyword} found after the table data.`);
+
+      const args = tokens.slice(1);
+      switch (keyword) {
+        case "TITLE":
+          title = line.slice(keyword.length).trim().replace(/^"|"$/g, "");
+          break;
+        case "LUT_1D_SIZE":
+        case "LUT_3D_SIZE": {
+          if (type)
+            throw new Error(`Line ${lineNo}: the file declares more than one LUT size.`);
+          const [n] = parseNumbers(args, 1, lineNo, keyword);
+          type = keyword === "LUT_1D_SIZE" ? "1D" : "3D";
+          const max = type === "1D" ? MAX_1D_SIZE : MAX_3D_SIZE;
+          if (!Number.isInteger(n) || n < 2 || n > max)
+            throw new Error(
+              `Line ${lineNo}: ${keyword} must be a whole number between 2 and ${max}.`
+            );
+          size = n;
+          table = new Float32Array((type === "1D" ? n : n * n * n) * 3);
+          break;
+        }
+        case "DOMAIN_MIN":
+          domainMin = parseNumbers(args, 3, lineNo, keyword);
+          break;
+        case "DOMAIN_MAX":
+          domainMax = parseNumbers(args, 3, lineNo, keyword);
+          break;
+        case "LUT_1D_INPUT_RANGE":
+        case "LUT_3D_INPUT_RANGE": {
+          const [min, max] = parseNumbers(args, 2, lineNo, keyword);
+          domainMin = [min, min, min];
+          domainMax = [max, max, max];
+          break;
+        }
+        default:
+          // unknown keywords are allowed by the format (e.g. vendor metadata)
+          break;
+      }
+      continue;
+    }
+
+    if (!type)
+      throw new Error(
+        `Line ${lineNo}: table data found before LUT_1D_SIZE or LUT_3D_SIZE.`
+      );
+    const [r, g, b] = parseNumbers(tokens, 3, lineNo, "A table row");
+    if (rows * 3 >= table.length)
+      throw new Error(`Line ${lineNo}: more than ${table.length / 3} table rows.`);
+    table[rows * 3] = r;
+    table[rows * 3 + 1] = g;
+    table[rows * 3 + 2] = b;
+    rows++;
+  }
+
+  if (!type) throw new Error("Not a .cube LUT: missing LUT_1D_SIZE or LUT_3D_SIZE.");
+  for (let c = 0; c < 3; c++)
+    if (domainMax[c] <= domainMin[c])
+      throw new Error("DOMAIN_MAX must be greater than DOMAIN_MIN for every channel.");
+
+  const expected = table.length / 3;
+  if (rows !== expected)
+    throw new Error(
+      `Expected ${expected} table rows for a ${type} LUT of size ${size}, found ${rows}.`
+    );
+
+  return {
+    title,
+    type,
+    size,
+    domainMin,
+    domainMax,
+    table,
+  };
+}
+
+// ---------- Sampling ----------
+const sample1D = (lut, r, g, b, out) => {
+  const { table, size } = lut;
+  const input = [r, g, b];
+  for (let c = 0; c < 3; c++) {
+    const pos = input[c] * (size - 1);
+    const i0 = Math.min(size - 2, Math.floor(pos));
+    const f = pos - i0;
+    out[c] = table[i0 * 3 + c] * (1 - f) + table[(i0 + 1) * 3 + c] * f;
+  }
+};
+
+// Interpolates inside the lattice cell containing (r, g, b) (already scaled to 0..1).
+const sample3D = (lut, r, g, b, tetrahedral, out) => {
+  const { table, size } = lut;
+  const n = size - 1;
+  const pr = r * n;
+  const pg = g * n;
+  const pb = b * n;
+  const r0 = Math.min(n - 1, Math.floor(pr));
+  const g0 = Math.min(n - 1, Math.floor(pg));
+  const b0 = Math.min(n - 1, Math.floor(pb));
+  const fr = pr - r0;
+  const fg = pg - g0;
+  const fb = pb - b0;
+
+  // offset of lattice corner (dr, dg, db) relative to the cell origin; red is fastest
+  const base = (r0 + g0 * size + b0 * size * size) * 3;
+  const corner = (dr, dg, db) => base + (dr + dg * size + db * size * size) * 3;
+
+  for (let c = 0; c < 3; c++) {
+    const v = (dr, dg, db) => table[corner(dr, dg, db) + c];
+    if (tetrahedral) {
+      // split the cube into six tetrahedra along its main diagonal
+      let res;
+      if (fr > fg) {
+        if (fg > fb)
+          res = (1 - fr) * v(0, 0, 0) + (fr - fg) * v(1, 0, 0) + (fg - fb) * v(1, 1, 0) + fb * v(1, 1, 1);
+        else if (fr > fb)
+          res = (1 - fr) * v(0, 0, 0) + (fr - fb) * v(1, 0, 0) + (fb - fg) * v(1, 0, 1) + fg * v(1, 1, 1);
+        else
+          res = (1 - fb) * v(0, 0, 0) + (fb - fr) * v(0, 0, 1) + (fr - fg) * v(1, 0, 1) + fg * v(1, 1, 1);
+      } else {
+        if (fb > fg)
+          res = (1 - fb) * v(0, 0, 0) + (fb - fg) * v(0, 0, 1) + (fg - fr) * v(0, 1, 1) + fr * v(1, 1, 1);
+        else if (fb > fr)
+          res = (1 - fg) * v(0, 0, 0) + (fg - fb) * v(0, 1, 0) + (fb - fr) * v(0, 1, 1) + fr * v(1, 1, 1);
+        else
+          res = (1 - fg) * v(0, 0, 0) + (fg - fr) * v(0, 1, 0) + (fr - fb) * v(1, 1, 0) + fb * v(1, 1, 1);
+      }
+      out[c] = res;
+    } else {
+      const c00 = v(0, 0, 0) * (1 - fr) + v(1, 0, 0) * fr;
+      const c10 = v(0, 1, 0) * (1 - fr) + v(1, 1, 0) * fr;
+      const c01 = v(0, 0, 1) * (1 - fr) + v(1, 0, 1) * fr;
+      const c11 = v(0, 1, 1) * (1 - fr) + v(1, 1, 1) * fr;
+      const c0 = c00 * (1 - fg) + c10 * fg;
+      const c1 = c01 * (1 - fg) + c11 * fg;
+      out[c] = c0 * (1 - fb) + c1 * fb;
+    }
+  }
+};
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+// Applies a parsed LUT to a float RGBA buffer (0..1, non-premultiplied) in place.
+// `intensity` (0..1) blends between the input and the LUT output.
+export function applyLutToPixels(
+  px,
+  lut,
+  { intensity = 1, interpolation = "tetrahedral" } = {}
+) {
+  if (intensity <= 0) return px;
+  const { domainMin, domainMax } = lut;
+  const tetrahedral = interpolation === "tetrahedral";
+  const out = [0, 0, 0];
+  const norm = (v, c) => clamp01((v - domainMin[c]) / (domainMax[c] - domainMin[c]));
+
+  for (let i = 0; i < px.length; i += 4) {
+    const r = px[i];
+    const g = px[i + 1];
+    const b = px[i + 2];
+    if (lut.type === "1D") sample1D(lut, norm(r, 0), norm(g, 1), norm(b, 2), out);
+    else sample3D(lut, norm(r, 0), norm(g, 1), norm(b, 2), tetrahedral, out);
+    px[i] = clamp01(r + (out[0] - r) * intensity);
+    px[i + 1] = clamp01(g + (out[1] - g) * intensity);
+    px[i + 2] = clamp01(b + (out[2] - b) * intensity);
+  }
+  return px;
+}
@@ -0,0 +1,145 @@
+// Tone curves: control points on a monotone cubic spline, baked into 256-entry lookup
+// tables. Points are { x, y } in 0..255 (input -> output) sorted by x.
+//
+// The red, green and blue curves map their channel. The master curve maps luminance:
+// it runs after them on each pixel's Rec. 709 luma and R, G and B are scaled by the
+// same ratio, so a strong S-curve adds contrast without the hue and saturation shifts
+// of an RGB composite curve (one table applied to each channel).
+//
+// We use Fritsch-Carlson monotone cubic interpolation rather than a natural spline: it
+// passes through every control point like the curves tools designers are used to, but
+// never overshoots between points, so an S-curve can't wrap around and invert tones.
+
+import { CHANNELS } from "./channels";
+
+const identityPoints = () => [
+  { x: 0, y: 0 },
+  { x: 255, y: 255 },
+];
+
+export const DEFAULT_CURVES = {
+  master: identityPoints(),
+  red: identityPoints(),
+  green: identityPoints(),
+  blue: identityPoints(),
+};
+
+const clampByte = (v) => Math.max(0, Math.min(255, Math.round(v)));
+
+// Bakes a list of control points into a Uint8Array(256) lookup table.
+export function buildCurveLut(points) {
+  const lut = new Uint8Array(256);
+  const pts = [...(points || [])].sort((a, b) => a.x - b.x);
+  const n = pts.length;
+
+  if (n === 0) {
+    for (let i = 0; i < 256; i++) lut[i] = i;
+    return lut;
+  }
+  if (n === 1) return lut.fill(clampByte(pts[0].y));
+
+  // secant slopes between neighbouring points
+  const d = [];
+  for (let k = 0; k < n - 1; k++) {
+    const h = pts[k + 1].x - pts[k].x;
+    d.push(h === 0 ? 0 : (pts[k + 1].y - pts[k].y) / h);
+  }
+
+  // initial tangents, then the Fritsch-Carlson limiter to keep each segment monotone
+  const m = new Array(n);
+  m[0] = d[0];
+  m[n - 1] = d[n - 2];
+  for (let k = 1; k < n - 1; k++)
+    m[k] = d[k - 1] * d[k] <= 0 ? 0 : (d[k - 1] + d[k]) / 2;
+  for (let k = 0; k < n - 1; k++) {
+    if (d[k] === 0) {
+      m[k] = 0;
+      m[k + 1] = 0;
+      continue;
+    }
+    const a = m[k] / d[k];
+    const b = m[k + 1] / d[k];
+    const s = a * a + b * b;
+    if (s > 9) {
+      const t = 3 / Math.sqrt(s);
+      m[k] = t * a * d[k];
+      m[k + 1] = t * b * d[k];
+    }
+  }
+
+  let seg = 0;
+  for (let x = 0; x < 256; x++) {
+    if (x <= pts[0].x) {
+      lut[x] = clampByte(pts[0].y);
+      continue;
+    }
+    if (x >= pts[n - 1].x) {
+      lut[x] = clampByte(pts[n - 1].y);
+      continue;
+    }
+    while (x > pts[seg + 1].x) seg++;
+
+    // cubic Hermite basis on the segment [pts[seg], pts[seg + 1]]
+    const p0 = pts[seg];
+    const p1 = pts[seg + 1];
+    const h = p1.x - p0.x;
+    const t = (x - p0.x) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const y =
+      (2 * t3 - 3 * t2 + 1) * p0.y +
+      (t3 - 2 * t2 + t) * h * m[seg] +
+      (-2 * t3 + 3 * t2) * p1.y +
+      (t3 - t2) * h * m[seg + 1];
+    lut[x] = clampByte(y);
+  }
+  return lut;
+}
+
+const isIdentityLut = (lut) => lut.every((v, i) => v === i);
+
+export function curvesAreIdentity(curves) {
+  if (!curves) return true;
+  return CHANNELS.every((c) => isIdentityLut(buildCurveLut(curves[c])));
+}
+
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// Looks `v` (0..1) up in a 256-entry table, interpolating between entries.
+const lookup = (lut, v) => {
+  const pos = Math.max(0, Math.min(255, v * 255));
+  const i = Math.min(254, Math.floor(pos));
+  const f = pos - i;
+  return (lut[i] * (1 - f) + lut[i + 1] * f) / 255;
+};
+
+// Applies the curves to a float RGBA buffer (0..1, non-premultiplied) in place.
+export function applyCurvesToPixels(px, curves) {
+  const r = buildCurveLut(curves.red);
+  const g = buildCurveLut(curves.green);
+  const b = buildCurveLut(curves.blue);
+  const master = buildCurveLut(curves.master);
+  const useMaster = !isIdentityLut(master);
+  for (let i = 0; i < px.length; i += 4) {
+    let red = r[Math.round(px[i] * 255)] / 255;
+    let green = g[Math.round(px[i + 1] * 255)] / 255;
+    let blue = b[Math.round(px[i + 2] * 255)] / 255;
+    if (useMaster) {
+      const l = luma(red, green, blue);
+      const target = lookup(master, l);
+      if (l > 0) {
+        const k = target / l;
+        red = Math.min(1, red * k);
+        green = Math.min(1, green * k);
+        blue = Math.min(1, blue * k);
+      } else {
+        // black has no colour to keep: the curve lifts it to a grey
+        red = green = blue = target;
+      }
+    }
+    px[i] = red;
+    px[i + 1] = green;
+    px[i + 2] = blue;
+  }
+  return px;
+}
@@ -0,0 +1,249 @@
+// Detail (sharpening, noise reduction) and finishing effects (vignette, film grain).
+//
+// These are defined in the image's own pixels rather than in displayed CSS pixels like
+// the blur filter: a sharpening radius of 1 or a grain size of 2 means natural pixels, so
+// the export is the same however large the image was shown on screen. The engine passes
+// `detailScale` (buffer pixels per natural pixel) and the preview, which works on a
+// smaller buffer, scales the radii down to match. The vignette is laid out in fractions
+// of the frame and doesn't depend on resolution at all.
+//
+// Detail runs right after the basic adjustments; the effects run last, after the LUT,
+// so a vignette or grain sits on top of the finished colour like it would on a print.
+
+import { blurPlane } from "./blur";
+
+// Each control: { title, min, max, step, unit }
+export const DETAIL_CONTROLS = {
+  sharpenAmount: { title: "Sharpen amount", min: 0, max: 300, step: 1, unit: "%" },
+  sharpenRadius: { title: "Sharpen radius", min: 0.5, max: 5, step: 0.1, unit: "px" },
+  sharpenThreshold: { title: "Threshold", min: 0, max: 255, step: 1, unit: "" },
+  noiseLuminance: { title: "Luminance NR", min: 0, max: 100, step: 1, unit: "" },
+  noiseColor: { title: "Color NR", min: 0, max: 100, step: 1, unit: "" },
+};
+
+export const EFFECTS_CONTROLS = {
+  vignetteAmount: { title: "Vignette", min: -100, max: 100, step: 1, unit: "" },
+  vignetteMidpoint: { title: "Midpoint", min: 0, max: 100, step: 1, unit: "" },
+  vignetteRoundness: { title: "Roundness", min: -100, max: 100, step: 1, unit: "" },
+  vignetteFeather: { title: "Feather", min: 0, max: 100, step: 1, unit: "" },
+  grainAmount: { title: "Grain", min: 0, max: 100, step: 1, unit: "" },
+  grainSize: { title: "Grain size", min: 1, max: 10, step: 0.5, unit: "px" },
+};
+
+export const DEFAULT_DETAIL = {
+  sharpenAmount: 0,
+  sharpenRadius: 1,
+  sharpenThreshold: 0,
+  noiseLuminance: 0,
+  noiseColor: 0,
+};
+
+export const DEFAULT_EFFECTS = {
+  vignetteAmount: 0,
+  vignetteMidpoint: 50,
+  vignetteRoundness: 0,
+  vignetteFeather: 50,
+  grainAmount: 0,
+  grainSize: 1.5,
+  grainSeed: 1, // same seed, same grain pattern: exports are reproducible
+};
+
+export function detailIsIdentity(detail) {
+  return !detail || (!detail.sharpenAmount && !detail.noiseLuminance && !detail.noiseColor);
+}
+
+export function effectsAreIdentity(effects) {
+  return !effects || (!effects.vignetteAmount && !effects.grainAmount);
+}
+
+// Keeps known keys with finite values, clamped to their slider range.
+const sanitizeValues = (values, defaults, controls) => {
+  const out = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+    const v = values?.[key];
+    if (typeof v !== "number" || !Number.isFinite(v)) continue;
+    out[key] = controls[key] ? Math.max(controls[key].min, Math.min(controls[key].max, v)) : v;
+  }
+  return out;
+};
+
+export const sanitizeDetail = (detail) =>
+  sanitizeValues(detail, DEFAULT_DETAIL, DETAIL_CONTROLS);
+export const sanitizeEffects = (effects) =>
+  sanitizeValues(effects, DEFAULT_EFFECTS, EFFECTS_CONTROLS);
+
+export const randomGrainSeed = () => Math.floor(Math.random() * 0x7fffffff);
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+const lumaPlane = (px) => {
+  const lum = new Float32Array(px.length / 4);
+  for (let i = 0, j = 0; j < lum.length; i += 4, j++)
+    lum[j] = luma(px[i], px[i + 1], px[i + 2]);
+  return lum;
+};
+
+// ---------- Noise reduction ----------
+// Works on luminance and two colour-difference planes (luminance stays untouched by
+// the colour pass and vice versa).
+//   colour: the difference planes are blurred and blended in by the strength; colour
+//           noise is low-frequency blotches, so a plain blur removes it without
+//           visibly softening the image.
+//   luminance: a blur that backs off where a pixel differs a lot from its blurred
+//           neighbourhood, i.e. at edges, so texture is smoothed but outlines stay.
+const reduceNoise = (px, w, h, { noiseLuminance, noiseColor }, detailScale) => {
+  const lum = lumaPlane(px);
+  const n = lum.length;
+
+  let lumOut = lum;
+  if (noiseLuminance > 0) {
+    const s = noiseLuminance / 100;
+    const blurred = blurPlane(lum, w, h, (0.5 + 2 * s) * detailScale);
+    const edge = 0.01 + 0.05 * s; // differences above this count as detail
+    lumOut = new Float32Array(n);
+    for (let j = 0; j < n; j++) {
+      const d = blurred[j] - lum[j];
+      lumOut[j] = lum[j] + d * s * Math.exp(-((d / edge) ** 2));
+    }
+  }
+
+  let cr = null;
+  let cb = null;
+  if (noiseColor > 0) {
+    const s = noiseColor / 100;
+    cr = new Float32Array(n);
+    cb = new Float32Array(n);
+    for (let i = 0, j = 0; j < n; i += 4, j++) {
+      cr[j] = px[i] - lum[j];
+      cb[j] = px[i + 2] - lum[j];
+    }
+    const sigma = (1 + 3 * s) * detailScale;
+    const crBlur = blurPlane(cr, w, h, sigma);
+    const cbBlur = blurPlane(cb, w, h, sigma);
+    for (let j = 0; j < n; j++) {
+      cr[j] += (crBlur[j] - cr[j]) * s;
+      cb[j] += (cbBlur[j] - cb[j]) * s;
+    }
+  }
+
+  for (let i = 0, j = 0; j < n; i += 4, j++) {
+    const L = lumOut[j];
+    const dr = cr ? cr[j] : px[i] - lum[j];
+    const db = cb ? cb[j] : px[i + 2] - lum[j];
+    // green follows from the luminance equation so L stays exactly what we computed
+    const dg = -(0.2126 * dr + 0.0722 * db) / 0.7152;
+    px[i] = clamp01(L + dr);
+    px[i + 1] = clamp01(L + dg);
+    px[i + 2] = clamp01(L + db);
+  }
+};
+
+// ---------- Sharpening ----------
+// Unsharp mask on luminance (sharpening RGB separately creates colour fringes): the
+// difference between a pixel and its blur is added back `amount` times, unless it is
+// below `threshold` levels, which keeps flat areas and noise from being sharpened.
+const sharpen = (px, w, h, { sharpenAmount, sharpenRadius, sharpenThreshold }, detailScale) => {
+  const lum = lumaPlane(px);
+  const blurred = blurPlane(lum, w, h, sharpenRadius * detailScale);
+  const amount = sharpenAmount / 100;
+  const threshold = sharpenThreshold / 255;
+  for (let i = 0, j = 0; j < lum.length; i += 4, j++) {
+    const d = lum[j] - blurred[j];
+    if (Math.abs(d) < threshold) continue;
+    const add = d * amount;
+    px[i] = clamp01(px[i] + add);
+    px[i + 1] = clamp01(px[i + 1] + add);
+    px[i + 2] = clamp01(px[i + 2] + add);
+  }
+};
+
+// Applies noise reduction then sharpening to a float RGBA buffer (0..1) in place.
+export function applyDetailToPixels(px, w, h, detail, detailScale = 1) {
+  const d = { ...DEFAULT_DETAIL, ...detail };
+  if (d.noiseLuminance > 0 || d.noiseColor > 0) reduceNoise(px, w, h, d, detailScale);
+  if (d.sharpenAmount > 0) sharpen(px, w, h, d, detailScale);
+  return px;
+}
+
+// ---------- Vignette ----------
+const smoothstep = (edge0, edge1, x) => {
+  const t = clamp01((x - edge0) / (edge1 - edge0));
+  return t * t * (3 - 2 * t);
+};
+
+// Roundness 0 fits an ellipse to the frame, 100 makes it a circle (on the short side),
+// negative values push it towards the frame's rectangle. Midpoint moves where the
+// effect is half strength, feather widens the transition.
+const applyVignette = (px, w, h, e) => {
+  const amount = e.vignetteAmount / 100;
+  const round = e.vignetteRoundness / 100;
+  const short = Math.min(w, h);
+  const sx = round > 0 ? 1 + (w / short - 1) * round : 1;
+  const sy = round > 0 ? 1 + (h / short - 1) * round : 1;
+  const p = round < 0 ? 2 - 6 * round : 2; // superellipse exponent
+  const mid = 0.3 + e.vignetteMidpoint / 100;
+  const half = (0.05 + 1.2 * (e.vignetteFeather / 100)) / 2;
+
+  for (let y = 0; y < h; y++) {
+    const v = Math.abs(((y + 0.5) / h - 0.5) * 2 * sy);
+    for (let x = 0; x < w; x++) {
+      const u = Math.abs(((x + 0.5) / w - 0.5) * 2 * sx);
+      const d = p === 2 ? Math.sqrt(u * u + v * v) : (u ** p + v ** p) ** (1 / p);
+      const t = smoothstep(mid - half, mid + half, d) * amount;
+      if (t === 0) continue;
+      const i = (y * w + x) * 4;
+      for (let c = 0; c < 3; c++)
+        // negative darkens towards black, positive lightens towards white
+        px[i + c] = clamp01(t < 0 ? px[i + c] * (1 + t) : px[i + c] + (1 - px[i + c]) * t);
+    }
+  }
+};
+
+// ---------- Film grain ----------
+// Value noise on a lattice of `size` natural pixels, smoothly interpolated, from a
+// hash of the lattice point and the seed. Sampling by natural-pixel position keeps the
+// pattern identical between exports; the smaller preview point-samples the same field.
+const hash = (x, y, seed) => {
+  let n = (Math.imul(x, 374761393) + Math.imul(y, 668265263) + Math.imul(seed, 2147483647)) | 0;
+  n = Math.imul(n ^ (n >>> 13), 1274126177);
+  n ^= n >>> 16;
+  return (n >>> 0) / 4294967295;
+};
+
+const grainAt = (x, y, seed) => {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+  const a = hash(x0, y0, seed);
+  const b = hash(x0 + 1, y0, seed);
+  const c = hash(x0, y0 + 1, seed);
+  const d = hash(x0 + 1, y0 + 1, seed);
+  return a + (b - a) * sx + (c - a) * sy + (a - b - c + d) * sx * sy - 0.5;
+};
+
+const applyGrain = (px, w, h, e, detailScale) => {
+  const strength = (e.grainAmount / 100) * 0.35;
+  const cell = e.grainSize * detailScale; // lattice spacing in buffer pixels
+  for (let y = 0; y < h; y++)
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      const L = luma(px[i], px[i + 1], px[i + 2]);
+      // film grain shows most in the midtones
+      const n = grainAt(x / cell, y / cell, e.grainSeed) * strength * (0.4 + 2.4 * L * (1 - L));
+      px[i] = clamp01(px[i] + n);
+      px[i + 1] = clamp01(px[i + 1] + n);
+      px[i + 2] = clamp01(px[i + 2] + n);
+    }
+};
+
+// Applies the vignette then grain to a float RGBA buffer (0..1) in place.
+export function applyEffectsToPixels(px, w, h, effects, detailScale = 1) {
+  const e = { ...DEFAULT_EFFECTS, ...effects };
+  if (e.vignetteAmount) applyVignette(px, w, h, e);
+  if (e.grainAmount > 0) applyGrain(px, w, h, e, detailScale);
+  return px;
+}
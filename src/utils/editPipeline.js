@@ -0,0 +1,351 @@
+// Non-destructive edit pipeline. The uploaded image is never modified; an edit is the
+// original plus an ordered list of geometry operations, and everything visible is
+// rendered from those on demand:
+//
+//   original -> ops (in list order) -> filters (filterEngine.js) -> annotations
+//
+// so any operation can be changed, switched off or removed later, and the export is
+// rendered in one pass from the original instead of from a chain of re-encoded PNGs.
+//
+// An operation is { id, type, enabled, ...params }:
+//   crop    { rect: { x, y, width, height } }  in pixels of the image the previous ops
+//                                              produced (rounded to whole pixels)
+//   rotate  { angle }                          clockwise, a multiple of 90 degrees
+//   straighten { angle }                       clockwise, -45..45 degrees; the result is
+//                                              cropped to the largest rectangle of the
+//                                              same aspect ratio that has no empty corners
+//   flip    { axis: "horizontal" | "vertical" }
+//   perspective { corners: [tl, tr, br, bl] }  points { x, y } as fractions (0..1) of the
+//                                              image the previous ops produced; that quad
+//                                              is warped to a rectangle (perspective.js)
+//
+// Rendering uses canvases, so unlike the filter code this module needs the DOM.
+
+import {
+  perspectiveOutputSize,
+  quadToSquare,
+  squareToQuad,
+  warpPerspective,
+} from "./perspective";
+
+export const OP_TYPES = {
+  crop: "Crop",
+  rotate: "Rotate",
+  straighten: "Straighten",
+  flip: "Flip",
+  perspective: "Perspective",
+};
+
+let nextId = 0;
+
+export function createOp(type, params) {
+  return { id: `op-${Date.now().toString(36)}-${nextId++}`, type, enabled: true, ...params };
+}
+
+export const normalizeAngle = (angle) => ((Math.round(angle / 90) * 90) % 360 + 360) % 360;
+
+// Adds a rotation, merging it into the last op when that is a rotation too so repeated
+// clicks on the rotate button don't pile up steps. A full turn removes the step.
+export function appendRotation(ops, angle) {
+  const last = ops[ops.length - 1];
+  if (last && last.type === "rotate" && last.enabled) {
+    const merged = normalizeAngle(last.angle + angle);
+    return merged === 0
+      ? ops.slice(0, -1)
+      : [...ops.slice(0, -1), { ...last, angle: merged }];
+  }
+  return [...ops, createOp("rotate", { angle: normalizeAngle(angle) })];
+}
+
+// Adds a flip; flipping twice along the same axis in a row cancels out.
+export function appendFlip(ops, axis) {
+  const last = ops[ops.length - 1];
+  if (last && last.type === "flip" && last.enabled && last.axis === axis)
+    return ops.slice(0, -1);
+  return [...ops, createOp("flip", { axis })];
+}
+
+export const MAX_STRAIGHTEN = 45;
+
+// The straighten step the slider edits: the last enabled one, wherever it sits in the
+// list (later crops, rotations and flips don't hide it), or -1.
+const straightenIndex = (ops) =>
+  ops.findLastIndex((op) => op.type === "straighten" && op.enabled);
+
+// Sets the straighten angle. It edits the straighten step in place, or adds one at the
+// end when there is none; 0 removes it.
+export function setStraighten(ops, angle) {
+  const a = Math.max(-MAX_STRAIGHTEN, Math.min(MAX_STRAIGHTEN, angle));
+  const index = straightenIndex(ops);
+  if (index === -1) return a === 0 ? ops : [...ops, createOp("straighten", { angle: a })];
+  if (a === 0) return ops.filter((_, i) => i !== index);
+  return ops.map((op, i) => (i === index ? { ...op, angle: a } : op));
+}
+
+// Angle of the straighten step the slider edits, or 0.
+export function currentStraighten(ops) {
+  const index = straightenIndex(ops);
+  return index === -1 ? 0 : ops[index].angle;
+}
+
+// 1, or -1 when an odd number of flips after the straighten step mirror its turn on
+// screen (for previewing a change of angle on the displayed image).
+export function straightenDirection(ops) {
+  const flips = ops
+    .slice(straightenIndex(ops) + 1)
+    .filter((op) => op.type === "flip" && op.enabled).length;
+  return flips % 2 ? -1 : 1;
+}
+
+// Scale of the largest rectangle with the image's aspect ratio that fits inside the
+// image rotated by `angle` degrees: the rectangle, turned back by the angle, must fit
+// in the w x h image on both axes.
+export function straightenScale(width, height, angle) {
+  const rad = (Math.abs(angle) * Math.PI) / 180;
+  const c = Math.cos(rad);
+  const s = Math.sin(rad);
+  return Math.min(width / (width * c + height * s), height / (width * s + height * c));
+}
+
+export function describeOp(op) {
+  switch (op.type) {
+    case "crop":
+      return `Crop ${op.rect.width} × ${op.rect.height} at ${op.rect.x}, ${op.rect.y}`;
+    case "rotate":
+      return `Rotate ${op.angle}°`;
+    case "straighten":
+      return `Straighten ${op.angle > 0 ? "+" : ""}${op.angle}°`;
+    case "flip":
+      return op.axis === "vertical" ? "Flip vertical" : "Flip horizontal";
+    case "perspective":
+      return "Perspective correction";
+    default:
+      return OP_TYPES[op.type] || op.type;
+  }
+}
+
+// Perspective corners in pixels of a width x height image
+const cornersToPixels = (corners, width, height) =>
+  corners.map((p) => ({ x: p.x * width, y: p.y * height }));
+
+// Size of the image after `op`, given the size before it.
+const opOutputSize = (op, width, height) => {
+  switch (op.type) {
+    case "crop":
+      return { width: op.rect.width, height: op.rect.height };
+    case "rotate":
+      return op.angle % 180 === 0 ? { width, height } : { width: height, height: width };
+    case "straighten": {
+      const k = straightenScale(width, height, op.angle);
+      return {
+        width: Math.max(1, Math.round(width * k)),
+        height: Math.max(1, Math.round(height * k)),
+      };
+    }
+    case "perspective":
+      return perspectiveOutputSize(cornersToPixels(op.corners, width, height));
+    default:
+      return { width, height };
+  }
+};
+
+// Clamps a crop rect to whole pixels inside a width x height image. Returns null when
+// nothing of it is left.
+export function clampCropRect(rect, width, height) {
+  const x = Math.max(0, Math.min(width - 1, Math.round(rect.x)));
+  const y = Math.max(0, Math.min(height - 1, Math.round(rect.y)));
+  const w = Math.min(width - x, Math.round(rect.width));
+  const h = Math.min(height - y, Math.round(rect.height));
+  return w >= 1 && h >= 1 ? { x, y, width: w, height: h } : null;
+}
+
+// The enabled ops as they will actually be rendered on a width x height original, each
+// with the size of the image it receives: crops are clamped to that image, and crops
+// that fall outside it entirely are dropped.
+const resolveOps = (width, height, ops) => {
+  const resolved = [];
+  let size = { width, height };
+  for (const op of ops) {
+    if (!op.enabled) continue;
+    let effective = op;
+    if (op.type === "crop") {
+      const rect = clampCropRect(op.rect, size.width, size.height);
+      if (!rect) continue;
+      effective = { ...op, rect };
+    }
+    resolved.push({ op: effective, ...size });
+    size = opOutputSize(effective, size.width, size.height);
+  }
+  return { resolved, size };
+};
+
+// Size of the result of all enabled ops on a width x height original.
+export function opsOutputSize(width, height, ops) {
+  return resolveOps(width, height, ops).size;
+}
+
+// ---------- Point mapping ----------
+// Annotations are stored in pixels of the original image and mapped through the ops
+// whenever they are drawn, so they follow every crop, rotation, flip and warp, and
+// switching a step off moves them back with the image.
+
+const quadArea = (corners) => {
+  let sum = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = corners[i];
+    const b = corners[(i + 1) % 4];
+    sum += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(sum) / 2;
+};
+
+// How one op moves a point of its width x height input: { forward, inverse, scale },
+// where scale is how much lengths grow (only the perspective warp changes them, and
+// only on average).
+const opPointTransform = (op, width, height) => {
+  const size = opOutputSize(op, width, height);
+  switch (op.type) {
+    case "crop": {
+      const { x, y } = op.rect;
+      return {
+        forward: (p) => ({ x: p.x - x, y: p.y - y }),
+        inverse: (p) => ({ x: p.x + x, y: p.y + y }),
+        scale: 1,
+      };
+    }
+    case "rotate":
+    case "straighten": {
+      // about the centres of the input and output, like renderOp draws it
+      const rad = (op.angle * Math.PI) / 180;
+      const c = Math.cos(rad);
+      const s = Math.sin(rad);
+      return {
+        forward: (p) => {
+          const dx = p.x - width / 2;
+          const dy = p.y - height / 2;
+          return { x: dx * c - dy * s + size.width / 2, y: dx * s + dy * c + size.height / 2 };
+        },
+        inverse: (p) => {
+          const dx = p.x - size.width / 2;
+          const dy = p.y - size.height / 2;
+          return { x: dx * c + dy * s + width / 2, y: -dx * s + dy * c + height / 2 };
+        },
+        scale: 1,
+      };
+    }
+    case "flip": {
+      const mirror =
+        op.axis === "vertical"
+          ? (p) => ({ x: p.x, y: height - p.y })
+          : (p) => ({ x: width - p.x, y: p.y });
+      return { forward: mirror, inverse: mirror, scale: 1 };
+    }
+    case "perspective": {
+      const corners = cornersToPixels(op.corners, width, height);
+      const toSquare = quadToSquare(corners);
+      const fromSquare = squareToQuad(corners);
+      return {
+        forward: (p) => {
+          const t = toSquare(p.x, p.y);
+          return { x: t.x * size.width, y: t.y * size.height };
+        },
+        inverse: (p) => fromSquare(p.x / size.width, p.y / size.height),
+        scale: Math.sqrt((size.width * size.height) / quadArea(corners)),
+      };
+    }
+    default:
+      return { forward: (p) => p, inverse: (p) => p, scale: 1 };
+  }
+};
+
+// Point mapping between a width x height original and the result of the enabled ops:
+//   toOutput(p)    original pixels -> pixels of the rendered result
+//   toOriginal(p)  the reverse
+//   scale          how much lengths (e.g. a line width) grow on the way out
+export function opsPointMapper(width, height, ops) {
+  const steps = resolveOps(width, height, ops).resolved.map((step) =>
+    opPointTransform(step.op, step.width, step.height)
+  );
+  return {
+    toOutput: (p) => steps.reduce((q, t) => t.forward(q), p),
+    toOriginal: (p) => steps.reduceRight((q, t) => t.inverse(q), p),
+    scale: steps.reduce((k, t) => k * t.scale, 1),
+  };
+}
+
+const makeCanvas = (width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// Draws `source` through one op into a new canvas.
+const renderOp = (op, source, width, height) => {
+  const size = opOutputSize(op, width, height);
+  const canvas = makeCanvas(size.width, size.height);
+  const ctx = canvas.getContext("2d");
+  switch (op.type) {
+    case "crop": {
+      // integer source rect and no scaling: a straight pixel copy
+      const { x, y, width: w, height: h } = op.rect;
+      ctx.drawImage(source, x, y, w, h, 0, 0, w, h);
+      break;
+    }
+    case "rotate":
+      ctx.translate(size.width / 2, size.height / 2);
+      ctx.rotate((op.angle * Math.PI) / 180);
+      ctx.drawImage(source, -width / 2, -height / 2, width, height);
+      break;
+    case "straighten":
+      // rotate about the centre; the smaller canvas crops away the empty corners
+      ctx.imageSmoothingQuality = "high";
+      ctx.translate(size.width / 2, size.height / 2);
+      ctx.rotate((op.angle * Math.PI) / 180);
+      ctx.drawImage(source, -width / 2, -height / 2, width, height);
+      break;
+    case "flip":
+      if (op.axis === "vertical") {
+        ctx.translate(0, height);
+        ctx.scale(1, -1);
+      } else {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+      }
+      ctx.drawImage(source, 0, 0, width, height);
+      break;
+    case "perspective": {
+      // canvas transforms are affine only, so the projective warp runs on the pixels
+      const input = makeCanvas(width, height);
+      const inputCtx = input.getContext("2d", { willReadFrequently: true });
+      inputCtx.drawImage(source, 0, 0, width, height);
+      const warped = warpPerspective(
+        inputCtx.getImageData(0, 0, width, height),
+        cornersToPixels(op.corners, width, height),
+        size.width,
+        size.height
+      );
+      ctx.putImageData(new ImageData(warped.data, size.width, size.height), 0, 0);
+      break;
+    }
+    default:
+      ctx.drawImage(source, 0, 0);
+  }
+  return canvas;
+};
+
+// Renders the enabled ops over the original image (an <img>, Image() or canvas) and
+// returns a new canvas at the resulting natural size.
+export function renderOps(original, ops) {
+  const width = original.naturalWidth || original.width;
+  const height = original.naturalHeight || original.height;
+  const { resolved } = resolveOps(width, height, ops);
+  if (resolved.length === 0) {
+    const canvas = makeCanvas(width, height);
+    canvas.getContext("2d").drawImage(original, 0, 0);
+    return canvas;
+  }
+  let current = original;
+  for (const step of resolved) current = renderOp(step.op, current, step.width, step.height);
+  return current;
+}
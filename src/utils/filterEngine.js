@@ -0,0 +1,313 @@
+// Pure-JavaScript implementation of the CSS filter functions in the adjustment stack
+// (blur, grayscale, brightness, contrast, hue-rotate, invert, opacity, saturate, sepia).
+// Works on ImageData-like objects ({ data, width, height }) and never touches the DOM,
+// so the same code renders the export in the browser and can be exercised from Node.
+//
+// The math follows the Filter Effects Module Level 1 spec, which is what browsers use
+// for the CSS `filter` shorthand:
+//   - stack entries are applied top to bottom, exactly like the CSS string built by
+//     filtersToCss(); disabled entries are skipped and a type may appear many times
+//   - colour functions work on non-premultiplied sRGB values in the 0..1 range and the
+//     result of each function is clamped to 0..1 before the next one runs
+//   - blur is a gaussian approximated by three box blurs on premultiplied pixels, with
+//     transparent black outside the image (so edges fade exactly like the CSS preview)
+//
+// applyFiltersToPixels runs the parts of `filters` in this order:
+//   1. basic adjustments (basicAdjustments.js: exposure, white balance, tone ranges,
+//      clarity, vibrance), which have no CSS equivalent
+//   2. detail (detailEffects.js: noise reduction, sharpening)
+//   3. the adjustment stack (adjustmentStack.js), the part the CSS preview can show
+//   4. local adjustments (masks.js): each mask runs its own stack on a copy of the
+//      pixels and blends the result in by the mask's coverage
+//   5. levels
+//   6. tone curves
+//   7. a loaded .cube LUT
+//   8. finishing effects (detailEffects.js: vignette, grain)
+
+import { DEFAULT_CURVES, applyCurvesToPixels, curvesAreIdentity } from "./curves";
+import { DEFAULT_LEVELS, applyLevelsToPixels, levelsAreIdentity } from "./levels";
+import { applyLutToPixels } from "./cubeLut";
+import { activeMasks, renderMaskAlpha } from "./masks";
+import { gaussianBlur } from "./blur";
+import {
+  DEFAULT_BASIC,
+  applyBasicToPixels,
+  basicIsIdentity,
+  sanitizeBasic,
+} from "./basicAdjustments";
+import {
+  DEFAULT_DETAIL,
+  DEFAULT_EFFECTS,
+  applyDetailToPixels,
+  applyEffectsToPixels,
+  detailIsIdentity,
+  effectsAreIdentity,
+  sanitizeDetail,
+  sanitizeEffects,
+} from "./detailEffects";
+import {
+  DEFAULT_STACK,
+  sanitizeStack,
+  stackToCss,
+} from "./adjustmentStack";
+
+export const DEFAULT_FILTERS = {
+  basic: DEFAULT_BASIC, // exposure, white balance, ..., see basicAdjustments.js
+  detail: DEFAULT_DETAIL, // sharpening and noise reduction, see detailEffects.js
+  stack: DEFAULT_STACK, // ordered adjustments, see adjustmentStack.js
+  levels: DEFAULT_LEVELS, // see levels.js
+  curves: DEFAULT_CURVES, // see curves.js
+  lut: null, // { name, data: parseCubeLut() result, intensity: %, interpolation }
+  masks: [], // local adjustments, see masks.js
+  effects: DEFAULT_EFFECTS, // vignette and grain, see detailEffects.js
+};
+
+// Fills in missing parts of a (possibly partial) filters object, e.g. one loaded from
+// a preset.
+export function normalizeFilters(filters) {
+  const f = filters || {};
+  return {
+    basic: sanitizeBasic(f.basic),
+    detail: sanitizeDetail(f.detail),
+    stack: sanitizeStack(f.stack) || DEFAULT_STACK,
+    levels: f.levels || DEFAULT_LEVELS,
+    curves: f.curves || DEFAULT_CURVES,
+    lut: f.lut || null,
+    masks: Array.isArray(f.masks) ? f.masks : [],
+    effects: sanitizeEffects(f.effects),
+  };
+}
+
+// CSS filter string for the <img> preview. Built from the same stack as the engine so
+// both apply the same functions in the same order.
+export function filtersToCss(filters) {
+  return stackToCss(filters.stack);
+}
+
+// True when the CSS preview (filtersToCss) shows everything in `filters`; otherwise the
+// preview has to be rendered by the engine.
+export function canPreviewWithCss(filters) {
+  return (
+    basicIsIdentity(filters.basic) &&
+    detailIsIdentity(filters.detail) &&
+    effectsAreIdentity(filters.effects) &&
+    levelsAreIdentity(filters.levels) &&
+    curvesAreIdentity(filters.curves) &&
+    !filters.lut &&
+    activeMasks(filters.masks).length === 0
+  );
+}
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+// ---------- Colour matrices (spec section 13.x, rows are R', G', B') ----------
+const grayscaleMatrix = (a) => {
+  const k = 1 - Math.min(1, a);
+  return [
+    0.2126 + 0.7874 * k, 0.7152 - 0.7152 * k, 0.0722 - 0.0722 * k,
+    0.2126 - 0.2126 * k, 0.7152 + 0.2848 * k, 0.0722 - 0.0722 * k,
+    0.2126 - 0.2126 * k, 0.7152 - 0.7152 * k, 0.0722 + 0.9278 * k,
+  ];
+};
+
+const sepiaMatrix = (a) => {
+  const k = 1 - Math.min(1, a);
+  return [
+    0.393 + 0.607 * k, 0.769 - 0.769 * k, 0.189 - 0.189 * k,
+    0.349 - 0.349 * k, 0.686 + 0.314 * k, 0.168 - 0.168 * k,
+    0.272 - 0.272 * k, 0.534 - 0.534 * k, 0.131 + 0.869 * k,
+  ];
+};
+
+const saturateMatrix = (s) => [
+  0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+];
+
+const hueRotateMatrix = (deg) => {
+  const rad = (deg * Math.PI) / 180;
+  const c = Math.cos(rad);
+  const s = Math.sin(rad);
+  return [
+    0.213 + c * 0.787 - s * 0.213, 0.715 - c * 0.715 - s * 0.715, 0.072 - c * 0.072 + s * 0.928,
+    0.213 - c * 0.213 + s * 0.143, 0.715 + c * 0.285 + s * 0.14, 0.072 - c * 0.072 - s * 0.283,
+    0.213 - c * 0.213 - s * 0.787, 0.715 - c * 0.715 + s * 0.715, 0.072 + c * 0.928 + s * 0.072,
+  ];
+};
+
+// ---------- Per-pixel operations on a Float32Array of RGBA (0..1, non-premultiplied) ----------
+const applyMatrix = (px, m) => {
+  for (let i = 0; i < px.length; i += 4) {
+    const r = px[i];
+    const g = px[i + 1];
+    const b = px[i + 2];
+    px[i] = clamp01(m[0] * r + m[1] * g + m[2] * b);
+    px[i + 1] = clamp01(m[3] * r + m[4] * g + m[5] * b);
+    px[i + 2] = clamp01(m[6] * r + m[7] * g + m[8] * b);
+  }
+};
+
+// feComponentTransfer type="linear" on RGB: C' = slope * C + intercept
+const applyLinear = (px, slope, intercept) => {
+  for (let i = 0; i < px.length; i += 4) {
+    px[i] = clamp01(px[i] * slope + intercept);
+    px[i + 1] = clamp01(px[i + 1] * slope + intercept);
+    px[i + 2] = clamp01(px[i + 2] * slope + intercept);
+  }
+};
+
+// opacity(a): A' = A * a
+const applyOpacity = (px, amount) => {
+  const a = Math.min(1, amount);
+  for (let i = 3; i < px.length; i += 4) px[i] = clamp01(px[i] * a);
+};
+
+// ---------- Gaussian blur (see blur.js) ----------
+const applyBlur = (px, w, h, sigma) => {
+  // premultiply so transparent pixels don't bleed their colour into neighbours
+  for (let i = 0; i < px.length; i += 4) {
+    const a = px[i + 3];
+    px[i] *= a;
+    px[i + 1] *= a;
+    px[i + 2] *= a;
+  }
+
+  gaussianBlur(px, w, h, sigma);
+
+  for (let i = 0; i < px.length; i += 4) {
+    const a = px[i + 3];
+    if (a > 0) {
+      px[i] = clamp01(px[i] / a);
+      px[i + 1] = clamp01(px[i + 1] / a);
+      px[i + 2] = clamp01(px[i + 2] / a);
+    } else {
+      px[i] = px[i + 1] = px[i + 2] = 0;
+    }
+  }
+};
+
+// Applies one stack entry. Neutral values are skipped so an untouched stack is free.
+const applyAdjustment = (px, w, h, type, value, scale) => {
+  switch (type) {
+    case "blur":
+      if (value > 0) applyBlur(px, w, h, value * scale);
+      break;
+    case "grayScale":
+      if (value > 0) applyMatrix(px, grayscaleMatrix(value / 100));
+      break;
+    case "brightness":
+      if (value !== 100) applyLinear(px, value / 100, 0);
+      break;
+    case "contrast":
+      if (value !== 100) {
+        const c = value / 100;
+        applyLinear(px, c, 0.5 - 0.5 * c);
+      }
+      break;
+    case "hueRotate":
+      if (value % 360 !== 0) applyMatrix(px, hueRotateMatrix(value));
+      break;
+    case "invert":
+      if (value > 0) {
+        // feComponentTransfer type="table" tableValues="a (1 - a)": C' = a + C * (1 - 2a)
+        const a = Math.min(1, value / 100);
+        applyLinear(px, 1 - 2 * a, a);
+      }
+      break;
+    case "opacity":
+      if (value !== 100) applyOpacity(px, value / 100);
+      break;
+    case "saturate":
+      if (value !== 100) applyMatrix(px, saturateMatrix(value / 100));
+      break;
+    case "sepia":
+      if (value > 0) applyMatrix(px, sepiaMatrix(value / 100));
+      break;
+    default:
+      break;
+  }
+};
+
+const applyStack = (px, w, h, stack, scale) => {
+  for (const { type, value, enabled } of stack) {
+    if (!enabled) continue;
+    applyAdjustment(px, w, h, type, value, scale);
+  }
+};
+
+// Runs the mask's own stack on a copy of the pixels and blends it in by coverage.
+const applyMask = (px, w, h, mask, scale, maskView) => {
+  const adjusted = px.slice();
+  applyStack(adjusted, w, h, mask.stack, scale);
+  const alpha = renderMaskAlpha(mask, w, h, maskView);
+  for (let i = 0; i < alpha.length; i++) {
+    const a = alpha[i];
+    if (a <= 0) continue;
+    const j = i * 4;
+    for (let c = 0; c < 4; c++) px[j + c] += (adjusted[j + c] - px[j + c]) * a;
+  }
+};
+
+// Copy 8-bit pixels into a float working buffer and back again.
+export function toFloatPixels(data) {
+  const px = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) px[i] = data[i] / 255;
+  return px;
+}
+
+export function fromFloatPixels(px, data) {
+  for (let i = 0; i < px.length; i++) data[i] = Math.round(clamp01(px[i]) * 255);
+  return data;
+}
+
+// Runs the filter chain over a float RGBA buffer in place. `scale` converts the blur
+// and clarity radii from displayed CSS pixels to the pixels of the buffer (e.g. naturalWidth /
+// clientWidth when exporting) so the export looks like the preview at any resolution.
+// `detailScale` is buffer pixels per natural image pixel (1 when exporting), for the
+// detail and grain settings, which are in natural pixels. `maskView` { map, scale }
+// takes mask geometry from original pixels to the buffer (masks.js).
+export function applyFiltersToPixels(
+  px,
+  width,
+  height,
+  filters,
+  scale = 1,
+  detailScale = 1,
+  maskView
+) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+
+  if (!basicIsIdentity(f.basic)) applyBasicToPixels(px, width, height, f.basic, scale);
+  if (!detailIsIdentity(f.detail))
+    applyDetailToPixels(px, width, height, f.detail, detailScale);
+  applyStack(px, width, height, f.stack, scale);
+  for (const mask of activeMasks(f.masks))
+    applyMask(px, width, height, mask, scale, maskView);
+  if (!levelsAreIdentity(f.levels)) applyLevelsToPixels(px, f.levels);
+  if (!curvesAreIdentity(f.curves)) applyCurvesToPixels(px, f.curves);
+  if (f.lut)
+    applyLutToPixels(px, f.lut.data, {
+      intensity: f.lut.intensity / 100,
+      interpolation: f.lut.interpolation,
+    });
+  if (!effectsAreIdentity(f.effects))
+    applyEffectsToPixels(px, width, height, f.effects, detailScale);
+
+  return px;
+}
+
+// Applies `filters` to an ImageData-like object in place and returns it.
+export function applyFilters(
+  imageData,
+  filters,
+  scale = 1,
+  detailScale = 1,
+  maskView
+) {
+  const { data, width, height } = imageData;
+  const px = toFloatPixels(data);
+  applyFiltersToPixels(px, width, height, filters, scale, detailScale, maskView);
+  fromFloatPixels(px, data);
+  return imageData;
+}
@@ -0,0 +1,47 @@
+// 256-bin histograms of an ImageData-like object ({ data, width, height }).
+// Luminance uses the Rec. 709 weights (the same ones as the grayscale filter).
+// Fully transparent pixels are skipped: they don't show up in the export either.
+
+export function computeHistogram(imageData) {
+  const { data } = imageData;
+  const r = new Uint32Array(256);
+  const g = new Uint32Array(256);
+  const b = new Uint32Array(256);
+  const luma = new Uint32Array(256);
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    r[data[i]]++;
+    g[data[i + 1]]++;
+    b[data[i + 2]]++;
+    luma[
+      Math.round(0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2])
+    ]++;
+  }
+  return { r, g, b, luma };
+}
+
+// Share of pixels sitting at pure black / pure white in any channel, used to warn
+// about crushed shadows and clipped highlights.
+export function clippingStats(histogram) {
+  let total = 0;
+  for (let i = 0; i < 256; i++) total += histogram.luma[i];
+  if (total === 0) return { shadows: 0, highlights: 0 };
+  const at = (index) =>
+    Math.max(histogram.r[index], histogram.g[index], histogram.b[index]);
+  return { shadows: at(0) / total, highlights: at(255) / total };
+}
+
+// Bin below which `fraction` (0..1) of the counted pixels fall.
+export function histogramPercentile(bins, fraction) {
+  let total = 0;
+  for (let i = 0; i < 256; i++) total += bins[i];
+  if (total === 0) return fraction < 0.5 ? 0 : 255;
+  const target = total * fraction;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) {
+    sum += bins[i];
+    if (sum > target) return i;
+  }
+  return 255;
+}
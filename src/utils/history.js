@@ -0,0 +1,157 @@
+// Undo / redo history of the whole edit. Each entry is a snapshot
+//   { filters, ops, layers, annotations }
+// of the state as it was after a step, with a label for the history list. Snapshots are
+// the state objects themselves: every part of the edit is replaced rather than mutated
+// when it changes, so consecutive entries share whatever a step left alone and an entry
+// costs about what its step added.
+//
+//   history = { entries: [{ label, key, time, bytes, state }], index }
+//
+// `index` is the entry currently shown; entries after it are the redo steps and are
+// dropped when a new step is recorded. Steps recorded with the same `key` less than
+// COALESCE_MS apart are merged into one (a slider drag, a mask being painted). The
+// oldest steps are forgotten past HISTORY_LIMIT entries or HISTORY_MEMORY_LIMIT bytes,
+// so long sessions with LUTs or many long strokes stay within bounds.
+
+import { DEFAULT_FILTERS } from "./filterEngine";
+import { describeOp } from "./editPipeline";
+
+export const HISTORY_LIMIT = 100;
+export const HISTORY_MEMORY_LIMIT = 64 * 1024 * 1024;
+export const COALESCE_MS = 1000;
+
+const FILTER_LABELS = {
+  basic: "Basic adjustments",
+  detail: "Detail",
+  stack: "Adjustments",
+  levels: "Levels",
+  curves: "Curves",
+  lut: "LUT",
+  masks: "Local adjustments",
+  effects: "Effects",
+};
+
+// ---------- Size estimate ----------
+// Rough bytes held by `value`, counting objects already in `seen` as free.
+const approxBytes = (value, seen) => {
+  if (value === null || typeof value !== "object") {
+    return typeof value === "string" ? 2 * value.length : 8;
+  }
+  if (seen.has(value)) return 0;
+  seen.add(value);
+  if (ArrayBuffer.isView(value)) return value.byteLength;
+  let bytes = 16;
+  for (const item of Object.values(value)) bytes += approxBytes(item, seen);
+  return bytes;
+};
+
+// Bytes of `state` that `previous` doesn't already hold
+const entryBytes = (state, previous) => {
+  const seen = new Set();
+  if (previous) {
+    // only the top two levels: deeper objects are reached through them anyway
+    for (const part of Object.values(previous)) {
+      seen.add(part);
+      if (part && typeof part === "object")
+        for (const value of Object.values(part)) seen.add(value);
+    }
+  }
+  return approxBytes(state, seen);
+};
+
+// ---------- History ----------
+const entry = (state, label, key, time, previous) => ({
+  label,
+  key,
+  time,
+  bytes: entryBytes(state, previous),
+  state,
+});
+
+export function createHistory(state, label = "Open image") {
+  return { entries: [entry(state, label, null, Date.now(), null)], index: 0 };
+}
+
+// Where the edit of a newly uploaded image starts from `state`: filters and layers carry
+// over, but steps, masks and annotations are in pixels of the previous original, so
+// they are dropped.
+export function newImageState(state) {
+  return {
+    ...state,
+    filters: { ...state.filters, masks: DEFAULT_FILTERS.masks },
+    ops: [],
+    annotations: [],
+  };
+}
+
+export const currentState = (history) => history.entries[history.index].state;
+export const canUndo = (history) => history.index > 0;
+export const canRedo = (history) => history.index < history.entries.length - 1;
+
+// Records `state` as a new step after the current one.
+export function recordHistory(history, state, label, key = null, time = Date.now()) {
+  let entries = history.entries.slice(0, history.index + 1);
+  const top = entries[entries.length - 1];
+  if (key && top.key === key && time - top.time < COALESCE_MS && entries.length > 1) {
+    // same step continued: replace it
+    const previous = entries[entries.length - 2].state;
+    entries[entries.length - 1] = entry(state, label, key, time, previous);
+  } else {
+    entries.push(entry(state, label, key, time, top.state));
+  }
+
+  // forget the oldest steps; the first entry left becomes the new starting point
+  let total = entries.reduce((sum, e) => sum + e.bytes, 0);
+  let drop = 0;
+  while (
+    entries.length - drop > 1 &&
+    (entries.length - drop > HISTORY_LIMIT || total > HISTORY_MEMORY_LIMIT)
+  ) {
+    total -= entries[drop].bytes;
+    drop++;
+  }
+  if (drop > 0) entries = entries.slice(drop);
+  return { entries, index: entries.length - 1 };
+}
+
+// The history with `index` as the current entry (clamped to the list)
+export const jumpHistory = (history, index) => ({
+  ...history,
+  index: Math.max(0, Math.min(history.entries.length - 1, index)),
+});
+
+// ---------- Labels ----------
+// Label and coalescing key for a change of filters, ops or layers from `previous` to
+// `state`, or null when none of them changed.
+export function describeChange(previous, state) {
+  if (state.ops !== previous.ops) {
+    const last = state.ops[state.ops.length - 1];
+    if (state.ops.length > previous.ops.length)
+      return { label: describeOp(last), key: null };
+    // one step changed in place: the straighten angle or a repeated rotate
+    if (state.ops.length === previous.ops.length) {
+      const changed = state.ops.filter((op, i) => op !== previous.ops[i]);
+      const op = changed[0];
+      if (changed.length === 1 && op.id === previous.ops[state.ops.indexOf(op)].id)
+        return { label: describeOp(op), key: `op:${op.id}` };
+    }
+    return { label: "Edit steps", key: null };
+  }
+  if (state.filters !== previous.filters) {
+    if (state.filters === DEFAULT_FILTERS) return { label: "Reset filters", key: null };
+    const changed = Object.keys(FILTER_LABELS).filter(
+      (k) => state.filters[k] !== previous.filters[k]
+    );
+    // presets and auto enhance change several parts at once
+    if (changed.length !== 1) return { label: "Adjust filters", key: null };
+    return { label: FILTER_LABELS[changed[0]], key: `filters:${changed[0]}` };
+  }
+  if (state.layers !== previous.layers) {
+    if (state.layers.length > previous.layers.length)
+      return { label: "Add layer", key: null };
+    if (state.layers.length < previous.layers.length)
+      return { label: "Remove layer", key: null };
+    return { label: "Layers", key: "layers" };
+  }
+  return null;
+}
@@ -0,0 +1,107 @@
+// Layers: the photo at the bottom and annotation layers stacked over it, listed
+// bottom to top:
+//   { id, name, visible, opacity, blend, locked }
+//     opacity   0..100
+//     blend     a key of BLEND_MODES (CSS mix-blend-mode names)
+//     locked    nothing on the layer can be drawn, erased or moved
+// The photo layer (PHOTO_LAYER_ID) always stays at the bottom and only uses `visible`
+// and `opacity`. Every annotation (annotations.js) has a `layer` with the id of the
+// layer it belongs to; each layer is drawn on its own canvas, so an eraser stroke only
+// clears the ink of its layer and never the photo under it.
+//
+// Like canvasFrame.js this renders with canvases and needs the DOM.
+
+import { drawAnnotation } from "./annotations";
+
+export const BLEND_MODES = {
+  normal: "Normal",
+  multiply: "Multiply",
+  screen: "Screen",
+  overlay: "Overlay",
+  darken: "Darken",
+  lighten: "Lighten",
+  "color-dodge": "Color dodge",
+  "color-burn": "Color burn",
+  "hard-light": "Hard light",
+  "soft-light": "Soft light",
+  difference: "Difference",
+  exclusion: "Exclusion",
+  hue: "Hue",
+  saturation: "Saturation",
+  color: "Color",
+  luminosity: "Luminosity",
+};
+
+export const PHOTO_LAYER_ID = "photo";
+
+let nextId = 1;
+
+export function createLayer(name = `Layer ${nextId}`) {
+  return {
+    id: `layer-${nextId++}`,
+    name,
+    visible: true,
+    opacity: 100,
+    blend: "normal",
+    locked: false,
+  };
+}
+
+// The photo and one empty annotation layer
+export const initialLayers = () => [
+  {
+    id: PHOTO_LAYER_ID,
+    name: "Photo",
+    visible: true,
+    opacity: 100,
+    blend: "normal",
+    locked: false,
+  },
+  createLayer(),
+];
+
+// Moves an annotation layer `delta` places up (positive) or down the stack; the photo
+// stays at the bottom.
+export function moveLayer(layers, id, delta) {
+  const from = layers.findIndex((l) => l.id === id);
+  const to = from + delta;
+  if (from < 1 || to < 1 || to >= layers.length) return layers;
+  const next = [...layers];
+  const [layer] = next.splice(from, 1);
+  next.splice(to, 0, layer);
+  return next;
+}
+
+// Canvas globalCompositeOperation for a blend mode (the canvas calls "normal"
+// source-over; every other name is the same as in CSS)
+export const compositeOperation = (blend) => (blend === "normal" ? "source-over" : blend);
+
+// True when the layer can be drawn on: visible and not locked
+export const isEditable = (layer) => Boolean(layer && layer.visible && !layer.locked);
+
+// Composites `photo` (a canvas with the filtered image) and the annotation layers into
+// a new canvas of the same size. `map` and `scale` take annotations from original
+// pixels to the photo's pixels, as for drawAnnotation.
+export function composeLayers(photo, layers, annotations, map, scale) {
+  const canvas = document.createElement("canvas");
+  canvas.width = photo.width;
+  canvas.height = photo.height;
+  const ctx = canvas.getContext("2d");
+  for (const layer of layers) {
+    if (!layer.visible) continue;
+    let source = photo;
+    if (layer.id !== PHOTO_LAYER_ID) {
+      const items = annotations.filter((a) => a.layer === layer.id);
+      if (items.length === 0) continue;
+      source = document.createElement("canvas");
+      source.width = canvas.width;
+      source.height = canvas.height;
+      const layerCtx = source.getContext("2d");
+      for (const a of items) drawAnnotation(layerCtx, a, map, scale);
+    }
+    ctx.globalAlpha = layer.opacity / 100;
+    ctx.globalCompositeOperation = compositeOperation(layer.blend);
+    ctx.drawImage(source, 0, 0);
+  }
+  return canvas;
+}
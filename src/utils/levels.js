@@ -0,0 +1,79 @@
+// Levels: per-channel input black/white points, midtone gamma and output range, baked
+// into 256-entry lookup tables like the tone curves.
+//
+//   t  = clamp((v - inBlack) / (inWhite - inBlack), 0, 1)
+//   v' = outBlack + (outWhite - outBlack) * t ^ (1 / gamma)
+//
+// gamma > 1 brightens the midtones, gamma < 1 darkens them (same convention as the
+// middle input slider in other editors).
+
+import { CHANNELS } from "./channels";
+
+const identityLevels = () => ({
+  inBlack: 0,
+  inWhite: 255,
+  gamma: 1,
+  outBlack: 0,
+  outWhite: 255,
+});
+
+export const DEFAULT_LEVELS = {
+  master: identityLevels(),
+  red: identityLevels(),
+  green: identityLevels(),
+  blue: identityLevels(),
+};
+
+export function buildLevelsLut(level) {
+  const { inBlack, inWhite, gamma, outBlack, outWhite } = {
+    ...identityLevels(),
+    ...level,
+  };
+  const lut = new Uint8Array(256);
+  const range = Math.max(1, inWhite - inBlack);
+  const inv = 1 / Math.max(0.01, gamma);
+  for (let v = 0; v < 256; v++) {
+    const t = Math.max(0, Math.min(1, (v - inBlack) / range));
+    const out = outBlack + (outWhite - outBlack) * Math.pow(t, inv);
+    lut[v] = Math.max(0, Math.min(255, Math.round(out)));
+  }
+  return lut;
+}
+
+const isIdentityLevel = (level) => {
+  const l = { ...identityLevels(), ...level };
+  return (
+    l.inBlack === 0 &&
+    l.inWhite === 255 &&
+    l.gamma === 1 &&
+    l.outBlack === 0 &&
+    l.outWhite === 255
+  );
+};
+
+export function levelsAreIdentity(levels) {
+  if (!levels) return true;
+  return CHANNELS.every((c) => isIdentityLevel(levels[c]));
+}
+
+// Per-channel levels first, then the master levels on top.
+export function buildLevelsLuts(levels) {
+  const master = buildLevelsLut(levels.master);
+  const combine = (channel) => {
+    const lut = buildLevelsLut(levels[channel]);
+    for (let i = 0; i < 256; i++) lut[i] = master[lut[i]];
+    return lut;
+  };
+  return { r: combine("red"), g: combine("green"), b: combine("blue") };
+}
+
+// Applies levels to a float RGBA buffer (0..1, non-premultiplied) in place.
+export function applyLevelsToPixels(px, levels) {
+  const { r, g, b } = buildLevelsLuts(levels);
+  for (let i = 0; i < px.length; i += 4) {
+    px[i] = r[Math.round(px[i] * 255)] / 255;
+    px[i + 1] = g[Math.round(px[i + 1] * 255)] / 255;
+    px[i + 2] = b[Math.round(px[i + 2] * 255)] / 255;
+  }
+  return px;
+}
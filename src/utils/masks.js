@@ -0,0 +1,179 @@
+// Local adjustment masks. Each mask carries its own adjustment stack and a coverage
+// shape; the engine blends the stack's result into the image by the mask's alpha.
+//
+//   { id, kind: "brush" | "linear" | "radial", enabled, invert, feather (0..100),
+//     stack: [...adjustment entries], strokes | line | ellipse }
+//
+// Geometry is stored in pixels of the original upload, like annotations (annotations.js),
+// and mapped through the edit steps when rendered, so a mask stays on the same part of
+// the photo when a crop / rotate / flip / straighten / perspective step is added,
+// changed or removed later. Brush sizes are in original pixels too.
+//   brush:  strokes: [{ points: [{ x, y }], size, erase }]
+//   linear: line: { x1, y1, x2, y2 }  full effect on the (x1, y1) side, none past (x2, y2)
+//   radial: ellipse: { cx, cy, rx, ry }  full effect inside, fading towards the edge;
+//           rx and ry run along the original's axes, so the ellipse turns with the image
+// A new gradient mask has no line / ellipse until it is dragged out on the image.
+//
+// Rendering takes a `view` { map, scale }: map takes a point from original pixels to
+// the pixels being rendered and scale converts lengths the same way (editPipeline.js
+// opsPointMapper, times the render's size). Without one, geometry is in render pixels.
+//
+// Feather is the share of the transition that is softened: the width of the soft brush
+// edge, the part of the radius that fades, or the part of the gradient that ramps.
+
+import { createAdjustment } from "./adjustmentStack";
+
+export const MASK_KINDS = {
+  brush: "Brush",
+  linear: "Linear gradient",
+  radial: "Radial gradient",
+};
+
+let nextId = 0;
+
+export function createMask(kind) {
+  const mask = {
+    id: `mask-${Date.now().toString(36)}-${nextId++}`,
+    kind,
+    enabled: true,
+    invert: false,
+    feather: 50,
+    // a small useful default: most local edits are exposure / contrast / colour
+    stack: [
+      createAdjustment("brightness"),
+      createAdjustment("contrast"),
+      createAdjustment("saturate"),
+    ],
+  };
+  if (kind === "brush") mask.strokes = [];
+  if (kind === "linear") mask.line = null;
+  if (kind === "radial") mask.ellipse = null;
+  return mask;
+}
+
+const smoothstep = (edge0, edge1, x) => {
+  if (edge1 <= edge0) return x < edge0 ? 0 : 1;
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+// Coverage (0..1) of a round brush of radius r at distance d from its centre line.
+const brushCoverage = (d, r, feather) => 1 - smoothstep(r * (1 - feather), r, d);
+
+// Rasterises one stroke as a chain of capsules (circle swept along each segment).
+const paintStroke = (alpha, w, h, stroke, feather, view) => {
+  const r = Math.max(0.5, (stroke.size * view.scale) / 2);
+  const pts = stroke.points.map(view.map);
+  if (pts.length === 0) return;
+  if (pts.length === 1) pts.push(pts[0]);
+
+  for (let s = 0; s < pts.length - 1; s++) {
+    const a = pts[s];
+    const b = pts[s + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const x0 = Math.max(0, Math.floor(Math.min(a.x, b.x) - r));
+    const x1 = Math.min(w - 1, Math.ceil(Math.max(a.x, b.x) + r));
+    const y0 = Math.max(0, Math.floor(Math.min(a.y, b.y) - r));
+    const y1 = Math.min(h - 1, Math.ceil(Math.max(a.y, b.y) + r));
+
+    for (let y = y0; y <= y1; y++)
+      for (let x = x0; x <= x1; x++) {
+        // distance from the pixel centre to the segment
+        const px = x + 0.5 - a.x;
+        const py = y + 0.5 - a.y;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / len2)) : 0;
+        const ex = px - t * dx;
+        const ey = py - t * dy;
+        const v = brushCoverage(Math.sqrt(ex * ex + ey * ey), r, feather);
+        if (v <= 0) continue;
+        const i = y * w + x;
+        // painting adds coverage, erasing removes it
+        alpha[i] = stroke.erase ? Math.min(alpha[i], 1 - v) : Math.max(alpha[i], v);
+      }
+  }
+};
+
+const IDENTITY_VIEW = { map: (p) => p, scale: 1 };
+
+// The ellipse's centre and semi-axes as they end up in the render: { c, a, b }, with
+// a and b the images of the rx and ry radii (conjugate semi-diameters once turned).
+export function ellipseInView(ellipse, view) {
+  const { cx, cy, rx, ry } = ellipse;
+  const c = view.map({ x: cx, y: cy });
+  const ea = view.map({ x: cx + rx, y: cy });
+  const eb = view.map({ x: cx, y: cy + ry });
+  return {
+    c,
+    a: { x: ea.x - c.x, y: ea.y - c.y },
+    b: { x: eb.x - c.x, y: eb.y - c.y },
+  };
+}
+
+// Coverage of `mask` for every pixel of a w x h render, as a Float32Array(w * h).
+export function renderMaskAlpha(mask, w, h, view = IDENTITY_VIEW) {
+  const alpha = new Float32Array(w * h);
+  const feather = Math.max(0, Math.min(1, mask.feather / 100));
+
+  if (mask.kind === "brush") {
+    for (const stroke of mask.strokes || [])
+      paintStroke(alpha, w, h, stroke, feather, view);
+  } else if (mask.kind === "linear" && mask.line) {
+    // project every pixel onto the start -> end direction; t = 0 at start, 1 at end
+    const { x1, y1, x2, y2 } = mask.line;
+    const start = view.map({ x: x1, y: y1 });
+    const end = view.map({ x: x2, y: y2 });
+    const ax = start.x;
+    const ay = start.y;
+    const dx = end.x - ax;
+    const dy = end.y - ay;
+    const len2 = dx * dx + dy * dy || 1;
+    const half = Math.max(feather, 0.001) / 2;
+    for (let y = 0; y < h; y++)
+      for (let x = 0; x < w; x++) {
+        const t = ((x + 0.5 - ax) * dx + (y + 0.5 - ay) * dy) / len2;
+        alpha[y * w + x] = 1 - smoothstep(0.5 - half, 0.5 + half, t);
+      }
+  } else if (mask.kind === "radial" && mask.ellipse) {
+    // each pixel as u * a + v * b from the centre; the ellipse is u² + v² = 1. Radii
+    // under half a pixel are widened so a thin ellipse still shows.
+    const { c, a, b } = ellipseInView(mask.ellipse, view);
+    const widen = (v) => {
+      const length = Math.hypot(v.x, v.y);
+      if (length >= 0.5) return v;
+      return length > 0 ? { x: (0.5 * v.x) / length, y: (0.5 * v.y) / length } : null;
+    };
+    const ua = widen(a) || { x: 0.5, y: 0 };
+    const ub = widen(b) || { x: -ua.y, y: ua.x };
+    const det = ua.x * ub.y - ub.x * ua.y;
+    // nothing left when a perspective step squashes it flat
+    if (Math.abs(det) > 1e-9)
+      for (let y = 0; y < h; y++)
+        for (let x = 0; x < w; x++) {
+          const px = x + 0.5 - c.x;
+          const py = y + 0.5 - c.y;
+          const u = (px * ub.y - py * ub.x) / det;
+          const v = (ua.x * py - ua.y * px) / det;
+          alpha[y * w + x] = 1 - smoothstep(1 - feather, 1, Math.sqrt(u * u + v * v));
+        }
+  }
+
+  if (mask.invert) for (let i = 0; i < alpha.length; i++) alpha[i] = 1 - alpha[i];
+  return alpha;
+}
+
+// ---------- Validation ----------
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+export function maskHasShape(mask) {
+  if (mask.kind === "brush") return (mask.strokes || []).length > 0 || mask.invert;
+  if (mask.kind === "linear") return Boolean(mask.line);
+  return Boolean(mask.ellipse);
+}
+
+export function activeMasks(masks) {
+  return (masks || []).filter(
+    (m) => m.enabled && m.kind in MASK_KINDS && maskHasShape(m) && isNumber(m.feather)
+  );
+}
@@ -0,0 +1,161 @@
+// Image overlays and the watermark.
+//
+// Overlay images (a logo, a sticker) are annotations on a layer (annotations.js):
+//   { kind: "image", id, src, points: [centre, axis], width, height, opacity }
+// src is an object URL of the file, width and height are in original pixels and axis
+// is a point to the right of the centre, so the image turns with the photo like a text
+// does. The watermark's logo is a data URL instead, so it can be remembered.
+//
+// The watermark is stamped on every export and remembered between sessions:
+//   enabled, type ("text" | "image"), text, fontFamily, color, fontSize,
+//   imageSrc (data URL), imageSize, opacity (0..100),
+//   anchor (a key of WATERMARK_ANCHORS), margin, tile, tileGap, tileAngle (degrees)
+// fontSize, imageSize (the logo's width), margin and tileGap are percentages of the
+// shorter side of the image, so the preview and the export look the same at any size.
+//
+// Images have to be decoded before a canvas can draw them, so they are loaded once
+// (loadOverlayImage) and drawing code takes them from the cache (overlayImage).
+
+const STORAGE_KEY = "reactpic-watermark";
+
+export const WATERMARK_ANCHORS = {
+  "top-left": "Top left",
+  "top-right": "Top right",
+  center: "Center",
+  "bottom-left": "Bottom left",
+  "bottom-right": "Bottom right",
+};
+
+export const DEFAULT_WATERMARK = {
+  enabled: false,
+  type: "text",
+  text: "© ReactPic",
+  fontFamily: "sans-serif",
+  color: "#ffffff",
+  fontSize: 5,
+  imageSrc: null,
+  imageSize: 20,
+  opacity: 50,
+  anchor: "bottom-right",
+  margin: 3,
+  tile: false,
+  tileGap: 15,
+  tileAngle: -30,
+};
+
+// ---------- Images ----------
+const images = new Map(); // src -> { image, ready: Promise }
+
+export function loadOverlayImage(src) {
+  let entry = images.get(src);
+  if (!entry) {
+    const image = new Image();
+    const ready = new Promise((resolve, reject) => {
+      image.onload = () => resolve(image);
+      image.onerror = () => {
+        images.delete(src);
+        reject(new Error("Couldn't read the image."));
+      };
+    });
+    image.src = src;
+    entry = { image, ready };
+    images.set(src, entry);
+  }
+  return entry.ready;
+}
+
+// The decoded image for `src`, or null while it's still loading
+export function overlayImage(src) {
+  const entry = images.get(src);
+  return entry && entry.image.complete && entry.image.naturalWidth ? entry.image : null;
+}
+
+export const readFileAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// ---------- Persistence ----------
+export function loadWatermark() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === "object"
+      ? { ...DEFAULT_WATERMARK, ...stored }
+      : DEFAULT_WATERMARK;
+  } catch {
+    return DEFAULT_WATERMARK;
+  }
+}
+
+export function saveWatermark(watermark) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(watermark));
+  } catch {
+    // a logo too big for the storage quota: it works for this session only
+  }
+}
+
+// ---------- Drawing ----------
+// Stamps the watermark on ctx over a width x height image (in ctx units).
+export function drawWatermark(ctx, width, height, watermark) {
+  if (!watermark || !watermark.enabled) return;
+  const unit = Math.min(width, height) / 100;
+  const isText = watermark.type === "text";
+  const image = isText ? null : watermark.imageSrc && overlayImage(watermark.imageSrc);
+  if (isText ? !watermark.text.trim() : !image) return;
+
+  ctx.save();
+  ctx.globalAlpha *= watermark.opacity / 100;
+  let markW;
+  let markH;
+  if (isText) {
+    const size = watermark.fontSize * unit;
+    ctx.font = `bold ${size}px ${watermark.fontFamily}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = watermark.color;
+    // a faint shadow keeps light text readable on light areas
+    ctx.shadowColor = "rgba(0, 0, 0, 0.35)";
+    ctx.shadowBlur = size / 8;
+    markW = ctx.measureText(watermark.text).width;
+    markH = size;
+  } else {
+    markW = watermark.imageSize * unit;
+    markH = (markW * image.naturalHeight) / image.naturalWidth;
+  }
+  // one mark centred on (x, y)
+  const drawMark = (x, y) => {
+    if (isText) ctx.fillText(watermark.text, x, y);
+    else ctx.drawImage(image, x - markW / 2, y - markH / 2, markW, markH);
+  };
+
+  if (watermark.tile) {
+    // a grid turned by tileAngle around the centre, big enough to cover the corners;
+    // every other row is shifted half a step
+    const gap = watermark.tileGap * unit;
+    const stepX = markW + gap;
+    const stepY = markH + gap;
+    const reach = Math.hypot(width, height) / 2;
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate((watermark.tileAngle * Math.PI) / 180);
+    const rows = Math.ceil(reach / stepY);
+    const cols = Math.ceil(reach / stepX) + 1;
+    for (let r = -rows; r <= rows; r++) {
+      const shift = r % 2 === 0 ? 0 : stepX / 2;
+      for (let c = -cols; c <= cols; c++) drawMark(c * stepX + shift, r * stepY);
+    }
+  } else {
+    const margin = watermark.margin * unit;
+    // "center" has no vertical / horizontal part: both fall to the middle
+    const [v, h] = watermark.anchor.split("-");
+    const x =
+      { left: margin + markW / 2, right: width - margin - markW / 2 }[h] ?? width / 2;
+    const y =
+      { top: margin + markH / 2, bottom: height - margin - markH / 2 }[v] ?? height / 2;
+    drawMark(x, y);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,137 @@
+// Perspective (keystone) correction: a quadrilateral in the image is warped to a
+// rectangle with a projective transform, which keeps straight lines straight, so
+// converging verticals of a facade or the edges of a photographed page end up parallel.
+//
+// Corners are given as [top-left, top-right, bottom-right, bottom-left] points. The
+// warp maps output pixels back into the source (inverse mapping, so every output pixel
+// gets exactly one value) and samples it bilinearly with premultiplied alpha; anything
+// that lands outside the source is transparent.
+
+// Homography from the unit square to the quad (Heckbert's closed form):
+//   (0,0) -> corners[0], (1,0) -> corners[1], (1,1) -> corners[2], (0,1) -> corners[3]
+// as a row-major 3x3 matrix [a, b, c, d, e, f, g, h, 1].
+const squareToQuadMatrix = (corners) => {
+  const [p0, p1, p2, p3] = corners;
+  const dx1 = p1.x - p2.x;
+  const dx2 = p3.x - p2.x;
+  const dx3 = p0.x - p1.x + p2.x - p3.x;
+  const dy1 = p1.y - p2.y;
+  const dy2 = p3.y - p2.y;
+  const dy3 = p0.y - p1.y + p2.y - p3.y;
+  let g = 0;
+  let h = 0;
+  if (dx3 !== 0 || dy3 !== 0) {
+    // not a parallelogram: a true projective map
+    const den = dx1 * dy2 - dx2 * dy1;
+    g = (dx3 * dy2 - dx2 * dy3) / den;
+    h = (dx1 * dy3 - dx3 * dy1) / den;
+  }
+  return [
+    p1.x - p0.x + g * p1.x,
+    p3.x - p0.x + h * p3.x,
+    p0.x,
+    p1.y - p0.y + g * p1.y,
+    p3.y - p0.y + h * p3.y,
+    p0.y,
+    g,
+    h,
+    1,
+  ];
+};
+
+const projector = (m) => (u, v) => {
+  const w = m[6] * u + m[7] * v + m[8];
+  return { x: (m[0] * u + m[1] * v + m[2]) / w, y: (m[3] * u + m[4] * v + m[5]) / w };
+};
+
+// Returns project(u, v) -> { x, y }, from the unit square to the quad.
+export const squareToQuad = (corners) => projector(squareToQuadMatrix(corners));
+
+// The inverse: project(x, y) -> { x: u, y: v }, from the quad to the unit square.
+// (The adjugate is the inverse up to a scale factor, which the division cancels.)
+export function quadToSquare(corners) {
+  const [a, b, c, d, e, f, g, h, i] = squareToQuadMatrix(corners);
+  return projector([
+    e * i - f * h,
+    c * h - b * i,
+    b * f - c * e,
+    f * g - d * i,
+    a * i - c * g,
+    c * d - a * f,
+    d * h - e * g,
+    b * g - a * h,
+    a * e - b * d,
+  ]);
+}
+
+// True when the four corners, in order, form a convex quad without crossing edges
+// (anything else has no sensible rectangle to map to).
+export function isConvexQuad(corners) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = corners[i];
+    const b = corners[(i + 1) % 4];
+    const c = corners[(i + 2) % 4];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (Math.abs(cross) < 1e-9) return false;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
+
+const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// Size of the corrected rectangle for corners in pixels: the longer of each pair of
+// opposite edges, so the side nearest the camera keeps its resolution.
+export function perspectiveOutputSize(corners) {
+  const [tl, tr, br, bl] = corners;
+  return {
+    width: Math.max(1, Math.round(Math.max(dist(tl, tr), dist(bl, br)))),
+    height: Math.max(1, Math.round(Math.max(dist(tl, bl), dist(tr, br)))),
+  };
+}
+
+// Warps the quad `corners` (in pixels of src) of an ImageData-like object to a
+// width x height rectangle. Returns a new { data: Uint8ClampedArray, width, height }.
+export function warpPerspective(src, corners, width, height) {
+  const { data, width: sw, height: sh } = src;
+  const project = squareToQuad(corners);
+  const out = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const v = (y + 0.5) / height;
+    for (let x = 0; x < width; x++) {
+      const p = project((x + 0.5) / width, v);
+      if (!(p.x >= 0 && p.y >= 0 && p.x <= sw && p.y <= sh)) continue;
+      // pixel centres sit at +0.5; neighbours past the border repeat the edge pixel
+      const fx = p.x - 0.5;
+      const fy = p.y - 0.5;
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      const tx = fx - x0;
+      const ty = fy - y0;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let k = 0; k < 4; k++) {
+        const sx = Math.min(sw - 1, Math.max(0, x0 + (k & 1)));
+        const sy = Math.min(sh - 1, Math.max(0, y0 + (k >> 1)));
+        const w = ((k & 1) ? tx : 1 - tx) * ((k >> 1) ? ty : 1 - ty);
+        const s = (sy * sw + sx) * 4;
+        const wa = w * data[s + 3];
+        r += data[s] * wa;
+        g += data[s + 1] * wa;
+        b += data[s + 2] * wa;
+        a += wa;
+      }
+      if (a === 0) continue;
+      const d = (y * width + x) * 4;
+      out[d] = r / a;
+      out[d + 1] = g / a;
+      out[d + 2] = b / a;
+      out[d + 3] = a;
+    }
+  }
+  return { data: out, width, height };
+}
@@ -0,0 +1,284 @@
+// Filter presets: a few built-in looks plus user presets persisted in localStorage and
+// shareable as JSON. A preset only stores the parts of the filters that differ from
+// DEFAULT_FILTERS (the basic adjustments, detail, the adjustment stack, levels, curves,
+// effects); applying it fills in the rest from the defaults.
+//
+// The loaded LUT is never part of a preset: it's a file the user picked, and embedding
+// the table would blow through the localStorage quota. Local adjustment masks aren't
+// either, since their shapes only make sense on the image they were drawn on. Applying
+// a preset keeps both.
+
+import { DEFAULT_FILTERS, normalizeFilters } from "./filterEngine";
+import {
+  sanitizeStack,
+  stackForStorage,
+  stacksEqual,
+} from "./adjustmentStack";
+import { DEFAULT_LEVELS } from "./levels";
+import { DEFAULT_CURVES } from "./curves";
+import { sanitizeBasic } from "./basicAdjustments";
+import { sanitizeDetail, sanitizeEffects } from "./detailEffects";
+import { CHANNELS } from "./channels";
+
+const STORAGE_KEY = "filterPresets";
+const FILE_VERSION = 1;
+
+export const BUILT_IN_PRESETS = [
+  { id: "builtin-original", name: "Original", builtIn: true, filters: {} },
+  {
+    id: "builtin-vintage",
+    name: "Vintage",
+    builtIn: true,
+    filters: {
+      stack: [
+        { type: "sepia", value: 45 },
+        { type: "contrast", value: 90 },
+        { type: "brightness", value: 105 },
+        { type: "saturate", value: 80 },
+      ],
+      levels: {
+        ...DEFAULT_LEVELS,
+        master: { ...DEFAULT_LEVELS.master, outBlack: 25, outWhite: 240 },
+      },
+    },
+  },
+  {
+    id: "builtin-bw",
+    name: "B&W",
+    builtIn: true,
+    filters: {
+      stack: [
+        { type: "grayScale", value: 100 },
+        { type: "contrast", value: 115 },
+      ],
+    },
+  },
+  {
+    id: "builtin-noir",
+    name: "Noir",
+    builtIn: true,
+    filters: {
+      stack: [
+        { type: "grayScale", value: 100 },
+        { type: "contrast", value: 160 },
+        { type: "brightness", value: 90 },
+      ],
+    },
+  },
+  {
+    id: "builtin-high-contrast",
+    name: "High Contrast",
+    builtIn: true,
+    filters: {
+      stack: [
+        { type: "contrast", value: 110 },
+        { type: "saturate", value: 115 },
+      ],
+      curves: {
+        ...DEFAULT_CURVES,
+        master: [
+          { x: 0, y: 0 },
+          { x: 64, y: 40 },
+          { x: 192, y: 218 },
+          { x: 255, y: 255 },
+        ],
+      },
+    },
+  },
+  {
+    id: "builtin-vivid",
+    name: "Vivid",
+    builtIn: true,
+    filters: {
+      stack: [
+        { type: "saturate", value: 160 },
+        { type: "contrast", value: 110 },
+        { type: "brightness", value: 103 },
+      ],
+    },
+  },
+  {
+    id: "builtin-faded",
+    name: "Faded",
+    builtIn: true,
+    filters: {
+      stack: [
+        { type: "contrast", value: 85 },
+        { type: "brightness", value: 108 },
+        { type: "saturate", value: 70 },
+      ],
+      levels: {
+        ...DEFAULT_LEVELS,
+        master: { ...DEFAULT_LEVELS.master, outBlack: 40 },
+      },
+    },
+  },
+  {
+    id: "builtin-warm",
+    name: "Warm",
+    builtIn: true,
+    filters: {
+      stack: [
+        { type: "sepia", value: 15 },
+        { type: "saturate", value: 115 },
+      ],
+      curves: {
+        ...DEFAULT_CURVES,
+        blue: [
+          { x: 0, y: 0 },
+          { x: 128, y: 112 },
+          { x: 255, y: 240 },
+        ],
+      },
+    },
+  },
+  {
+    id: "builtin-cool",
+    name: "Cool",
+    builtIn: true,
+    filters: {
+      stack: [{ type: "saturate", value: 90 }],
+      curves: {
+        ...DEFAULT_CURVES,
+        red: [
+          { x: 0, y: 0 },
+          { x: 128, y: 115 },
+          { x: 255, y: 245 },
+        ],
+        blue: [
+          { x: 0, y: 10 },
+          { x: 128, y: 140 },
+          { x: 255, y: 255 },
+        ],
+      },
+    },
+  },
+];
+
+// Full filters object for a preset, keeping the currently loaded LUT and masks.
+export function presetToFilters(preset, currentFilters) {
+  return {
+    ...normalizeFilters(preset.filters),
+    lut: currentFilters ? currentFilters.lut : null,
+    masks: currentFilters ? currentFilters.masks : [],
+  };
+}
+
+// The part of `filters` worth storing: everything except the LUT, masks and parts that are
+// still at their defaults. Stack entry ids aren't stored.
+export function filtersToPreset(filters) {
+  const out = {};
+  if (!stacksEqual(filters.stack, DEFAULT_FILTERS.stack))
+    out.stack = stackForStorage(filters.stack);
+  for (const key of ["basic", "detail", "levels", "curves", "effects"])
+    if (JSON.stringify(filters[key]) !== JSON.stringify(DEFAULT_FILTERS[key]))
+      out[key] = filters[key];
+  return out;
+}
+
+const newId = () =>
+  `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// ---------- Validation ----------
+// Presets come from localStorage or from files other people made, so anything we
+// don't recognise is dropped instead of being handed to the engine.
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+const sanitizeLevels = (levels) => {
+  const out = {};
+  for (const c of CHANNELS) {
+    const level = { ...DEFAULT_LEVELS[c] };
+    for (const key of Object.keys(level))
+      if (levels?.[c] && isNumber(levels[c][key])) level[key] = levels[c][key];
+    out[c] = level;
+  }
+  return out;
+};
+
+const sanitizeCurves = (curves) => {
+  const out = {};
+  for (const c of CHANNELS) {
+    const points = curves?.[c];
+    out[c] =
+      Array.isArray(points) &&
+      points.length >= 2 &&
+      points.every((p) => p && isNumber(p.x) && isNumber(p.y))
+        ? points.map((p) => ({ x: p.x, y: p.y }))
+        : DEFAULT_CURVES[c];
+  }
+  return out;
+};
+
+export function sanitizePresetFilters(filters) {
+  const out = {};
+  if (!filters || typeof filters !== "object") return out;
+  const stack = sanitizeStack(filters.stack);
+  if (stack) out.stack = stackForStorage(stack);
+  if (filters.basic) out.basic = sanitizeBasic(filters.basic);
+  if (filters.detail) out.detail = sanitizeDetail(filters.detail);
+  if (filters.effects) out.effects = sanitizeEffects(filters.effects);
+  if (filters.levels) out.levels = sanitizeLevels(filters.levels);
+  if (filters.curves) out.curves = sanitizeCurves(filters.curves);
+  return out;
+}
+
+const sanitizePreset = (p) => {
+  if (!p || typeof p.name !== "string" || p.name.trim() === "") return null;
+  return {
+    id: typeof p.id === "string" && p.id.startsWith("user-") ? p.id : newId(),
+    name: p.name.trim().slice(0, 40),
+    filters: sanitizePresetFilters(p.filters),
+  };
+};
+
+// ---------- Persistence ----------
+export function loadUserPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.map(sanitizePreset).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveUserPresets(presets) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+export function createUserPreset(name, filters) {
+  return sanitizePreset({ id: newId(), name, filters: filtersToPreset(filters) });
+}
+
+// ---------- Import / export ----------
+export function presetsToJson(presets) {
+  return JSON.stringify(
+    {
+      version: FILE_VERSION,
+      presets: presets.map(({ name, filters }) => ({ name, filters })),
+    },
+    null,
+    2
+  );
+}
+
+// Parses a presets file. Accepts the exported { version, presets } shape or a bare
+// array of presets; throws an Error with a readable message otherwise.
+export function parsePresetsJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("The file isn't valid JSON.");
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.presets;
+  if (!Array.isArray(list)) throw new Error("No presets found in the file.");
+  if (!Array.isArray(parsed) && parsed.version > FILE_VERSION)
+    throw new Error("The file was made by a newer version of ReactPic.");
+
+  // imported presets always get fresh ids so they can't collide with existing ones
+  const presets = list
+    .map((p) => sanitizePreset({ ...p, id: undefined }))
+    .filter(Boolean);
+  if (presets.length === 0) throw new Error("No valid presets found in the file.");
+  return presets;
+}
@@ -0,0 +1,232 @@
+// Redaction: areas of the photo replaced by a pixelated, blurred or solid version of
+// themselves, for hiding e-mail addresses, faces or card numbers. Unlike annotations,
+// which sit on layers over the photo, a redaction rewrites the photo's own pixels in the
+// export (after the filters, before the layers), so nothing of what was under it is left
+// in the file. Pixelate and blur both average the area down to a much smaller size
+// first, which throws the detail away rather than just smearing it.
+//
+//   { kind: "redact", id, mode, shape, points, size, amount, color }
+//     mode    a key of REDACT_MODES
+//     shape   "brush": points along the stroke, size its width
+//             "rect":  points = the four corners of the box [tl, tr, br, bl], as shapes
+//     amount  pixelate block size / blur strength
+//     color   fill of the "solid" mode
+// Redactions are kept in the annotation list (annotations.js) in original pixels, with
+// size and amount in original pixels too, but on no layer.
+//
+// The area is worked out in whole pixels (redactionCoverage) and the patch written with
+// putImageData: an antialiased canvas path would leave its edge pixels a blend of the
+// patch and what it hides. Making the patch needs the DOM.
+
+import { gaussianBlur } from "./blur";
+
+export const REDACT_MODES = {
+  pixelate: "Pixelate",
+  blur: "Blur",
+  solid: "Solid fill",
+};
+
+export const REDACT_SHAPES = {
+  rect: "Rectangle",
+  brush: "Brush",
+};
+
+// Tool settings; amount in CSS pixels of the displayed image
+export const DEFAULT_REDACTION = {
+  mode: "pixelate",
+  shape: "rect",
+  amount: 12,
+  color: "#000000",
+};
+
+let nextId = 0;
+
+export function createRedaction(settings, points, size) {
+  return { kind: "redact", id: `redact-${nextId++}`, ...settings, points, size };
+}
+
+export const isRedaction = (annotation) => annotation.kind === "redact";
+
+// Pixel box around `points` padded by `pad`, clipped to width x height; null if empty.
+const regionOf = (points, pad, width, height) => {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x0 = Math.max(0, Math.floor(Math.min(...xs) - pad));
+  const y0 = Math.max(0, Math.floor(Math.min(...ys) - pad));
+  const x1 = Math.min(width, Math.ceil(Math.max(...xs) + pad));
+  const y1 = Math.min(height, Math.ceil(Math.max(...ys) + pad));
+  return x1 > x0 && y1 > y0 ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } : null;
+};
+
+// Mean colour of every block x block tile of an ImageData, as an ImageData with one
+// pixel per tile. Colours are averaged with premultiplied alpha.
+const blockAverages = (imageData, block) => {
+  const { data, width, height } = imageData;
+  const sw = Math.ceil(width / block);
+  const sh = Math.ceil(height / block);
+  const sums = new Float32Array(sw * sh * 5); // r, g, b weighted by alpha; alpha; count
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / block) * sw;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const t = (row + Math.floor(x / block)) * 5;
+      const a = data[i + 3];
+      sums[t] += data[i] * a;
+      sums[t + 1] += data[i + 1] * a;
+      sums[t + 2] += data[i + 2] * a;
+      sums[t + 3] += a;
+      sums[t + 4]++;
+    }
+  }
+  const small = new ImageData(sw, sh);
+  for (let j = 0, t = 0; j < small.data.length; j += 4, t += 5) {
+    const a = sums[t + 3];
+    if (a === 0) continue;
+    small.data[j] = sums[t] / a;
+    small.data[j + 1] = sums[t + 1] / a;
+    small.data[j + 2] = sums[t + 2] / a;
+    small.data[j + 3] = a / sums[t + 4];
+  }
+  return small;
+};
+
+// Blurs a small ImageData in place; the zero padding is divided back out so the edges
+// keep their colour (as the blurred canvas fill in canvasFrame.js).
+const blurSmall = (imageData, sigma) => {
+  const { width, height } = imageData;
+  const px = Float32Array.from(imageData.data);
+  gaussianBlur(px, width, height, sigma);
+  const ones = new Float32Array(width * height).fill(1);
+  const weight = gaussianBlur(ones, width, height, sigma, 1);
+  for (let i = 0, j = 0; j < weight.length; i += 4, j++)
+    for (let c = 0; c < 4; c++) imageData.data[i + c] = px[i + c] / weight[j];
+};
+
+const toCanvas = (imageData) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext("2d").putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+// Distance from (px, py) to the segment a-b
+const segmentDistance = (px, py, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const along = len2 > 0 ? ((px - a.x) * dx + (py - a.y) * dy) / len2 : 0;
+  const t = Math.max(0, Math.min(1, along));
+  return Math.hypot(px - a.x - t * dx, py - a.y - t * dy);
+};
+
+// A pixel is touched when the shape comes within half its diagonal of its centre
+const HALF_DIAGONAL = Math.SQRT1_2;
+
+// Pixels of `region` the redaction touches, even partly, as a Uint8Array with 1 for
+// every pixel to replace. `points` are in the same pixels as the region; a brush
+// stroke is `width` wide.
+export function redactionCoverage(redaction, points, width, region) {
+  const coverage = new Uint8Array(region.width * region.height);
+  const mark = (x0, y0, x1, y1, touched) => {
+    const fromX = Math.max(region.x, Math.floor(x0));
+    const toX = Math.min(region.x + region.width, Math.ceil(x1));
+    const fromY = Math.max(region.y, Math.floor(y0));
+    const toY = Math.min(region.y + region.height, Math.ceil(y1));
+    for (let y = fromY; y < toY; y++)
+      for (let x = fromX; x < toX; x++)
+        if (touched(x + 0.5, y + 0.5))
+          coverage[(y - region.y) * region.width + (x - region.x)] = 1;
+  };
+
+  if (redaction.shape === "rect") {
+    // inside the quad (even-odd rule) or within reach of one of its edges
+    const edges = points.map((a, i) => [a, points[(i + 1) % points.length]]);
+    const inside = (px, py) => {
+      let crossings = 0;
+      for (const [a, b] of edges)
+        if (a.y > py !== b.y > py && px < a.x + ((py - a.y) * (b.x - a.x)) / (b.y - a.y))
+          crossings++;
+      return crossings % 2 === 1;
+    };
+    mark(
+      region.x,
+      region.y,
+      region.x + region.width,
+      region.y + region.height,
+      (px, py) =>
+        inside(px, py) ||
+        edges.some(([a, b]) => segmentDistance(px, py, a, b) <= HALF_DIAGONAL)
+    );
+    return coverage;
+  }
+
+  // a brush stroke: round-capped segments, each checked only around itself
+  const reach = width / 2 + HALF_DIAGONAL;
+  const segments = points.length === 1 ? [[points[0], points[0]]] : [];
+  for (let i = 0; i < points.length - 1; i++) segments.push([points[i], points[i + 1]]);
+  for (const [a, b] of segments)
+    mark(
+      Math.min(a.x, b.x) - reach,
+      Math.min(a.y, b.y) - reach,
+      Math.max(a.x, b.x) + reach,
+      Math.max(a.y, b.y) + reach,
+      (px, py) => segmentDistance(px, py, a, b) <= reach
+    );
+  return coverage;
+}
+
+// Copies the covered pixels of `patch` over `target` (ImageData-like, same size), whole:
+// nothing of the target's pixel is kept.
+export function writePatch(target, patch, coverage) {
+  for (let j = 0; j < coverage.length; j++) {
+    if (!coverage[j]) continue;
+    const i = j * 4;
+    target.data[i] = patch.data[i];
+    target.data[i + 1] = patch.data[i + 1];
+    target.data[i + 2] = patch.data[i + 2];
+    target.data[i + 3] = patch.data[i + 3];
+  }
+  return target;
+}
+
+// Draws `redactions` into `target`, taking the pixels to hide from `source`; both are
+// 2D contexts of the same pixel size with identity transforms, and may be the same
+// context. `map` and `scale` take points and lengths from original pixels to theirs.
+export function applyRedactions(target, source, redactions, map, scale) {
+  const { width, height } = source.canvas;
+  for (const r of redactions) {
+    if (!r.points || r.points.length === 0) continue;
+    const points = r.points.map(map);
+    const lineWidth = r.size * scale;
+    const block = Math.max(2, Math.round(r.amount * scale));
+    const pad = (r.shape === "rect" ? 0 : lineWidth / 2) + 1;
+    const region = regionOf(points, pad, width, height);
+    if (!region) continue;
+
+    const patch = document.createElement("canvas");
+    patch.width = region.width;
+    patch.height = region.height;
+    const ctx = patch.getContext("2d", { willReadFrequently: true });
+    if (r.mode === "solid") {
+      ctx.fillStyle = r.color;
+      ctx.fillRect(0, 0, region.width, region.height);
+    } else {
+      const pixels = source.getImageData(region.x, region.y, region.width, region.height);
+      // blur averages over a third of the block and smooths the rest back in
+      const tile = r.mode === "blur" ? Math.max(1, Math.round(block / 3)) : block;
+      const small = blockAverages(pixels, tile);
+      if (r.mode === "blur") blurSmall(small, 1.5);
+      ctx.imageSmoothingEnabled = r.mode === "blur";
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(toCanvas(small), 0, 0, small.width * tile, small.height * tile);
+    }
+
+    // replace every pixel the area touches, alpha included, so translucent pixels of
+    // the original can't show through either
+    const area = target.getImageData(region.x, region.y, region.width, region.height);
+    const coverage = redactionCoverage(r, points, lineWidth, region);
+    writePatch(area, ctx.getImageData(0, 0, region.width, region.height), coverage);
+    target.putImageData(area, region.x, region.y);
+  }
+}
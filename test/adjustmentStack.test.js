@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  sanitizeStack,
+  stackToCss,
+} from "../src/utils/adjustmentStack.js";
+
+test("sanitizeStack drops unknown and inherited types", () => {
+  const stack = sanitizeStack([
+    { type: "sepia", value: 50 },
+    { type: "constructor", value: 3 },
+    { type: "toString", value: 1 },
+    { type: "hasOwnProperty", value: 1 },
+    { type: "glow", value: 1 },
+  ]);
+  assert.deepEqual(stack.map((e) => e.type), ["sepia"]);
+  assert.equal(stackToCss(stack), "sepia(50%)");
+});
+
+test("sanitizeStack drops bad values and clamps the rest to the slider range", () => {
+  const stack = sanitizeStack([
+    { type: "blur", value: 1e9 },
+    { type: "brightness", value: -20 },
+    { type: "contrast", value: Number.NaN },
+    { type: "saturate", value: "150" },
+    { type: "invert", value: 40, enabled: false },
+  ]);
+  assert.deepEqual(
+    stack.map(({ type, value, enabled }) => ({ type, value, enabled })),
+    [
+      { type: "blur", value: 10, enabled: true },
+      { type: "brightness", value: 0, enabled: true },
+      { type: "invert", value: 40, enabled: false },
+    ]
+  );
+});
+
+test("sanitizeStack rejects anything but an array", () => {
+  assert.equal(sanitizeStack({ type: "sepia", value: 1 }), null);
+  assert.equal(sanitizeStack(undefined), null);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCubeLut } from "../src/utils/cubeLut.js";
+
+// An identity 3D table of `size`, red fastest
+const identityCube = (size) => {
+  const rows = [];
+  for (let b = 0; b < size; b++)
+    for (let g = 0; g < size; g++)
+      for (let r = 0; r < size; r++)
+        rows.push([r, g, b].map((v) => v / (size - 1)).join(" "));
+  return `LUT_3D_SIZE ${size}\n${rows.join("\n")}\n`;
+};
+
+test("a 3D table is read into a Float32Array of size^3 RGB triples", () => {
+  const lut = parseCubeLut(`TITLE "Id"\n${identityCube(2)}`);
+  assert.equal(lut.title, "Id");
+  assert.ok(lut.table instanceof Float32Array);
+  assert.equal(lut.table.length, 8 * 3);
+  assert.deepEqual([...lut.table.slice(3, 6)], [1, 0, 0]);
+});
+
+test("oversized 3D tables are refused before any rows are read", () => {
+  assert.throws(() => parseCubeLut("LUT_3D_SIZE 256\n0 0 0\n"), /between 2 and 129/);
+  assert.equal(parseCubeLut(identityCube(3)).size, 3);
+});
+
+test("too many or too few rows are reported", () => {
+  assert.throws(() => parseCubeLut(`${identityCube(2)}0 0 0\n`), /Line 10: more than 8/);
+  assert.throws(
+    () => parseCubeLut("LUT_1D_SIZE 3\n0 0 0\n1 1 1\n"),
+    /Expected 3 table rows for a 1D LUT of size 3, found 2/
+  );
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CURVES, applyCurvesToPixels } from "../src/utils/curves.js";
+
+// A strong S-curve
+const S_CURVE = [
+  { x: 0, y: 0 },
+  { x: 64, y: 20 },
+  { x: 192, y: 235 },
+  { x: 255, y: 255 },
+];
+
+const luma = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+test("the master curve maps luminance and keeps the colour's proportions", () => {
+  const colour = [160 / 255, 80 / 255, 40 / 255];
+  const px = new Float32Array([...colour, 1]);
+  applyCurvesToPixels(px, { ...DEFAULT_CURVES, master: S_CURVE });
+  // darker, since the colour's luma sits in the lower half of the curve
+  assert.ok(luma(px) < luma(colour));
+  // same ratios between the channels: no hue or saturation shift
+  assert.ok(Math.abs(px[0] / px[1] - 2) < 1e-5, `r/g ${px[0] / px[1]}`);
+  assert.ok(Math.abs(px[1] / px[2] - 2) < 1e-5, `g/b ${px[1] / px[2]}`);
+  assert.equal(px[3], 1);
+});
+
+test("on greys the master curve is the curve itself", () => {
+  const px = new Float32Array([64 / 255, 64 / 255, 64 / 255, 1]);
+  applyCurvesToPixels(px, { ...DEFAULT_CURVES, master: S_CURVE });
+  for (let c = 0; c < 3; c++) assert.ok(Math.abs(px[c] * 255 - 20) < 0.5);
+});
+
+test("channel curves run before the master curve", () => {
+  const px = new Float32Array([1, 1, 1, 1]);
+  const red = [
+    { x: 0, y: 0 },
+    { x: 255, y: 0 },
+  ];
+  applyCurvesToPixels(px, { ...DEFAULT_CURVES, red });
+  assert.deepEqual([...px], [0, 1, 1, 1]);
+});
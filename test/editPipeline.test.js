@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  appendFlip,
+  appendRotation,
+  createOp,
+  currentStraighten,
+  setStraighten,
+  straightenDirection,
+} from "../src/utils/editPipeline.js";
+import { describeChange } from "../src/utils/history.js";
+
+const crop = () => createOp("crop", { rect: { x: 0, y: 0, width: 10, height: 10 } });
+
+test("the straighten slider edits its step wherever it sits", () => {
+  let ops = setStraighten([], 5);
+  ops = appendRotation([...ops, crop()], 90);
+  assert.equal(currentStraighten(ops), 5);
+
+  const edited = setStraighten(ops, -3);
+  assert.deepEqual(edited.map((op) => op.type), ["straighten", "crop", "rotate"]);
+  assert.equal(edited[0].id, ops[0].id);
+  assert.equal(currentStraighten(edited), -3);
+
+  // 0 removes the step, and a new one goes at the end
+  const removed = setStraighten(edited, 0);
+  assert.deepEqual(removed.map((op) => op.type), ["crop", "rotate"]);
+  assert.equal(setStraighten(removed, 2).at(-1).type, "straighten");
+});
+
+test("a disabled straighten step isn't what the slider shows", () => {
+  const ops = [{ ...createOp("straighten", { angle: 8 }), enabled: false }];
+  assert.equal(currentStraighten(ops), 0);
+});
+
+test("flips after the straighten step mirror its preview", () => {
+  const ops = setStraighten([], 5);
+  assert.equal(straightenDirection(ops), 1);
+  assert.equal(straightenDirection(appendFlip(ops, "horizontal")), -1);
+  // flips before it don't matter
+  assert.equal(straightenDirection(setStraighten(appendFlip([], "vertical"), 5)), 1);
+});
+
+test("changing the straighten angle under later steps is one coalesced step", () => {
+  const ops = [...setStraighten([], 5), crop()];
+  const change = describeChange({ ops }, { ops: setStraighten(ops, 7) });
+  assert.equal(change.key, `op:${ops[0].id}`);
+});
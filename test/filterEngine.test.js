@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_FILTERS, applyFilters } from "../src/utils/filterEngine.js";
+
+// ImageData-like object filled with one RGBA colour
+const solid = (width, height, rgba) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+  return { data, width, height };
+};
+
+const pixel = (imageData, x, y) => {
+  const i = (y * imageData.width + x) * 4;
+  return [...imageData.data.slice(i, i + 4)];
+};
+
+// Within one level of `expected`, for rounding
+const assertPixel = (actual, expected) =>
+  assert.ok(
+    actual.every((v, i) => Math.abs(v - expected[i]) <= 1),
+    `expected ${expected}, got ${actual}`
+  );
+
+// One colour through a stack of { type: value } entries
+const filtered = (rgba, adjustments) => {
+  const stack = Object.entries(adjustments).map(([type, value]) => ({
+    type,
+    value,
+    enabled: true,
+  }));
+  return pixel(applyFilters(solid(1, 1, rgba), { stack }), 0, 0);
+};
+
+test("default filters leave every pixel unchanged", () => {
+  const image = { data: new Uint8ClampedArray(16 * 16 * 4), width: 16, height: 16 };
+  for (let i = 0; i < image.data.length; i++) image.data[i] = (i * 37) % 256;
+  const before = image.data.slice();
+  applyFilters(image, DEFAULT_FILTERS);
+  assert.deepEqual(image.data, before);
+});
+
+test("disabled stack entries are skipped", () => {
+  const stack = [{ type: "invert", value: 100, enabled: false }];
+  const image = applyFilters(solid(1, 1, [10, 20, 30, 255]), { stack });
+  assert.deepEqual(pixel(image, 0, 0), [10, 20, 30, 255]);
+});
+
+test("grayscale and saturate use the spec's luminance weights", () => {
+  assertPixel(filtered([255, 0, 0, 255], { grayScale: 100 }), [54, 54, 54, 255]);
+  assertPixel(filtered([255, 0, 0, 255], { saturate: 0 }), [54, 54, 54, 255]);
+  assertPixel(filtered([0, 255, 0, 255], { grayScale: 100 }), [182, 182, 182, 255]);
+});
+
+test("sepia follows the spec matrix and clamps", () => {
+  assertPixel(filtered([255, 0, 0, 255], { sepia: 100 }), [100, 89, 69, 255]);
+  assertPixel(filtered([255, 255, 255, 255], { sepia: 100 }), [255, 255, 239, 255]);
+});
+
+test("brightness, contrast and invert are linear transfers", () => {
+  assertPixel(filtered([200, 100, 50, 255], { brightness: 50 }), [100, 50, 25, 255]);
+  assertPixel(filtered([0, 255, 0, 255], { contrast: 50 }), [64, 191, 64, 255]);
+  assertPixel(filtered([10, 20, 30, 255], { invert: 100 }), [245, 235, 225, 255]);
+});
+
+test("hue-rotate follows the spec matrix", () => {
+  assertPixel(filtered([255, 0, 0, 255], { hueRotate: 180 }), [0, 109, 109, 255]);
+  assertPixel(filtered([255, 0, 0, 255], { hueRotate: 360 }), [255, 0, 0, 255]);
+});
+
+test("opacity scales alpha only", () => {
+  assertPixel(filtered([200, 100, 50, 255], { opacity: 50 }), [200, 100, 50, 128]);
+});
+
+test("stack entries run in order", () => {
+  // invert then brightness differs from brightness then invert
+  const black = [0, 0, 0, 255];
+  assertPixel(filtered(black, { invert: 100, brightness: 50 }), [128, 128, 128, 255]);
+  assertPixel(filtered(black, { brightness: 50, invert: 100 }), [255, 255, 255, 255]);
+});
+
+test("blur fades the edges to transparent without changing their colour", () => {
+  const stack = [{ type: "blur", value: 2, enabled: true }];
+  const image = applyFilters(solid(21, 21, [255, 0, 0, 255]), { stack });
+  // far from the edges nothing changes
+  assertPixel(pixel(image, 10, 10), [255, 0, 0, 255]);
+  // transparent black outside the image blends into the alpha only
+  const corner = pixel(image, 0, 0);
+  assert.ok(corner[3] > 0 && corner[3] < 200, `corner alpha ${corner[3]}`);
+  assertPixel(corner.slice(0, 3), [255, 0, 0]);
+  const edge = pixel(image, 10, 0);
+  assert.ok(edge[3] > corner[3] && edge[3] < 255, `edge alpha ${edge[3]}`);
+});
+
+test("blur radius is scaled to the target pixels", () => {
+  const stack = [{ type: "blur", value: 2, enabled: true }];
+  const small = applyFilters(solid(21, 21, [255, 0, 0, 255]), { stack }, 1);
+  const large = applyFilters(solid(21, 21, [255, 0, 0, 255]), { stack }, 3);
+  assert.ok(pixel(large, 3, 10)[3] < pixel(small, 3, 10)[3]);
+});
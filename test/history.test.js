@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_FILTERS } from "../src/utils/filterEngine.js";
+import { createOp } from "../src/utils/editPipeline.js";
+import { newImageState } from "../src/utils/history.js";
+import { createMask } from "../src/utils/masks.js";
+
+test("a new upload drops the previous photo's steps, masks and annotations", () => {
+  const mask = { ...createMask("radial"), ellipse: { cx: 900, cy: 600, rx: 50, ry: 50 } };
+  const filters = { ...DEFAULT_FILTERS, masks: [mask] };
+  const layers = [{ id: "photo" }, { id: "ink" }];
+  const start = newImageState({
+    filters,
+    ops: [createOp("rotate", { angle: 90 })],
+    layers,
+    annotations: [{ kind: "stroke", points: [{ x: 10, y: 10 }] }],
+  });
+  assert.deepEqual(start.filters.masks, DEFAULT_FILTERS.masks);
+  assert.deepEqual(start.ops, []);
+  assert.deepEqual(start.annotations, []);
+  // the look of the edit carries over
+  assert.equal(start.filters.stack, filters.stack);
+  assert.equal(start.filters.curves, filters.curves);
+  assert.equal(start.layers, layers);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOp, opsPointMapper } from "../src/utils/editPipeline.js";
+import { createMask, maskHasShape, renderMaskAlpha } from "../src/utils/masks.js";
+
+const viewOf = (width, height, ops) => {
+  const mapper = opsPointMapper(width, height, ops);
+  return { map: mapper.toOutput, scale: mapper.scale };
+};
+
+const at = (alpha, w, x, y) => alpha[y * w + x];
+
+test("new gradient masks have no shape until they are dragged out", () => {
+  assert.equal(maskHasShape(createMask("linear")), false);
+  assert.equal(maskHasShape(createMask("radial")), false);
+  const alpha = renderMaskAlpha(createMask("radial"), 4, 4);
+  assert.ok(alpha.every((v) => v === 0));
+});
+
+test("a radial mask follows the photo through a rotation", () => {
+  // a small circle near the original's top-left corner, 40 x 20 original
+  const mask = {
+    ...createMask("radial"),
+    feather: 0,
+    ellipse: { cx: 5, cy: 5, rx: 3, ry: 3 },
+  };
+  const plain = renderMaskAlpha(mask, 40, 20, viewOf(40, 20, []));
+  assert.equal(at(plain, 40, 5, 5), 1);
+  assert.equal(at(plain, 40, 34, 5), 0);
+
+  // rotated 90° clockwise the top-left corner ends up top-right of a 20 x 40 image
+  const ops = [createOp("rotate", { angle: 90 })];
+  const turned = renderMaskAlpha(mask, 20, 40, viewOf(40, 20, ops));
+  assert.equal(at(turned, 20, 14, 5), 1);
+  assert.equal(at(turned, 20, 5, 5), 0);
+});
+
+test("brush strokes and sizes are mapped through a crop", () => {
+  const mask = {
+    ...createMask("brush"),
+    feather: 0,
+    strokes: [{ points: [{ x: 30, y: 10 }], size: 4, erase: false }],
+  };
+  // cropping away the left 20 pixels moves the dab 20 pixels left
+  const ops = [createOp("crop", { rect: { x: 20, y: 0, width: 20, height: 20 } })];
+  const alpha = renderMaskAlpha(mask, 20, 20, viewOf(40, 20, ops));
+  assert.equal(at(alpha, 20, 10, 10), 1);
+  assert.equal(at(alpha, 20, 13, 10), 0);
+});
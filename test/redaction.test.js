@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { redactionCoverage, writePatch } from "../src/utils/redaction.js";
+
+const SIZE = 40;
+const region = { x: 0, y: 0, width: SIZE, height: SIZE };
+
+// ImageData-like where every pixel has its own values, and a patch of one colour
+const original = () => {
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+  for (let i = 0; i < data.length; i++) data[i] = 10 + ((i * 7) % 240);
+  return { data, width: SIZE, height: SIZE };
+};
+const PATCH = [1, 2, 3, 255];
+const patch = () => {
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(PATCH, i);
+  return { data, width: SIZE, height: SIZE };
+};
+
+// Whether any of 11 x 11 samples per pixel over the `n` x `n` pixels at x, y, edges
+// included, is inside
+const touches = (x, y, inside, n = 1) => {
+  for (let j = 0; j <= 10 * n; j++)
+    for (let i = 0; i <= 10 * n; i++) if (inside(x + i / 10, y + j / 10)) return true;
+  return false;
+};
+
+const assertRedacted = (redaction, points, width, inside) => {
+  const image = original();
+  const before = image.data.slice();
+  writePatch(image, patch(), redactionCoverage(redaction, points, width, region));
+  let replaced = 0;
+  for (let y = 0; y < SIZE; y++)
+    for (let x = 0; x < SIZE; x++) {
+      const i = (y * SIZE + x) * 4;
+      const pixel = [...image.data.slice(i, i + 4)];
+      if (touches(x, y, inside)) {
+        assert.deepEqual(pixel, PATCH, `pixel ${x}, ${y} keeps original values`);
+        replaced++;
+      } else if (!touches(x - 1, y - 1, inside, 3)) {
+        // well clear of the area: untouched
+        assert.deepEqual(pixel, [...before.slice(i, i + 4)], `pixel ${x}, ${y} changed`);
+      }
+    }
+  assert.ok(replaced > 0);
+};
+
+test("a turned box replaces every pixel it touches, edges included", () => {
+  const points = [
+    { x: 10.3, y: 5.6 },
+    { x: 30.2, y: 12.1 },
+    { x: 24.7, y: 31.4 },
+    { x: 5.1, y: 24.9 },
+  ];
+  const inside = (px, py) => {
+    let crossings = 0;
+    points.forEach((a, k) => {
+      const b = points[(k + 1) % 4];
+      if (a.y > py !== b.y > py && px < a.x + ((py - a.y) * (b.x - a.x)) / (b.y - a.y))
+        crossings++;
+    });
+    return crossings % 2 === 1;
+  };
+  assertRedacted({ shape: "rect" }, points, 0, inside);
+});
+
+test("a brush stroke replaces every pixel it touches, edges included", () => {
+  const points = [
+    { x: 6.4, y: 8.2 },
+    { x: 20.5, y: 19.7 },
+    { x: 33.3, y: 14.9 },
+  ];
+  const width = 5.3;
+  const distance = (px, py, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const along = ((px - a.x) * dx + (py - a.y) * dy) / (dx * dx + dy * dy);
+    const t = Math.max(0, Math.min(1, along));
+    return Math.hypot(px - a.x - t * dx, py - a.y - t * dy);
+  };
+  const inside = (px, py) =>
+    distance(px, py, points[0], points[1]) <= width / 2 ||
+    distance(px, py, points[1], points[2]) <= width / 2;
+  assertRedacted({ shape: "brush" }, points, width, inside);
+});
@@ -0,0 +1,11 @@
+// Module resolution hook for the Node test runner: the sources import each other
+// without file extensions, the way Vite resolves them, so try ".js" when a relative
+// import doesn't resolve as written.
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (err.code !== "ERR_MODULE_NOT_FOUND" || !specifier.startsWith(".")) throw err;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}